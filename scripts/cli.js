@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * nori-registry CLI
+ * Single entry point for updating, scaffolding, validating, inspecting and auditing packages
+ */
+
+import path from 'path';
+import { UsageError } from './lib/args.js';
+import { PROJECT_ROOT } from './lib/registry.js';
+import * as update from './commands/update.js';
+import * as add from './commands/add.js';
+import * as validate from './commands/validate.js';
+import * as list from './commands/list.js';
+import * as show from './commands/show.js';
+import * as index from './commands/index.js';
+import * as inspect from './commands/inspect.js';
+import * as audit from './commands/audit.js';
+
+const COMMANDS = { update, add, validate, list, show, index, inspect, audit };
+
+/**
+ * Print help message
+ */
+function printHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length));
+  const commands = Object.entries(COMMANDS)
+    .map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`)
+    .join('\n');
+
+  console.log(`
+Usage: nori-registry <command> [options]
+
+Commands:
+${commands}
+
+Global options:
+  --root <dir>  Registry root (default: repository root)
+  --help, -h    Show help for a command
+
+Run "nori-registry <command> --help" for command options.
+`);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  let root = PROJECT_ROOT;
+
+  // --root is accepted anywhere on the command line
+  const rootIndex = args.findIndex((arg) => arg === '--root');
+  if (rootIndex !== -1) {
+    root = path.resolve(args[rootIndex + 1] || '.');
+    args.splice(rootIndex, 2);
+  }
+
+  const [commandName, ...rest] = args;
+  if (!commandName || commandName === '--help' || commandName === '-h' || commandName === 'help') {
+    printHelp();
+    return 0;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    throw new UsageError(`Unknown command ${commandName}`);
+  }
+
+  if (rest.includes('--help') || rest.includes('-h')) {
+    console.log(command.usage);
+    return 0;
+  }
+
+  return command.run(rest, { root });
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(`Error: ${error.message}`);
+    if (error instanceof UsageError) {
+      console.error('Use --help for usage information');
+      process.exitCode = 2;
+    } else {
+      process.exitCode = 1;
+    }
+  });
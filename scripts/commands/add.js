@@ -0,0 +1,118 @@
+/**
+ * add command
+ * Scaffolds a new package: source config, empty manifest, index entry and update workflow
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs, UsageError } from '../lib/args.js';
+import { manifestPath, sourceConfigPath, loadManifest } from '../lib/registry.js';
+import { writeIndex } from '../lib/package-index.js';
+import { buildManifest, writeYAML } from '../lib/manifest.js';
+import { createSource } from '../lib/sources/index.js';
+import { SOURCE_TYPES } from '../lib/config.js';
+import { workflowPath, nextFreeScheduleHour, renderWorkflow } from '../lib/workflow.js';
+
+export const summary = 'Scaffold a new package';
+
+export const usage = `
+Usage: nori-registry add <package> --source <type> [options]
+
+Creates sources/<package>.json, an empty packages/<package>.yaml, an
+index.yaml entry and .github/workflows/update-<package>.yml. Run
+"nori-registry update <package>" afterwards to fetch versions.
+
+Options:
+  --source <type>            Source type: ${SOURCE_TYPES.join(', ')}
+  --owner <owner>            GitHub repository owner (github sources)
+  --repo <repo>              GitHub repository name (github sources)
+  --bins <json>              JSON array of binaries: [{"name":"bin1","path":"bin/bin1"}]
+  --description <text>       Package description (auto-detected from the source if omitted)
+  --homepage <url>           Homepage (auto-detected from the source if omitted)
+  --license <spdx>           License (auto-detected from the source if omitted)
+  --title <text>             Display name used in the workflow (default: package name)
+  --allow-download-checksum  Allow downloading assets to compute checksums (slow)
+  --github-token <token>     GitHub personal access token (or set GITHUB_TOKEN env var)
+  --force                    Overwrite an existing source config and workflow
+
+Example:
+  nori-registry add ripgrep --source github --owner BurntSushi --repo ripgrep \\
+    --bins '[{"name":"rg","path":"rg"}]'
+`;
+
+/**
+ * Run the add command
+ */
+export async function run(args, { root }) {
+  const { options, positionals } = parseArgs(args, {
+    '--source': 'string',
+    '--owner': 'string',
+    '--repo': 'string',
+    '--bins': 'json',
+    '--description': 'string',
+    '--homepage': 'string',
+    '--license': 'string',
+    '--title': 'string',
+    '--allow-download-checksum': 'boolean',
+    '--github-token': 'string',
+    '--force': 'boolean',
+  });
+
+  const [name] = positionals;
+  if (!name || !/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+    throw new UsageError('Missing or invalid package name (lowercase letters, digits and dashes)');
+  }
+  if (!options.source) {
+    throw new UsageError(`Missing --source (one of ${SOURCE_TYPES.join(', ')})`);
+  }
+
+  const configPath = sourceConfigPath(root, name);
+  if (fs.existsSync(configPath) && !options.force) {
+    throw new UsageError(`sources/${name}.json already exists (use --force to overwrite)`);
+  }
+
+  const config = { source: options.source };
+  if (options.source === 'github') {
+    config.owner = options.owner;
+    config.repo = options.repo;
+    config.bins = options.bins;
+    if (options.allowDownloadChecksum) {
+      config.checksum = { allowDownload: true };
+    }
+  }
+  for (const key of ['description', 'homepage', 'license']) {
+    if (options[key]) {
+      config[key] = options[key];
+    }
+  }
+
+  // Fails early on unknown source types or missing github fields
+  const source = createSource(name, config, { ...options, root });
+
+  fs.mkdirSync(path.dirname(configPath), { recursive: true });
+  fs.writeFileSync(configPath, `${JSON.stringify(config, null, 2)}\n`, 'utf8');
+  console.log(`Created sources/${name}.json`);
+
+  let manifest = loadManifest(root, name);
+  if (!manifest) {
+    const metadata = source.fetchMetadata ? await source.fetchMetadata() : {};
+    manifest = buildManifest(name, {}, metadata, []);
+    writeYAML(manifestPath(root, name), manifest);
+    console.log(`Created packages/${name}.yaml`);
+  }
+
+  if (writeIndex(root)) {
+    console.log('Updated index.yaml');
+  }
+
+  const workflow = workflowPath(root, name);
+  if (!fs.existsSync(workflow) || options.force) {
+    const hour = nextFreeScheduleHour(root);
+    fs.mkdirSync(path.dirname(workflow), { recursive: true });
+    fs.writeFileSync(workflow, renderWorkflow({ name, title: options.title || name, hour }), 'utf8');
+    console.log(`Created ${path.relative(root, workflow)} (daily at ${hour}:00 UTC)`);
+  }
+
+  console.log(`\nNext: nori-registry update ${name}`);
+  return 0;
+}
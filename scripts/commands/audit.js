@@ -0,0 +1,147 @@
+/**
+ * audit command
+ * Re-downloads artifacts and checks them against the checksums in their manifests
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { parseArgs, UsageError } from '../lib/args.js';
+import { listPackageNames, loadManifest } from '../lib/registry.js';
+import { configureHttp } from '../lib/http.js';
+import { DEFAULT_CONCURRENCY, mapConcurrent } from '../lib/pool.js';
+import {
+  DEFAULT_STATE_FILE,
+  sinceFilter,
+  listAuditTargets,
+  isVerified,
+  auditArtifact,
+  describeProblems,
+  loadAuditState,
+  saveAuditState,
+} from '../lib/audit.js';
+
+export const summary = 'Re-download artifacts and verify their checksums';
+
+export const usage = `
+Usage: nori-registry audit <package...> | --all [options]
+
+Downloads the artifacts listed in packages/<package>.yaml, hashes them with
+the algorithm of their checksum (SHA-256 or SHA-512) and reports checksums that do not match, URLs that are gone (404/410)
+and downloads redirected to a host other than the artifact's own host or its
+known CDN. Exits non-zero when anything is wrong.
+
+Results are saved to the state file after every artifact. Artifacts that were
+verified before (same URL and checksum) are skipped, so an interrupted audit
+picks up where it stopped and later runs only check what is new.
+
+Options:
+  --all                  Audit every package in packages/
+  --since <version|date> Only versions from this version on, or released on or after
+                         this date (YYYY-MM-DD; versions without a date are skipped)
+  --sample <n>           Audit n randomly picked unverified artifacts per package
+  --state <file>         Audit state file (default: ${DEFAULT_STATE_FILE} in the registry root)
+  --fresh                Ignore earlier results and audit everything again
+  --allow-host <hosts>   Comma-separated extra hosts downloads may redirect to
+  --concurrency <n>      Downloads in parallel (default: ${DEFAULT_CONCURRENCY})
+  --timeout <ms>         Give up on a stalled request after this long (default: 30000)
+  --retries <n>          Retries for network errors, 429 and 5xx responses (default: 3)
+
+Examples:
+  nori-registry audit --all --sample 20
+  nori-registry audit node --since 2024-01-01
+`;
+
+/**
+ * Pick `count` items at random, keeping their order
+ */
+function sample(items, count) {
+  if (count >= items.length) {
+    return items;
+  }
+  const picked = new Set();
+  while (picked.size < count) {
+    picked.add(crypto.randomInt(items.length));
+  }
+  return items.filter((_, index) => picked.has(index));
+}
+
+/**
+ * Run the audit command
+ */
+export async function run(args, { root }) {
+  const { options, positionals } = parseArgs(args, {
+    '--all': 'boolean',
+    '--since': 'string',
+    '--sample': 'integer',
+    '--state': 'string',
+    '--fresh': 'boolean',
+    '--allow-host': 'string',
+    '--concurrency': 'integer',
+    '--timeout': 'integer',
+    '--retries': 'integer',
+  });
+
+  if (options.all && positionals.length > 0) {
+    throw new UsageError('Pass either package names or --all, not both');
+  }
+  if (options.concurrency === 0 || options.timeout === 0 || options.sample === 0) {
+    throw new UsageError('--concurrency, --timeout and --sample must be greater than 0');
+  }
+  const filter = options.since ? sinceFilter(options.since) : null;
+  if (options.since && !filter) {
+    throw new UsageError(`--since expects a version or a YYYY-MM-DD date, got ${JSON.stringify(options.since)}`);
+  }
+  configureHttp({ timeout: options.timeout, retries: options.retries });
+
+  const names = options.all ? listPackageNames(root) : positionals;
+  if (names.length === 0) {
+    throw new UsageError('Missing package name (or --all)');
+  }
+  const manifests = names.map((name) => {
+    const manifest = loadManifest(root, name);
+    if (!manifest) {
+      throw new UsageError(`No manifest for ${name} (expected packages/${name}.yaml)`);
+    }
+    return { name, manifest };
+  });
+
+  const statePath = path.resolve(root, options.state || DEFAULT_STATE_FILE);
+  const state = options.fresh ? { artifacts: {} } : loadAuditState(statePath);
+  const allowHosts = options.allowHost ? options.allowHost.split(',').map((host) => host.trim()).filter(Boolean) : [];
+  const counts = { checked: 0, ok: 0, skipped: 0, problems: 0 };
+
+  for (const { name, manifest } of manifests) {
+    const targets = listAuditTargets(manifest, { filter });
+    const pending = targets.filter((target) => !isVerified(state.artifacts[target.url], target.checksum));
+    const selected = options.sample ? sample(pending, options.sample) : pending;
+    counts.skipped += targets.length - pending.length;
+
+    console.log(`${name}: ${targets.length} artifact(s), ${targets.length - pending.length} verified before, auditing ${selected.length}`);
+
+    await mapConcurrent(selected, options.concurrency || DEFAULT_CONCURRENCY, async (target) => {
+      const result = await auditArtifact(target, { allowHosts });
+      state.artifacts[target.url] = result;
+      saveAuditState(statePath, state);
+
+      counts.checked++;
+      const problems = describeProblems(result);
+      if (problems.length === 0) {
+        counts.ok++;
+        return;
+      }
+      counts.problems++;
+      for (const problem of problems) {
+        console.log(`  ✗ ${target.version} ${target.platform}: ${problem}`);
+        console.log(`      ${target.url}`);
+      }
+    });
+  }
+
+  console.log('');
+  console.log(`Audited ${counts.checked} artifact(s): ${counts.ok} ok, ${counts.problems} with problems (${counts.skipped} verified before)`);
+  if (counts.problems > 0) {
+    console.log(`Results saved to ${path.relative(root, statePath) || statePath}`);
+    return 1;
+  }
+  return 0;
+}
@@ -0,0 +1,43 @@
+/**
+ * index command
+ * Regenerates index.yaml and the version aliases from the manifests in packages/
+ */
+
+import { isDeepStrictEqual } from 'util';
+import { parseArgs } from '../lib/args.js';
+import { writeIndex } from '../lib/package-index.js';
+import { listPackageNames, loadManifest, loadStableRule, manifestPath } from '../lib/registry.js';
+import { buildManifest, writeYAML } from '../lib/manifest.js';
+import { computeAliases } from '../lib/aliases.js';
+
+export const summary = 'Regenerate index.yaml and manifest aliases from packages/*.yaml';
+
+export const usage = `
+Usage: nori-registry index
+
+Rewrites index.yaml with one entry per manifest in packages/: name,
+description, latest stable version, its platforms and the version count.
+Also regenerates the "aliases" section of every manifest (latest, stable,
+lts, 1.22, ...). "update" and "add" do this automatically; run it after
+editing a manifest by hand.
+`;
+
+/**
+ * Run the index command
+ */
+export async function run(args, { root }) {
+  parseArgs(args);
+
+  for (const name of listPackageNames(root)) {
+    const manifest = loadManifest(root, name);
+    const versions = manifest?.versions || [];
+    const aliases = computeAliases(versions, loadStableRule(root, name));
+    if (!isDeepStrictEqual(aliases, manifest.aliases || {})) {
+      writeYAML(manifestPath(root, name), buildManifest(name, manifest, {}, versions, aliases));
+      console.log(`Updated aliases in packages/${name}.yaml`);
+    }
+  }
+
+  console.log(writeIndex(root) ? 'Updated index.yaml' : 'index.yaml is up to date');
+  return 0;
+}
@@ -0,0 +1,204 @@
+/**
+ * inspect command
+ * Lists a release archive to propose bins and layout for a new package, or checks a
+ * package's bins against the archives its manifest points to
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs, UsageError } from '../lib/args.js';
+import { loadManifest } from '../lib/registry.js';
+import { detectArchiveType } from '../lib/archive.js';
+import { listArchive } from '../lib/archive-contents.js';
+import { proposeBins, suggestSourceConfig, verifyBins, downloadArchive } from '../lib/inspect.js';
+import { matchPlatform } from '../lib/platform.js';
+import { ARCHIVE_TYPES } from '../lib/schema.js';
+
+export const summary = 'Inspect release archives to find or check bins';
+
+export const usage = `
+Usage: nori-registry inspect <url|file> [options]
+       nori-registry inspect <package> [--version <version>] [--platform <platform>]
+
+With a release asset (a URL or a local file), lists the executables it
+contains, infers the folder it unpacks into and suggests the "bins" and
+"archive" settings for sources/<package>.json.
+
+With a package name, downloads the archives of one version (verifying their
+checksums) and checks that every bin exists and is executable under each
+platform's layout. Exits non-zero when a bin is missing.
+
+Options:
+  --type <type>          Archive type when the file name does not tell (${ARCHIVE_TYPES.join(', ')})
+  --list                 Print every entry of the archive
+  --version <version>    Version or alias to check (default: latest)
+  --platform <platform>  Only check this platform (default: all platforms of the version)
+  --json                 Print the result as JSON
+
+Examples:
+  nori-registry inspect https://github.com/neovim/neovim/releases/download/v0.10.0/nvim-linux64.tar.gz
+  nori-registry inspect node --version lts --platform windows-amd64
+`;
+
+/**
+ * Format an entry for --list, like `ls -l` without owners and dates
+ */
+function formatEntry(entry) {
+  const mode = entry.mode === null ? '---------' : [6, 3, 0]
+    .map((shift) => ['r', 'w', 'x'].map((c, i) => ((entry.mode >> shift) & (4 >> i) ? c : '-')).join(''))
+    .join('');
+  const kind = { directory: 'd', symlink: 'l' }[entry.type] || '-';
+  const target = entry.target ? ` -> ${entry.target}` : '';
+  return `  ${kind}${mode} ${String(entry.size).padStart(10)}  ${entry.path}${target}`;
+}
+
+/**
+ * Inspect one release asset and suggest config settings for it
+ */
+async function inspectAsset(asset, options) {
+  const isUrl = /^https?:\/\//.test(asset);
+  const assetName = decodeURIComponent(asset.split(/[/?#]/).filter(Boolean).pop() || asset);
+  const type = options.type || detectArchiveType(assetName);
+  if (!type) {
+    throw new UsageError(`Cannot tell the archive type of ${assetName} (use --type)`);
+  }
+  if (!ARCHIVE_TYPES.includes(type)) {
+    throw new UsageError(`Unknown archive type ${type} (expected one of ${ARCHIVE_TYPES.join(', ')})`);
+  }
+
+  if (isUrl && !options.json) {
+    console.log(`Downloading ${asset}...`);
+  }
+  const buffer = isUrl ? await downloadArchive(asset) : fs.readFileSync(asset);
+  const entries = await listArchive(buffer, type);
+  const proposal = proposeBins(entries);
+  const platform = matchPlatform(assetName);
+  const suggestion = suggestSourceConfig(proposal, {
+    assetName: assetName,
+    version: options.version || null,
+    windows: Boolean(platform?.startsWith('windows-')),
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      asset: assetName,
+      type: type,
+      platform: platform,
+      root: proposal.root,
+      executables: proposal.executables,
+      bins: proposal.bins,
+      config: suggestion,
+      ...(options.list ? { entries: entries } : {}),
+    }, null, 2));
+    return 0;
+  }
+
+  console.log(`${assetName} (${type}${platform ? `, ${platform}` : ''}): ${entries.length} entries`);
+  if (options.list) {
+    for (const entry of entries) {
+      console.log(formatEntry(entry));
+    }
+  }
+  console.log(`Top-level folder: ${proposal.root || '(none)'}`);
+  if (proposal.executables.length === 0) {
+    console.log('No executables found');
+    return 0;
+  }
+  console.log('Executables:');
+  for (const filePath of proposal.executables) {
+    console.log(`  ${filePath}`);
+  }
+  console.log('');
+  console.log('Suggested source config settings:');
+  console.log(JSON.stringify(suggestion, null, 2).split('\n').map((line) => `  ${line}`).join('\n'));
+  return 0;
+}
+
+/**
+ * Check the bins of one version of a package against its archives
+ */
+async function verifyPackage(name, manifest, options) {
+  const versions = manifest.versions || [];
+  const wanted = options.version
+    ? (manifest.aliases?.[options.version] || options.version)
+    : (manifest.aliases?.latest || versions[0]?.version);
+  const entry = versions.find((v) => v.version === wanted);
+  if (!entry) {
+    throw new UsageError(`${name} has no version ${options.version || 'to check'}`);
+  }
+
+  const platforms = Object.keys(entry.platforms || {})
+    .filter((platform) => !options.platform || platform === options.platform);
+  if (platforms.length === 0) {
+    throw new UsageError(`${name} ${entry.version} has no ${options.platform} build`);
+  }
+
+  if (!options.json) {
+    console.log(`${name} ${entry.version}`);
+  }
+  const width = Math.max(...platforms.map((platform) => platform.length));
+  const results = {};
+  let failed = 0;
+
+  // One archive at a time: they are held in memory while listed
+  for (const platform of platforms) {
+    const artifact = entry.platforms[platform];
+    const layout = { ...artifact, bins: artifact.bins || entry.bins };
+    let problems;
+    try {
+      const buffer = await downloadArchive(artifact.url, { checksum: artifact.checksum });
+      problems = verifyBins(await listArchive(buffer, artifact.type), layout);
+    } catch (error) {
+      problems = [`could not inspect ${artifact.url}: ${error.message}`];
+    }
+    results[platform] = { url: artifact.url, problems: problems };
+    if (problems.length > 0) {
+      failed++;
+    }
+
+    if (!options.json) {
+      const status = problems.length === 0 ? `ok (${layout.bins.map((bin) => bin.path).join(', ')})` : problems[0];
+      console.log(`  ${platform.padEnd(width)}  ${status}`);
+      for (const problem of problems.slice(1)) {
+        console.log(`  ${' '.repeat(width)}  ${problem}`);
+      }
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ package: name, version: entry.version, platforms: results }, null, 2));
+  } else {
+    console.log('');
+    console.log(failed === 0
+      ? `All bins found in ${platforms.length} archive(s)`
+      : `Bins are wrong for ${failed} of ${platforms.length} platform(s) of packages/${name}.yaml`);
+  }
+  return failed === 0 ? 0 : 1;
+}
+
+/**
+ * Run the inspect command
+ */
+export async function run(args, { root }) {
+  const { options, positionals } = parseArgs(args, {
+    '--type': 'string',
+    '--list': 'boolean',
+    '--version': 'string',
+    '--platform': 'string',
+    '--json': 'boolean',
+  });
+  const [target] = positionals;
+  if (!target) {
+    throw new UsageError('Missing release asset or package name');
+  }
+
+  if (/^https?:\/\//.test(target) || fs.existsSync(target)) {
+    return inspectAsset(/^https?:\/\//.test(target) ? target : path.resolve(target), options);
+  }
+
+  const manifest = /^[a-z0-9][a-z0-9-]*$/.test(target) ? loadManifest(root, target) : null;
+  if (!manifest) {
+    throw new UsageError(`${target} is neither a file, a URL nor a package in packages/`);
+  }
+  return verifyPackage(target, manifest, options);
+}
@@ -0,0 +1,48 @@
+/**
+ * list command
+ * Prints every package in the registry with its newest stable version, as index.yaml lists it
+ */
+
+import { parseArgs } from '../lib/args.js';
+import { listPackageNames, loadManifest, loadSourceConfig } from '../lib/registry.js';
+import { buildIndexEntry } from '../lib/schema.js';
+
+export const summary = 'List packages in the registry';
+
+export const usage = `
+Usage: nori-registry list [--json]
+
+Options:
+  --json  Print the list as JSON
+`;
+
+/**
+ * Run the list command
+ */
+export async function run(args, { root }) {
+  const { options } = parseArgs(args, { '--json': 'boolean' });
+
+  const rows = listPackageNames(root).map((name) => {
+    const manifest = loadManifest(root, name) || {};
+    const versions = manifest.versions || [];
+    return {
+      name: name,
+      latest: buildIndexEntry(manifest).latest_version,
+      versions: versions.length,
+      source: loadSourceConfig(root, name)?.source || null,
+      description: manifest.description || '',
+    };
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return 0;
+  }
+
+  const nameWidth = Math.max(4, ...rows.map((r) => r.name.length));
+  const latestWidth = Math.max(6, ...rows.map((r) => (r.latest || '-').length));
+  for (const row of rows) {
+    console.log(`${row.name.padEnd(nameWidth)}  ${(row.latest || '-').padEnd(latestWidth)}  ${String(row.versions).padStart(4)} versions  ${row.description}`);
+  }
+  return 0;
+}
@@ -0,0 +1,65 @@
+/**
+ * show command
+ * Prints a package's metadata, source config and most recent versions
+ */
+
+import { parseArgs, UsageError } from '../lib/args.js';
+import { loadManifest, loadSourceConfig } from '../lib/registry.js';
+
+export const summary = 'Show details for a package';
+
+export const usage = `
+Usage: nori-registry show <package> [--versions <n>] [--json]
+
+Options:
+  --versions <n>  Number of versions to show (default: 10, 0 for all)
+  --json          Print the manifest and source config as JSON
+`;
+
+/**
+ * Run the show command
+ */
+export async function run(args, { root }) {
+  const { options, positionals } = parseArgs(args, { '--versions': 'string', '--json': 'boolean' });
+  const [name] = positionals;
+  if (!name) {
+    throw new UsageError('Missing package name');
+  }
+
+  const manifest = loadManifest(root, name);
+  if (!manifest) {
+    throw new UsageError(`Unknown package ${name} (no packages/${name}.yaml)`);
+  }
+  const sourceConfig = loadSourceConfig(root, name);
+
+  if (options.json) {
+    console.log(JSON.stringify({ manifest, source: sourceConfig }, null, 2));
+    return 0;
+  }
+
+  const versions = manifest.versions || [];
+  const limit = options.versions === undefined ? 10 : parseInt(options.versions, 10);
+  const shown = limit > 0 ? versions.slice(0, limit) : versions;
+
+  console.log(`${manifest.name}: ${manifest.description}`);
+  console.log(`  homepage: ${manifest.homepage}`);
+  console.log(`  license:  ${manifest.license}`);
+  if (sourceConfig) {
+    const upstream = sourceConfig.owner ? ` (${sourceConfig.owner}/${sourceConfig.repo})` : '';
+    console.log(`  source:   ${sourceConfig.source}${upstream}`);
+  }
+  console.log(`  versions: ${versions.length}`);
+  const aliases = Object.entries(manifest.aliases || {});
+  if (aliases.length > 0) {
+    console.log(`  aliases:  ${aliases.map(([alias, version]) => `${alias} -> ${version}`).join(', ')}`);
+  }
+  console.log('');
+
+  for (const entry of shown) {
+    console.log(`  ${entry.version}  ${Object.keys(entry.platforms || {}).join(', ')}`);
+  }
+  if (shown.length < versions.length) {
+    console.log(`  ... ${versions.length - shown.length} more (use --versions 0 to show all)`);
+  }
+  return 0;
+}
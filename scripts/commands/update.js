@@ -0,0 +1,183 @@
+/**
+ * update command
+ * Runs the configured source adapter for one or more packages
+ */
+
+import path from 'path';
+import { parseArgs, UsageError } from '../lib/args.js';
+import { listSourceConfigNames, loadSourceConfig } from '../lib/registry.js';
+import { createSource } from '../lib/sources/index.js';
+import { runUpdate } from '../lib/update.js';
+import { createLineReporter, createProgressBarReporter } from '../lib/progress.js';
+import { configureHttp } from '../lib/http.js';
+import { DEFAULT_CACHE_DIR, configureCache, cacheStats } from '../lib/cache.js';
+import { DEFAULT_SYNC_STATE_FILE, loadSyncState, saveSyncState } from '../lib/sync.js';
+import { formatDiff, createReport } from '../lib/diff.js';
+import { parseRange } from '../lib/semver.js';
+
+export const summary = 'Fetch new upstream versions into packages/<name>.yaml';
+
+export const usage = `
+Usage: nori-registry update <package...> | --all [options]
+
+Reads each package's settings from sources/<package>.json and merges new
+upstream versions into packages/<package>.yaml.
+
+Checksums computed from downloads and fetched checksum and signature files are
+kept in a download cache (${DEFAULT_CACHE_DIR}/ in the registry root, or
+NORI_CACHE_DIR) and reused while the server reports the same ETag and size.
+
+What each run saw upstream is recorded in a sync state file. The next run asks
+for the release listing conditionally and stops when it has not changed, and
+GitHub releases are only paged through up to the release processed last time.
+Editing a package's source config or manifest makes its next run a full sync.
+
+--dry-run writes nothing and prints what would change instead: added versions,
+added or removed platforms and changed checksums of existing versions. --json
+prints the changes as a JSON report on stdout (progress goes to stderr).
+
+Versions already in the manifest are skipped unless --refresh (every version)
+or --refresh-range <range> resolves them again: platforms published since are
+added. A published url or checksum that changed upstream is kept, reported and
+written to an incident report in incidents/ (the command then exits non-zero),
+unless checksum-overrides.json approves the change.
+
+Releases whose artifacts cannot be resolved (e.g. a checksum file that is not
+published yet) are left out and tried again on the next run. The versions that
+did resolve are still written, but the command exits non-zero so a scheduled
+run can tell a partial update from a clean one.
+
+Options:
+  --all                      Update every package that has a source config
+  --github-token <token>     GitHub personal access token (or set GITHUB_TOKEN env var)
+  --allow-download-checksum  Download assets to compute checksums when none are published (slow)
+  --concurrency <n>          Releases resolved and files downloaded in parallel (default: 4)
+  --timeout <ms>             Give up on a stalled request after this long (default: 30000)
+  --retries <n>              Retries for network errors, 429 and 5xx responses (default: 3)
+  --cache-dir <dir>          Download cache directory
+  --no-cache                 Do not read or write the download cache
+  --sync-state <file>        Sync state file (default: ${DEFAULT_SYNC_STATE_FILE} in the registry root)
+  --full                     Ignore the sync state and list every upstream release
+  --dry-run                  Print what would change without writing any file
+  --json                     Print a JSON report of the changes
+  --refresh                  Resolve existing versions again and add missing platforms
+  --refresh-range <range>    Only refresh existing versions in this range (e.g. ">=1.2.0")
+`;
+
+/**
+ * Run the update command
+ */
+export async function run(args, { root }) {
+  const { options, positionals } = parseArgs(args, {
+    '--all': 'boolean',
+    '--github-token': 'string',
+    '--allow-download-checksum': 'boolean',
+    '--concurrency': 'integer',
+    '--timeout': 'integer',
+    '--retries': 'integer',
+    '--cache-dir': 'string',
+    '--no-cache': 'boolean',
+    '--sync-state': 'string',
+    '--full': 'boolean',
+    '--dry-run': 'boolean',
+    '--json': 'boolean',
+    '--refresh': 'boolean',
+    '--refresh-range': 'string',
+  });
+
+  if (options.all && positionals.length > 0) {
+    throw new UsageError('Pass either package names or --all, not both');
+  }
+  if (options.concurrency === 0 || options.timeout === 0) {
+    throw new UsageError('--concurrency and --timeout must be greater than 0');
+  }
+  if (options.cacheDir && options.noCache) {
+    throw new UsageError('Pass either --cache-dir or --no-cache, not both');
+  }
+  if (options.refreshRange) {
+    try {
+      parseRange(options.refreshRange);
+    } catch (error) {
+      throw new UsageError(`--refresh-range: ${error.message}`);
+    }
+  }
+  const refresh = options.refreshRange || Boolean(options.refresh);
+  configureHttp({ timeout: options.timeout, retries: options.retries });
+  const cacheDir = options.noCache ? null : path.resolve(root, options.cacheDir || process.env.NORI_CACHE_DIR || DEFAULT_CACHE_DIR);
+  configureCache({ dir: cacheDir });
+
+  const names = options.all ? listSourceConfigNames(root) : positionals;
+  if (names.length === 0) {
+    throw new UsageError('Missing package name (or --all)');
+  }
+
+  // Resolve every config up front so a typo fails before any network work
+  const sources = names.map((name) => {
+    const config = loadSourceConfig(root, name);
+    if (!config) {
+      throw new UsageError(`No source config for ${name} (expected sources/${name}.json)`);
+    }
+    return { name, config, source: createSource(name, config, { ...options, root }) };
+  });
+
+  const syncStatePath = path.resolve(root, options.syncState || DEFAULT_SYNC_STATE_FILE);
+  const syncState = loadSyncState(syncStatePath);
+  if (options.full) {
+    for (const { name } of sources) {
+      delete syncState.packages[name];
+    }
+  }
+
+  // With --json, stdout only carries the report
+  const log = options.json ? console.error : console.log;
+  const failed = [];
+  const drifted = [];
+  const partial = [];
+  const diffs = [];
+  for (const { name, config, source } of sources) {
+    if (sources.length > 1) {
+      log(`\n=== ${name} ===`);
+    }
+    try {
+      const reporter = config.source === 'github' && !options.json ? createProgressBarReporter() : createLineReporter(log);
+      const diff = await runUpdate(source, {
+        root, reporter, log, concurrency: options.concurrency, syncState, dryRun: options.dryRun, refresh,
+      });
+      diffs.push(diff);
+      if (diff.drift.length > 0) {
+        drifted.push(`${name} (${diff.drift.length})`);
+      }
+      if (diff.unresolved.length > 0) {
+        partial.push(`${name} (${diff.unresolved.join(', ')})`);
+      }
+      if (options.dryRun) {
+        log(['', ...formatDiff(diff)].join('\n'));
+      } else {
+        saveSyncState(syncStatePath, syncState);
+      }
+    } catch (error) {
+      console.error(`Error updating ${name}: ${error.message}`);
+      failed.push(name);
+    }
+  }
+
+  const { hits, misses } = cacheStats();
+  if (hits + misses > 0) {
+    log(`\nDownload cache: ${hits} of ${hits + misses} download(s) reused from ${path.relative(root, cacheDir) || cacheDir}`);
+  }
+  if (options.json) {
+    console.log(JSON.stringify(createReport(diffs, { dryRun: options.dryRun, failed }), null, 2));
+  }
+
+  if (drifted.length > 0) {
+    console.error(`\nPublished artifacts changed upstream, recorded ones kept: ${drifted.join(', ')}`);
+  }
+  if (partial.length > 0) {
+    console.error(`\nReleases that could not be resolved, left for the next run: ${partial.join(', ')}`);
+  }
+  if (failed.length > 0) {
+    console.error(`\nFailed to update: ${failed.join(', ')}`);
+    return 1;
+  }
+  return drifted.length > 0 || partial.length > 0 ? 1 : 0;
+}
@@ -0,0 +1,37 @@
+/**
+ * validate command
+ * Checks packages/*.yaml and index.yaml against the schema 1 definition
+ */
+
+import { parseArgs } from '../lib/args.js';
+import { validateRegistry, formatValidationError } from '../lib/registry.js';
+
+export const summary = 'Validate manifests and index.yaml against the schema';
+
+export const usage = `
+Usage: nori-registry validate [package...]
+
+Validates every manifest in packages/, every source config in sources/ and
+index.yaml. When package names are given, only those packages are validated
+and the index check is skipped.
+`;
+
+/**
+ * Run the validate command
+ */
+export async function run(args, { root }) {
+  const { positionals } = parseArgs(args);
+  const { manifests, sourceConfigs, errors } = validateRegistry(root, positionals);
+
+  for (const error of errors) {
+    console.error(formatValidationError(error));
+  }
+
+  if (errors.length > 0) {
+    console.error(`\n${errors.length} error(s) found`);
+    return 1;
+  }
+
+  console.log(`Validated ${manifests.size} manifest(s) and ${sourceConfigs} source config(s): no errors`);
+  return 0;
+}
@@ -0,0 +1,78 @@
+/**
+ * Version Aliases
+ * Names that resolve to a version in the manifest (latest, stable, lts, 1.22, ...),
+ * recomputed after every merge so clients do not have to scan the version list
+ */
+
+import { satisfies } from './semver.js';
+
+// What counts as stable when the source config has no `stable` rule
+export const DEFAULT_STABLE_RULE = { lts: false, range: null };
+
+/**
+ * Check a version entry against a package's stable rule
+ * Only stable-channel versions qualify; the rule can further require an LTS codename
+ * or a version range (see the `stable` section of the source config)
+ */
+export function isStableVersion(entry, rule = DEFAULT_STABLE_RULE) {
+  if ((entry.channel || 'stable') !== 'stable') {
+    return false;
+  }
+  if (rule.lts && !entry.lts) {
+    return false;
+  }
+  if (rule.range && !satisfies(entry.version, rule.range)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Compute the aliases for a manifest's versions (sorted newest first)
+ *   - latest -> newest version that is not a nightly
+ *   - stable -> newest version the package's stable rule accepts
+ *   - lts, lts/latest -> newest version with an LTS codename
+ *   - lts/<codename> -> newest version of that LTS line (lowercase, as nvm spells it)
+ *   - <major>.<minor> -> newest stable-channel patch release of that line (e.g. 1.22)
+ * Returns an empty object when there are no versions.
+ */
+export function computeAliases(versions, stableRule = DEFAULT_STABLE_RULE) {
+  const named = {};
+  const ltsLines = {};
+  const minorLines = {};
+  const add = (target, name, version) => {
+    if (!target[name]) {
+      target[name] = version;
+    }
+  };
+
+  for (const entry of versions) {
+    const channel = entry.channel || 'stable';
+    if (channel !== 'nightly') {
+      add(named, 'latest', entry.version);
+    }
+    if (isStableVersion(entry, stableRule)) {
+      add(named, 'stable', entry.version);
+    }
+    if (channel !== 'stable') {
+      continue;
+    }
+    if (entry.lts) {
+      add(named, 'lts', entry.version);
+      add(ltsLines, `lts/${entry.lts.toLowerCase()}`, entry.version);
+    }
+    const [major, minor] = entry.version.split('.');
+    add(minorLines, `${major}.${minor}`, entry.version);
+  }
+
+  const aliases = {};
+  for (const name of ['latest', 'stable', 'lts']) {
+    if (named[name]) {
+      aliases[name] = named[name];
+    }
+  }
+  if (named.lts) {
+    aliases['lts/latest'] = named.lts;
+  }
+  return { ...aliases, ...ltsLines, ...minorLines };
+}
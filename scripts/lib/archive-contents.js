@@ -0,0 +1,332 @@
+/**
+ * Archive Contents
+ * Lists the entries of tar, tar.gz, tar.xz and zip archives in pure JS (no tar, unzip
+ * or xz binaries needed), so bins and layouts can be checked against real release assets
+ */
+
+import zlib from 'zlib';
+import { decodeXz } from './xz.js';
+
+/**
+ * An entry of an archive listing.
+ *
+ * @typedef {Object} ArchiveEntry
+ * @property {string} path - Path inside the archive, without a leading "./" or trailing "/"
+ * @property {string} type - file, directory, symlink, link (hard link) or other
+ * @property {number|null} mode - Permission bits (e.g. 0o755); null when the archive has none
+ *   (zips created on Windows)
+ * @property {number} size - Uncompressed size in bytes
+ * @property {string} [target] - Link target of a symlink or hard link (tar archives only)
+ */
+
+/**
+ * Error raised for an archive that cannot be read
+ */
+export class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+  }
+}
+
+/**
+ * Normalize an entry path: forward slashes, no "./" prefix, no trailing slash
+ */
+function normalizeEntryPath(entryPath) {
+  return entryPath.replace(/\\/g, '/').replace(/^(\.\/)+/, '').replace(/\/+$/, '');
+}
+
+/**
+ * Read a NUL-terminated string field of a tar header
+ */
+function tarString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+/**
+ * Read a numeric tar header field: octal text, or base-256 when the high bit is set
+ */
+function tarNumber(header, offset, length) {
+  if (header[offset] & 0x80) {
+    let value = header[offset] & 0x7f;
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + header[offset + i];
+    }
+    return value;
+  }
+  const text = tarString(header, offset, length).trim();
+  return text === '' ? 0 : parseInt(text, 8);
+}
+
+/**
+ * Parse the records of a pax extended header ("<length> <key>=<value>\n" each)
+ */
+function parsePaxHeaders(data) {
+  const headers = {};
+  let pos = 0;
+  while (pos < data.length) {
+    const space = data.indexOf(0x20, pos);
+    const length = parseInt(data.subarray(pos, space).toString('utf8'), 10);
+    if (space === -1 || !(length > 0)) {
+      break;
+    }
+    const record = data.subarray(space + 1, pos + length - 1).toString('utf8');
+    const equals = record.indexOf('=');
+    if (equals !== -1) {
+      headers[record.slice(0, equals)] = record.slice(equals + 1);
+    }
+    pos += length;
+  }
+  return headers;
+}
+
+const TAR_TYPES = { '0': 'file', '\0': 'file', '7': 'file', '1': 'link', '2': 'symlink', '5': 'directory' };
+
+/**
+ * Create an incremental tar parser
+ * Feed it the (uncompressed) tar stream with write(chunk); `onEntry` receives each
+ * ArchiveEntry. File contents are skipped without being buffered. end() throws if the
+ * stream stopped in the middle of an entry.
+ */
+export function createTarParser(onEntry) {
+  let pending = Buffer.alloc(0);
+  let skip = 0;          // bytes of file data (and padding) still to skip
+  let meta = null;       // { type, size }: extended header data still to read
+  let longName = null;   // GNU 'L' record for the next entry
+  let longLink = null;   // GNU 'K' record for the next entry
+  let pax = {};          // pax 'x' headers for the next entry
+  let finished = false;
+
+  const handleHeader = (header) => {
+    if (header.every((b) => b === 0)) {
+      finished = true;
+      return;
+    }
+
+    let sum = 0;
+    for (let i = 0; i < 512; i++) {
+      sum += i >= 148 && i < 156 ? 0x20 : header[i];
+    }
+    if (sum !== tarNumber(header, 148, 8)) {
+      throw new ArchiveError('Invalid tar header (checksum mismatch)');
+    }
+
+    const typeflag = String.fromCharCode(header[156]);
+    const size = tarNumber(header, 124, 12);
+    const padded = Math.ceil(size / 512) * 512;
+
+    if (typeflag === 'L' || typeflag === 'K' || typeflag === 'x') {
+      meta = { type: typeflag, size: size, padding: padded - size };
+      return;
+    }
+    if (typeflag === 'g') {
+      skip = padded;
+      return;
+    }
+
+    const prefix = tarString(header, 257, 6).startsWith('ustar') ? tarString(header, 345, 155) : '';
+    const name = tarString(header, 0, 100);
+    const entryPath = pax.path || longName || (prefix ? `${prefix}/${name}` : name);
+    const target = pax.linkpath || longLink || tarString(header, 157, 100);
+    const type = TAR_TYPES[typeflag] || 'other';
+    const entry = {
+      path: normalizeEntryPath(entryPath),
+      type: name.endsWith('/') && type === 'file' ? 'directory' : type,
+      mode: tarNumber(header, 100, 8) & 0o7777,
+      size: pax.size !== undefined ? Number(pax.size) : size,
+      ...(type === 'symlink' || type === 'link' ? { target: target } : {}),
+    };
+    longName = null;
+    longLink = null;
+    pax = {};
+    if (entry.path !== '') {
+      onEntry(entry);
+    }
+    // Hard links, symlinks and directories carry no data
+    skip = type === 'file' || type === 'other' ? Math.ceil(entry.size / 512) * 512 : padded;
+  };
+
+  return {
+    write(chunk) {
+      if (finished) {
+        return;
+      }
+      let data = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      let offset = 0;
+      while (!finished) {
+        if (skip > 0) {
+          const n = Math.min(skip, data.length - offset);
+          skip -= n;
+          offset += n;
+          if (skip > 0) break;
+          continue;
+        }
+        if (meta) {
+          if (data.length - offset < meta.size) break;
+          const body = data.subarray(offset, offset + meta.size);
+          if (meta.type === 'x') {
+            pax = parsePaxHeaders(body);
+          } else {
+            const value = body.toString('utf8').replace(/\0+$/, '');
+            if (meta.type === 'L') longName = value;
+            else longLink = value;
+          }
+          offset += meta.size;
+          skip = meta.padding;
+          meta = null;
+          continue;
+        }
+        if (data.length - offset < 512) break;
+        handleHeader(data.subarray(offset, offset + 512));
+        offset += 512;
+      }
+      // Keep only the unread tail (a partial header at most), not the whole chunk
+      pending = Buffer.from(data.subarray(offset));
+      data = null;
+    },
+    end() {
+      if (!finished && (skip > 0 || meta || pending.length > 0)) {
+        throw new ArchiveError('Unexpected end of tar archive');
+      }
+    },
+  };
+}
+
+/**
+ * List a tar stream that arrives through `feed`, which calls its argument with each chunk
+ */
+async function listTar(feed) {
+  const entries = [];
+  const parser = createTarParser((entry) => entries.push(entry));
+  await feed((chunk) => parser.write(chunk));
+  parser.end();
+  return entries;
+}
+
+/**
+ * Stream a gzip buffer through zlib, passing each decompressed chunk on
+ */
+function gunzip(buffer, onData) {
+  return new Promise((resolve, reject) => {
+    const stream = zlib.createGunzip();
+    stream.on('data', (chunk) => {
+      try {
+        onData(chunk);
+      } catch (error) {
+        stream.destroy(error);
+      }
+    });
+    stream.on('end', resolve);
+    stream.on('error', (error) => reject(error instanceof ArchiveError ? error : new ArchiveError(`Invalid gzip data: ${error.message}`)));
+    stream.end(buffer);
+  });
+}
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_END_LOCATOR = 0x07064b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+const ZIP_CENTRAL_FILE_HEADER = 0x02014b50;
+const ZIP_HOST_UNIX = 3;
+
+/**
+ * List a zip archive from its central directory
+ * Permission bits come from the external attributes of entries made on Unix hosts
+ */
+function listZip(buffer) {
+  // The end of central directory record sits before a comment of up to 64 KiB
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new ArchiveError('Not a zip archive (no end of central directory record)');
+  }
+
+  let count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if ((count === 0xffff || offset === 0xffffffff) && end >= 20 && buffer.readUInt32LE(end - 20) === ZIP64_END_LOCATOR) {
+    const zip64End = Number(buffer.readBigUInt64LE(end - 12));
+    if (buffer.readUInt32LE(zip64End) !== ZIP64_END_OF_CENTRAL_DIRECTORY) {
+      throw new ArchiveError('Invalid zip64 end of central directory record');
+    }
+    count = Number(buffer.readBigUInt64LE(zip64End + 32));
+    offset = Number(buffer.readBigUInt64LE(zip64End + 48));
+  }
+
+  const entries = [];
+  let pos = offset;
+  for (let i = 0; i < count; i++) {
+    if (pos + 46 > buffer.length || buffer.readUInt32LE(pos) !== ZIP_CENTRAL_FILE_HEADER) {
+      throw new ArchiveError('Invalid zip central directory');
+    }
+    const host = buffer[pos + 5];
+    const flags = buffer.readUInt16LE(pos + 8);
+    let size = buffer.readUInt32LE(pos + 24);
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const extraLength = buffer.readUInt16LE(pos + 30);
+    const commentLength = buffer.readUInt16LE(pos + 32);
+    const attributes = buffer.readUInt32LE(pos + 38);
+    const rawName = buffer.subarray(pos + 46, pos + 46 + nameLength);
+    // Bit 11: UTF-8 names; otherwise CP437, which agrees with latin1 for the ASCII names releases use
+    const name = rawName.toString(flags & 0x800 ? 'utf8' : 'latin1');
+
+    if (size === 0xffffffff) {
+      // The zip64 extra field holds the real size
+      const extra = buffer.subarray(pos + 46 + nameLength, pos + 46 + nameLength + extraLength);
+      for (let e = 0; e + 4 <= extra.length;) {
+        const id = extra.readUInt16LE(e);
+        const length = extra.readUInt16LE(e + 2);
+        if (id === 0x0001 && length >= 8) {
+          size = Number(extra.readBigUInt64LE(e + 4));
+          break;
+        }
+        e += 4 + length;
+      }
+    }
+
+    const unixMode = host === ZIP_HOST_UNIX ? attributes >>> 16 : 0;
+    let type = 'file';
+    if ((unixMode & 0o170000) === 0o120000) {
+      type = 'symlink';
+    } else if ((unixMode & 0o170000) === 0o040000 || name.endsWith('/') || (attributes & 0x10)) {
+      type = 'directory';
+    }
+    const entry = {
+      path: normalizeEntryPath(name),
+      type: type,
+      mode: unixMode ? unixMode & 0o7777 : null,
+      size: size,
+    };
+    if (entry.path !== '') {
+      entries.push(entry);
+    }
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * List the entries of an archive held in `buffer`
+ * `type` is one of the archive types of the manifest schema (tar, tar.gz, tar.xz, zip).
+ * Resolves with ArchiveEntry objects in archive order; rejects with an ArchiveError
+ * (or XzError) when the archive is corrupt.
+ */
+export async function listArchive(buffer, type) {
+  switch (type) {
+    case 'tar':
+      return listTar((onData) => onData(buffer));
+    case 'tar.gz':
+      return listTar((onData) => gunzip(buffer, onData));
+    case 'tar.xz':
+      return listTar((onData) => decodeXz(buffer, onData));
+    case 'zip':
+      return listZip(buffer);
+    default:
+      throw new ArchiveError(`Unsupported archive type ${JSON.stringify(type)}`);
+  }
+}
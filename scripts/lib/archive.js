@@ -0,0 +1,74 @@
+/**
+ * Archive type and layout helpers shared by the source adapters
+ */
+
+/**
+ * Detect archive type from filename or URL
+ * Only returns types supported by nori: tar, zip, tar.gz (.tgz), tar.xz (.txz)
+ */
+export function detectArchiveType(filename) {
+  const lower = filename.toLowerCase();
+  if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) {
+    return 'tar.gz';
+  } else if (lower.endsWith('.tar.xz') || lower.endsWith('.txz')) {
+    return 'tar.xz';
+  } else if (lower.endsWith('.zip')) {
+    return 'zip';
+  } else if (lower.endsWith('.tar')) {
+    return 'tar';
+  }
+  // Exclude: .msi, .exe, .deb, .rpm, .dmg, .pkg, .appimage, etc.
+  return null;
+}
+
+/**
+ * Get archive type priority for asset selection
+ * Lower number = higher priority
+ * Only supports types that nori can handle: tar, zip, tar.gz, tgz, tar.xz
+ */
+export function getArchiveTypePriority(archiveType, os) {
+  if (os === 'windows') {
+    // Windows: zip only (nori doesn't support msi)
+    if (archiveType === 'zip') return 1;
+  } else {
+    // Linux/macOS: tar.gz > tar.xz > tar > zip
+    if (archiveType === 'tar.gz') return 1;
+    if (archiveType === 'tar.xz') return 2;
+    if (archiveType === 'tar') return 3;
+    if (archiveType === 'zip') return 4;
+  }
+  return 999; // Unknown types have lowest priority
+}
+
+/**
+ * File name of an archive without directories and archive extension
+ * (https://nodejs.org/dist/v20.12.2/node-v20.12.2-linux-x64.tar.gz -> node-v20.12.2-linux-x64).
+ * Most upstreams wrap their archives in a top-level folder of this name.
+ */
+export function archiveBaseName(filename) {
+  const name = filename.split('/').pop();
+  return name.replace(/\.(tar\.gz|tgz|tar\.xz|txz|tar|zip)$/i, '');
+}
+
+/**
+ * Check whether a path has an extension Windows runs directly (.exe, .cmd, .bat, .com)
+ */
+export function isWindowsExecutable(filePath) {
+  return /\.(exe|cmd|bat|com)$/i.test(filePath);
+}
+
+/**
+ * Windows spelling of a bins list: paths without an executable extension gain ".exe"
+ * Returns null when every path already has one (nothing to override)
+ */
+export function windowsBins(bins) {
+  let changed = false;
+  const result = bins.map((bin) => {
+    if (isWindowsExecutable(bin.path)) {
+      return bin;
+    }
+    changed = true;
+    return { ...bin, path: `${bin.path}.exe` };
+  });
+  return changed ? result : null;
+}
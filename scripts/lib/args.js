@@ -0,0 +1,81 @@
+/**
+ * Command-line argument parsing for the registry CLI
+ */
+
+/**
+ * Error raised for invalid command-line usage
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Convert "--allow-download-checksum" into "allowDownloadChecksum"
+ */
+function optionKey(flag) {
+  return flag.replace(/^--?/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Parse arguments against a spec of flags
+ * `spec` maps flags to 'boolean', 'string', 'integer' (non-negative) or 'json'; '-h'/'--help' are always recognised
+ * Returns { options, positionals }
+ */
+export function parseArgs(args, spec = {}) {
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+      continue;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.split(/=(.*)/s, 2);
+    const type = spec[flag];
+    if (!type) {
+      throw new UsageError(`Unknown option ${flag}`);
+    }
+
+    if (type === 'boolean') {
+      options[optionKey(flag)] = true;
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === undefined) {
+      value = args[i + 1];
+      i++;
+    }
+    if (value === undefined) {
+      throw new UsageError(`Option ${flag} requires a value`);
+    }
+
+    if (type === 'json') {
+      try {
+        value = JSON.parse(value);
+      } catch (e) {
+        throw new UsageError(`Error parsing ${flag}: ${e.message}`);
+      }
+    }
+    if (type === 'integer') {
+      if (!/^\d+$/.test(value)) {
+        throw new UsageError(`Option ${flag} expects a non-negative integer, got ${JSON.stringify(value)}`);
+      }
+      value = Number(value);
+    }
+    options[optionKey(flag)] = value;
+  }
+
+  return { options, positionals };
+}
@@ -0,0 +1,154 @@
+/**
+ * Checksum Audit
+ * Re-downloads the artifacts a manifest points to and checks their bytes against the
+ * recorded checksums, which came from GitHub digests, checksum files or upstream JSON
+ * and were never verified against the files themselves
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { calculateChecksum, splitChecksum } from './checksum.js';
+import { HttpError } from './http.js';
+import { compareVersions, parseVersion } from './semver.js';
+
+// Hosts that downloads from a host may redirect to (GitHub release assets live on a CDN)
+const REDIRECT_HOSTS = {
+  'github.com': ['objects.githubusercontent.com', 'release-assets.githubusercontent.com', 'github-releases.githubusercontent.com'],
+  'go.dev': ['dl.google.com'],
+  'golang.org': ['dl.google.com'],
+};
+
+export const DEFAULT_STATE_FILE = '.audit-state.json';
+
+/**
+ * Result of auditing one artifact.
+ *
+ * @typedef {Object} AuditResult
+ * @property {string} status - ok, mismatch (the bytes do not match the checksum),
+ *   missing (404 or 410) or error (any other failure)
+ * @property {string} checksum - Checksum recorded in the manifest
+ * @property {string} [actual] - Checksum of the downloaded bytes, for ok and mismatch
+ * @property {string[]} unexpectedHosts - Redirect targets outside the expected hosts
+ * @property {string} [message] - What went wrong, for missing and error
+ * @property {string} checked - When the artifact was audited (ISO 8601)
+ */
+
+/**
+ * Hosts an artifact URL may be served from: its own host, the CDNs that host is known
+ * to redirect to, and any hosts allowed on the command line
+ */
+export function expectedHosts(url, allowHosts = []) {
+  const host = new URL(url).host;
+  return new Set([host, ...(REDIRECT_HOSTS[host] || []), ...allowHosts]);
+}
+
+/**
+ * Build the filter for --since: a date (YYYY-MM-DD) keeps versions released on or after
+ * it (versions without a recorded date are left out), anything else is a version and
+ * keeps that version and every later one
+ * Returns null when `since` is not a valid date or version
+ */
+export function sinceFilter(since) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(since)) {
+    return Number.isNaN(Date.parse(since)) ? null : (entry) => Boolean(entry.date) && entry.date >= since;
+  }
+  if (!parseVersion(since)) {
+    return null;
+  }
+  return (entry) => compareVersions(entry.version, since) >= 0;
+}
+
+/**
+ * List the artifacts of a manifest to audit, newest version first
+ * `filter` (from sinceFilter) limits the versions
+ * Returns [{ version, platform, url, checksum }]
+ */
+export function listAuditTargets(manifest, { filter = null } = {}) {
+  const targets = [];
+  for (const entry of manifest.versions || []) {
+    if (filter && !filter(entry)) {
+      continue;
+    }
+    for (const [platform, artifact] of Object.entries(entry.platforms || {})) {
+      targets.push({ version: entry.version, platform: platform, url: artifact.url, checksum: artifact.checksum });
+    }
+  }
+  return targets;
+}
+
+/**
+ * Check whether a result needs no further auditing: the bytes matched the same checksum
+ * and came from expected hosts
+ */
+export function isVerified(result, checksum) {
+  return Boolean(result) && result.status === 'ok' && result.checksum === checksum && result.unexpectedHosts.length === 0;
+}
+
+/**
+ * Download one artifact and compare its SHA-256 with the manifest's checksum
+ * Never rejects: failures become a missing or error result
+ */
+export async function auditArtifact(target, { allowHosts = [] } = {}) {
+  const allowed = expectedHosts(target.url, allowHosts);
+  const unexpectedHosts = [];
+  const onRedirect = (nextUrl) => {
+    const host = new URL(nextUrl).host;
+    if (!allowed.has(host) && !unexpectedHosts.includes(host)) {
+      unexpectedHosts.push(host);
+    }
+  };
+
+  const result = { checksum: target.checksum, unexpectedHosts: unexpectedHosts };
+  try {
+    const { algorithm } = splitChecksum(target.checksum);
+    const actual = `${algorithm}:${await calculateChecksum(target.url, { algorithm, onRedirect })}`;
+    Object.assign(result, { status: actual === target.checksum ? 'ok' : 'mismatch', actual: actual });
+  } catch (error) {
+    const missing = error instanceof HttpError && (error.statusCode === 404 || error.statusCode === 410);
+    Object.assign(result, {
+      status: missing ? 'missing' : 'error',
+      message: error instanceof HttpError ? `HTTP ${error.statusCode}` : error.message,
+    });
+  }
+  result.checked = new Date().toISOString();
+  return result;
+}
+
+/**
+ * Describe the problems of a result, or return an empty list when it is fine
+ */
+export function describeProblems(result) {
+  const problems = [];
+  if (result.status === 'mismatch') {
+    problems.push(`checksum mismatch: expected ${result.checksum}, got ${result.actual}`);
+  } else if (result.status === 'missing') {
+    problems.push(`missing (${result.message})`);
+  } else if (result.status === 'error') {
+    problems.push(`could not download: ${result.message}`);
+  }
+  for (const host of result.unexpectedHosts) {
+    problems.push(`redirected to unexpected host ${host}`);
+  }
+  return problems;
+}
+
+/**
+ * Load the audit state (results of earlier runs keyed by URL), or an empty state
+ */
+export function loadAuditState(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { artifacts: {} };
+  }
+  const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { artifacts: state.artifacts || {} };
+}
+
+/**
+ * Save the audit state
+ * Written to a temporary file first, so an interrupted run never leaves a truncated state
+ */
+export function saveAuditState(filePath, state) {
+  const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.tmp`);
+  fs.writeFileSync(tmpPath, `${JSON.stringify(state, null, 2)}\n`);
+  fs.renameSync(tmpPath, filePath);
+}
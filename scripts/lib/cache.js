@@ -0,0 +1,219 @@
+/**
+ * Download Cache
+ * Keeps what downloads taught us across runs: the digests of artifacts hashed for their
+ * checksums, and the contents of small files such as checksum lists and signatures.
+ * Entries are keyed by URL and only trusted while the server reports the same ETag (or
+ * Last-Modified, when it sends no ETag) and size, so a re-uploaded asset is fetched again.
+ * File contents are stored once per SHA-256. Keeping the directory between CI runs
+ * (actions/cache) makes a rerun skip every download the last run finished.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { httpsRequest, streamRequest, HttpError } from './http.js';
+import { PROJECT_ROOT } from './registry.js';
+
+export const DEFAULT_CACHE_DIR = '.nori-cache';
+
+// NORI_CACHE_DIR moves the cache (e.g. into a CI cache path); the CLI's --cache-dir and
+// --no-cache flags go through configureCache()
+const settings = {
+  dir: process.env.NORI_CACHE_DIR || path.join(PROJECT_ROOT, DEFAULT_CACHE_DIR),
+};
+
+const stats = { hits: 0, misses: 0 };
+
+/**
+ * Change the cache directory for every later download; `dir: null` turns the cache off
+ */
+export function configureCache({ dir }) {
+  if (dir !== undefined) {
+    settings.dir = dir;
+  }
+}
+
+/**
+ * Cache lookups so far: { hits, misses }
+ */
+export function cacheStats() {
+  return { ...stats };
+}
+
+/**
+ * What identifies a version of a file on the server, from response headers
+ */
+function validatorsOf(headers) {
+  const size = headers['content-length'];
+  return {
+    etag: headers.etag || null,
+    lastModified: headers['last-modified'] || null,
+    size: size !== undefined ? Number(size) : null,
+  };
+}
+
+/**
+ * Whether a cache entry describes the file the server has now
+ */
+function isCurrent(entry, validators) {
+  if (!entry || entry.size !== validators.size) {
+    return false;
+  }
+  if (validators.etag) {
+    return entry.etag === validators.etag;
+  }
+  return Boolean(validators.lastModified) && entry.lastModified === validators.lastModified;
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+function entryPath(url) {
+  return path.join(settings.dir, 'entries', `${sha256(url)}.json`);
+}
+
+function objectPath(hash) {
+  return path.join(settings.dir, 'objects', hash.slice(0, 2), hash);
+}
+
+/**
+ * Write a cache file atomically, so an interrupted run never leaves half a file behind
+ */
+function writeAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  fs.writeFileSync(tmpPath, data);
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Read the entry for a URL; a missing or unreadable entry is no entry
+ */
+function readEntry(url) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(entryPath(url), 'utf8'));
+    return entry.url === url ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save the entry for a URL
+ * Responses without an ETag or Last-Modified cannot be revalidated and are not cached
+ */
+function writeEntry(url, validators, fields) {
+  if (!validators.etag && !validators.lastModified) {
+    return;
+  }
+  writeAtomic(entryPath(url), `${JSON.stringify({ url, ...validators, ...fields }, null, 2)}\n`);
+}
+
+/**
+ * Read a stored file by content hash, or null when it is gone or damaged
+ */
+function readObject(hash) {
+  try {
+    const data = fs.readFileSync(objectPath(hash));
+    return sha256(data) === hash ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Ask the server for a file's validators without downloading it
+ * Resolves with null when HEAD fails; the caller then downloads
+ */
+async function headValidators(url, options) {
+  let validators = null;
+  try {
+    await httpsRequest(url, {
+      ...options,
+      method: 'HEAD',
+      onHeaders: (headers) => {
+        validators = validatorsOf(headers);
+      },
+    });
+  } catch {
+    return null;
+  }
+  return validators;
+}
+
+/**
+ * Digests of a download, computed while it streams or taken from the cache
+ * `algorithms` are node:crypto hash names (sha256, sha512, blake2b512). A cached entry is
+ * only used after a HEAD request shows the server still has the same file. Resolves with
+ * { <algorithm>: <hex digest> }. Options are passed on to the HTTP client
+ */
+export async function cachedDigests(url, algorithms, options = {}) {
+  const entry = settings.dir ? readEntry(url) : null;
+  if (entry && algorithms.every((algorithm) => entry.digests?.[algorithm])) {
+    const validators = await headValidators(url, options);
+    if (validators && isCurrent(entry, validators)) {
+      stats.hits++;
+      return Object.fromEntries(algorithms.map((algorithm) => [algorithm, entry.digests[algorithm]]));
+    }
+  }
+
+  let hashes;
+  let validators;
+  await streamRequest(url, {
+    start: (headers) => {
+      hashes = algorithms.map((algorithm) => crypto.createHash(algorithm));
+      validators = validatorsOf(headers);
+    },
+    onData: (chunk) => hashes.forEach((hash) => hash.update(chunk)),
+  }, options);
+  const digests = Object.fromEntries(algorithms.map((algorithm, i) => [algorithm, hashes[i].digest('hex')]));
+
+  if (settings.dir) {
+    stats.misses++;
+    const kept = isCurrent(entry, validators) ? entry.digests : {};
+    writeEntry(url, validators, { digests: { ...kept, ...digests } });
+  }
+  return digests;
+}
+
+/**
+ * Fetch a small file (checksum list, signature) as a Buffer
+ * A cached copy is revalidated with If-None-Match/If-Modified-Since, so an unchanged file
+ * costs a 304 instead of a download. Options are passed on to the HTTP client
+ */
+export async function cachedFetch(url, options = {}) {
+  const entry = settings.dir ? readEntry(url) : null;
+  const cached = entry?.content ? readObject(entry.content) : null;
+  const conditions = cached ? {
+    ...(entry.etag ? { 'If-None-Match': entry.etag } : {}),
+    ...(entry.lastModified ? { 'If-Modified-Since': entry.lastModified } : {}),
+  } : {};
+
+  let chunks;
+  let validators;
+  try {
+    await streamRequest(url, {
+      start: (headers) => {
+        chunks = [];
+        validators = validatorsOf(headers);
+      },
+      onData: (chunk) => chunks.push(chunk),
+    }, { ...options, headers: { ...options.headers, ...conditions } });
+  } catch (error) {
+    if (cached && error instanceof HttpError && error.statusCode === 304) {
+      stats.hits++;
+      return cached;
+    }
+    throw error;
+  }
+  const data = Buffer.concat(chunks);
+
+  if (settings.dir) {
+    stats.misses++;
+    const hash = sha256(data);
+    if (!readObject(hash)) {
+      writeAtomic(objectPath(hash), data);
+    }
+    writeEntry(url, validators, { content: hash });
+  }
+  return data;
+}
@@ -0,0 +1,240 @@
+/**
+ * Checksum Sources
+ * Find an asset's checksum in the checksum files published next to it in a release.
+ * Each source knows which file names it reads and how to parse them; getChecksumFromFiles
+ * tries the sources in order, so adding a format means adding an entry to CHECKSUM_SOURCES.
+ */
+
+import path from 'path';
+import { parseHash, parseChecksumLines } from './checksum.js';
+
+/**
+ * A kind of checksum file.
+ *
+ * @typedef {Object} ChecksumSource
+ * @property {string} name - Identifies the source in log output
+ * @property {(fileName: string, assetName: string, extraFiles: string[], releaseFiles: string[]) => boolean} matches -
+ *   Whether a release file (lowercased name) is this kind of checksum file for the asset;
+ *   releaseFiles holds the lowercased names of every file in the release
+ * @property {(content: string, assetName: string) => Checksum|null} parse - The asset's
+ *   checksum in the file's content, or null when the file does not list it
+ */
+
+const ARCHIVE_EXTENSION = /\.(tar\.gz|tgz|tar\.xz|txz|tar\.bz2|tar|zip)$/;
+const SIDECAR_EXTENSIONS = ['.sha256', '.sha256sum', '.sha256.txt', '.sha512', '.sha512sum', '.sha512.txt'];
+
+// Release-wide checksum lists under their usual names
+const LIST_FILES = [
+  'checksums.txt',
+  'checksums.sha256',
+  'checksums.sha512',
+  'sha256sums',
+  'sha256sums.txt',
+  'sha256sum.txt',
+  'sha512sums',
+  'sha512sums.txt',
+  'sha512sum.txt',
+  'shasums256.txt',
+  'shasums512.txt',
+];
+
+/**
+ * Look an asset up in a parsed checksum list: by exact name, then by file name for
+ * lists that record paths (dist/tool.tar.gz)
+ */
+function lookup(checksums, assetName) {
+  if (checksums.has(assetName)) {
+    return checksums.get(assetName);
+  }
+  for (const [name, checksum] of checksums) {
+    if (path.posix.basename(name) === assetName) {
+      return checksum;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a checksum list and look the asset up
+ */
+function parseList(content, assetName) {
+  return lookup(parseChecksumLines(content), assetName);
+}
+
+/**
+ * Parse a file that covers a single asset: a list naming it, or just the digest
+ * A digest followed by another file's name is that file's, not the asset's
+ */
+function parseSidecar(content, assetName) {
+  const listed = parseList(content, assetName);
+  if (listed) {
+    return listed;
+  }
+  const lines = content.trim().split('\n');
+  if (lines.length !== 1) {
+    return null;
+  }
+  const [digest, ...rest] = lines[0].trim().split(/\s+/);
+  const name = rest.join(' ').replace(/^\*/, '');
+  return !name || path.posix.basename(name) === assetName ? parseHash(digest) : null;
+}
+
+/**
+ * The asset name without its archive extension, or null when no other archive of the
+ * release shares it (tool.sha256 cannot tell tool.zip from tool.tar.gz)
+ */
+function uniqueStem(asset, releaseFiles) {
+  const stem = asset.replace(ARCHIVE_EXTENSION, '');
+  if (stem === asset) {
+    return null;
+  }
+  const archives = releaseFiles.filter((file) => file !== asset && ARCHIVE_EXTENSION.test(file));
+  return archives.some((file) => file.replace(ARCHIVE_EXTENSION, '') === stem) ? null : stem;
+}
+
+// Keys JSON checksum manifests use for file names and for digests
+const JSON_NAME_KEYS = ['name', 'file', 'filename', 'fileName', 'path', 'asset'];
+const JSON_HASH_KEYS = ['sha256', 'sha512', 'checksum', 'digest', 'hash', 'sha256sum', 'sha512sum', 'Checksum'];
+
+/**
+ * Digest of a JSON value: a digest string, or an object holding one under a known key
+ * (goreleaser's artifacts.json keeps it in extra.Checksum)
+ */
+function jsonDigest(value) {
+  if (typeof value === 'string') {
+    return parseHash(value);
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of JSON_HASH_KEYS) {
+      const checksum = typeof value[key] === 'string' ? parseHash(value[key]) : null;
+      if (checksum) {
+        return checksum;
+      }
+    }
+    return value.extra ? jsonDigest(value.extra) : null;
+  }
+  return null;
+}
+
+/**
+ * Find an asset's digest in a JSON checksum manifest
+ * Understands maps of file name to digest ({ "tool.tar.gz": "<hex>" } or to an object with a
+ * sha256/sha512/checksum key), lists of { name|file|path, sha256|checksum|digest } objects,
+ * and either of those nested under another key ({ "files": [...] })
+ */
+function findInJson(value, assetName) {
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const name = item && typeof item === 'object' ? JSON_NAME_KEYS.map((key) => item[key]).find((v) => typeof v === 'string') : null;
+      if (name && (name === assetName || path.posix.basename(name) === assetName)) {
+        const checksum = jsonDigest(item);
+        if (checksum) {
+          return checksum;
+        }
+      }
+    }
+    for (const item of value) {
+      const nested = item && typeof item === 'object' ? findInJson(item, assetName) : null;
+      if (nested) {
+        return nested;
+      }
+    }
+    return null;
+  }
+  if (value && typeof value === 'object') {
+    if (value[assetName] !== undefined) {
+      const checksum = jsonDigest(value[assetName]);
+      if (checksum) {
+        return checksum;
+      }
+    }
+    for (const nested of Object.values(value)) {
+      const checksum = nested && typeof nested === 'object' ? findInJson(nested, assetName) : null;
+      if (checksum) {
+        return checksum;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a JSON checksum manifest and look the asset up
+ */
+function parseJson(content, assetName) {
+  try {
+    return findInJson(JSON.parse(content), assetName);
+  } catch {
+    return null;
+  }
+}
+
+export const CHECKSUM_SOURCES = [
+  {
+    // tool.tar.gz.sha256, tool.sha512sum: a file per asset
+    name: 'sidecar',
+    matches: (fileName, assetName, extraFiles, releaseFiles) => {
+      const asset = assetName.toLowerCase();
+      const stem = uniqueStem(asset, releaseFiles);
+      return SIDECAR_EXTENSIONS.some((extension) => fileName === asset + extension || (stem && fileName === stem + extension));
+    },
+    parse: parseSidecar,
+  },
+  {
+    // goreleaser's <project>_<version>_checksums.txt
+    name: 'goreleaser',
+    matches: (fileName) => /^.+[_-]checksums\.txt$/.test(fileName),
+    parse: parseList,
+  },
+  {
+    // checksums.txt, SHA256SUMS and friends, plus the files a source config adds
+    name: 'list',
+    matches: (fileName, assetName, extraFiles) => (
+      LIST_FILES.includes(fileName) || (extraFiles.includes(fileName) && !fileName.endsWith('.json'))
+    ),
+    parse: parseList,
+  },
+  {
+    // checksums.json, sha256sums.json, goreleaser's artifacts.json
+    name: 'json',
+    matches: (fileName, assetName, extraFiles) => (
+      /^(checksums?|sha256sums?|sha512sums?|hashes|digests)([_.-][^/]*)?\.json$/.test(fileName) ||
+      fileName === 'artifacts.json' ||
+      (extraFiles.includes(fileName) && fileName.endsWith('.json'))
+    ),
+    parse: parseJson,
+  },
+];
+
+/**
+ * Get an asset's checksum from the checksum files of its release
+ * Files are tried source by source, in release order within a source. `fetchFile(url)`
+ * downloads a file (callers share downloads between assets); `extraFiles` are more list
+ * file names from the source config. When given, `accept(file, content)` must resolve
+ * truthy for a file to be used, which is how signed checksum files are enforced.
+ * Returns { checksum, file, source, accepted } or null when no file lists the asset
+ */
+export async function getChecksumFromFiles(asset, releaseAssets, fetchFile, { extraFiles = [], accept = null } = {}) {
+  const extra = extraFiles.map((file) => file.toLowerCase());
+  const names = releaseAssets.map((file) => file.name.toLowerCase());
+  for (const source of CHECKSUM_SOURCES) {
+    const files = releaseAssets.filter((file) => file !== asset && source.matches(file.name.toLowerCase(), asset.name, extra, names));
+    for (const file of files) {
+      let content;
+      try {
+        content = await fetchFile(file.browser_download_url);
+      } catch {
+        continue; // Try the next file
+      }
+      const checksum = source.parse(content, asset.name);
+      if (!checksum) {
+        continue;
+      }
+      const accepted = accept ? await accept(file, content) : true;
+      if (accepted) {
+        return { checksum, file, source: source.name, accepted };
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,130 @@
+/**
+ * Checksum helpers shared by the source adapters
+ */
+
+import crypto from 'crypto';
+import { streamRequest } from './http.js';
+
+// Hash algorithms a manifest checksum may use, with the length of their hex digests
+export const CHECKSUM_ALGORITHMS = { sha256: 64, sha512: 128 };
+
+/**
+ * A checksum as read from an upstream.
+ *
+ * @typedef {Object} Checksum
+ * @property {string} algorithm - sha256 or sha512
+ * @property {string} hash - Lowercase hex digest
+ */
+
+/**
+ * Algorithm of a hex digest, from its length, or null when it is neither SHA-256 nor SHA-512
+ */
+export function algorithmOfHash(hash) {
+  if (typeof hash !== 'string' || !/^[a-f0-9]+$/i.test(hash)) {
+    return null;
+  }
+  return Object.keys(CHECKSUM_ALGORITHMS).find((algorithm) => CHECKSUM_ALGORITHMS[algorithm] === hash.length) || null;
+}
+
+/**
+ * Read a digest in any spelling upstreams use ("<hex>", "sha256:<hex>", "SHA512=<hex>")
+ * Returns a Checksum, or null when the value is not a SHA-256 or SHA-512 digest
+ */
+export function parseHash(value) {
+  const match = typeof value === 'string' && value.trim().match(/^(?:(sha256|sha512)[:=])?([a-f0-9]+)$/i);
+  if (!match) {
+    return null;
+  }
+  const algorithm = algorithmOfHash(match[2]);
+  if (!algorithm || (match[1] && match[1].toLowerCase() !== algorithm)) {
+    return null;
+  }
+  return { algorithm, hash: match[2].toLowerCase() };
+}
+
+/**
+ * Manifest spelling of a checksum: "sha256:<hex>" or "sha512:<hex>"
+ */
+export function formatChecksum({ algorithm, hash }) {
+  return `${algorithm}:${hash}`;
+}
+
+/**
+ * Split a manifest checksum ("sha512:<hex>") into a Checksum
+ */
+export function splitChecksum(checksum) {
+  const [algorithm, hash] = checksum.split(':');
+  return { algorithm, hash };
+}
+
+// GNU coreutils style: "<hex>  <file>", "<hex> *<file>" (binary mode)
+const GNU_LINE = /^([a-f0-9]{64}|[a-f0-9]{128})\s+\*?(.+)$/i;
+// BSD style (`shasum --tag`, `openssl dgst`): "SHA256 (<file>) = <hex>"
+const BSD_LINE = /^(SHA256|SHA512|SHA2-256|SHA2-512)\s*\((.+)\)\s*=\s*([a-f0-9]+)$/i;
+
+/**
+ * Parse a checksum list in GNU (`sha256sum`) or BSD (`shasum --tag`) format, or a mix
+ * File names are keyed as written, without a leading "./"; "\"-escaped GNU lines are
+ * unescaped. Returns a Map of file name to Checksum
+ */
+export function parseChecksumLines(content) {
+  const checksums = new Map();
+  for (const rawLine of content.split('\n')) {
+    let line = rawLine.trim();
+    // sha256sum prefixes lines whose file name has a backslash or newline with "\"
+    const escaped = line.startsWith('\\');
+    if (escaped) {
+      line = line.slice(1);
+    }
+
+    let name;
+    let checksum;
+    const gnu = line.match(GNU_LINE);
+    const bsd = !gnu && line.match(BSD_LINE);
+    if (gnu) {
+      name = escaped ? gnu[2].replace(/\\n/g, '\n').replace(/\\\\/g, '\\') : gnu[2];
+      checksum = parseHash(gnu[1]);
+    } else if (bsd) {
+      name = bsd[2];
+      const algorithm = bsd[1].toLowerCase().replace('sha2-', 'sha');
+      checksum = parseHash(bsd[3]);
+      if (checksum?.algorithm !== algorithm) {
+        checksum = null;
+      }
+    }
+    if (name && checksum) {
+      checksums.set(name.trim().replace(/^\.\//, ''), checksum);
+    }
+  }
+  return checksums;
+}
+
+/**
+ * Parse a `sha256sum`-style checksum file ("<hash>  <filename>" per line)
+ * Returns a map of filename to lowercase hex digest (SHA-256 entries only)
+ */
+export function parseChecksumFile(content) {
+  const checksums = {};
+  for (const [filename, { algorithm, hash }] of parseChecksumLines(content)) {
+    if (algorithm === 'sha256') {
+      checksums[filename] = hash;
+    }
+  }
+  return checksums;
+}
+
+/**
+ * Download file and calculate its digest (SHA-256 unless `options.algorithm` says otherwise)
+ * Redirects, timeouts and retries are handled by the shared HTTP client
+ */
+export async function calculateChecksum(url, options = {}) {
+  const algorithm = options.algorithm || 'sha256';
+  let hash;
+  await streamRequest(url, {
+    start: () => {
+      hash = crypto.createHash(algorithm);
+    },
+    onData: (chunk) => hash.update(chunk),
+  }, options);
+  return hash.digest('hex');
+}
@@ -0,0 +1,383 @@
+/**
+ * Source Configs
+ * Schema and normalization for sources/<package>.json, the declarative settings
+ * that decide how a package is scraped from its upstream
+ */
+
+import { checkSchema, checkBinNames, PLATFORMS, CHANNELS, BIN_SCHEMA, ROOT_PATTERN, SIGNATURE_TYPES } from './schema.js';
+import { archiveBaseName } from './archive.js';
+import { isValidVersion } from './version.js';
+import { compareVersions, parseRange, satisfies } from './semver.js';
+
+export const SOURCE_TYPES = ['node', 'go', 'zig', 'github'];
+
+// Signatures each source type can verify: Node.js signs SHASUMS256.txt with OpenPGP, Zig
+// signs every tarball with minisign, GitHub projects sign their checksum files with any
+// of them, and go.dev publishes no signatures
+const SIGNATURE_SUPPORT = {
+  node: ['pgp'],
+  go: [],
+  zig: ['minisign'],
+  github: SIGNATURE_TYPES,
+};
+
+/**
+ * Check that a string compiles as a regular expression
+ */
+function checkRegExp(value) {
+  try {
+    new RegExp(value, 'i');
+    return null;
+  } catch (e) {
+    return `invalid regular expression: ${e.message}`;
+  }
+}
+
+/**
+ * Check that a string parses as a version range
+ */
+function checkRange(value) {
+  try {
+    parseRange(value);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+const REGEXP_SCHEMA = { type: 'string', check: checkRegExp };
+
+// A bin is a path inside the archive, or { path, name?, aliases? } (see BIN_SCHEMA in schema.js)
+const CONFIG_BIN_SCHEMA = {
+  anyOf: [
+    BIN_SCHEMA.properties.path,
+    { ...BIN_SCHEMA, required: ['path'] },
+  ],
+};
+
+// Placeholders a `root` may use, filled in per platform artifact
+const ROOT_PLACEHOLDERS = ['asset', 'version'];
+
+/**
+ * Check an archive root, which may contain {asset} and {version} placeholders
+ */
+function checkRoot(value) {
+  const unknown = [...value.matchAll(/\{([^}]*)\}/g)].find(([, name]) => !ROOT_PLACEHOLDERS.includes(name));
+  if (unknown) {
+    return `unknown placeholder ${unknown[0]}, expected one of ${ROOT_PLACEHOLDERS.map((name) => `{${name}}`).join(', ')}`;
+  }
+  if (!ROOT_PATTERN.test(value.replace(/\{(asset|version)\}/g, 'x'))) {
+    return `must be a relative directory path without whitespace, ".." or a trailing slash, got ${JSON.stringify(value)}`;
+  }
+  return null;
+}
+
+// Where the package sits inside the archives (see PLATFORM_SCHEMA in schema.js)
+const LAYOUT_PROPERTIES = {
+  root: { type: 'string', check: checkRoot },
+  stripComponents: { type: 'integer', check: (v) => (v >= 1 ? null : `must be at least 1, got ${v}`) },
+};
+
+const PLATFORM_OVERRIDE_SCHEMA = {
+  anyOf: [
+    { type: 'boolean', enum: [false] },
+    {
+      type: 'object',
+      properties: {
+        asset: REGEXP_SCHEMA,
+        ...LAYOUT_PROPERTIES,
+        bins: { type: 'array', minItems: 1, items: CONFIG_BIN_SCHEMA },
+      },
+      additionalProperties: false,
+    },
+  ],
+};
+
+export const SOURCE_CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['source'],
+  properties: {
+    source: { type: 'string', enum: SOURCE_TYPES },
+    owner: { type: 'string' },
+    repo: { type: 'string' },
+    bins: { type: 'array', minItems: 1, items: CONFIG_BIN_SCHEMA },
+    description: { type: 'string' },
+    homepage: { type: 'string' },
+    license: { type: 'string' },
+    platforms: {
+      type: 'object',
+      propertyNames: PLATFORMS,
+      additionalProperties: PLATFORM_OVERRIDE_SCHEMA,
+    },
+    archive: {
+      type: 'object',
+      properties: LAYOUT_PROPERTIES,
+      additionalProperties: false,
+    },
+    channels: { type: 'array', minItems: 1, items: { type: 'string', enum: CHANNELS } },
+    versions: {
+      type: 'object',
+      properties: {
+        minimum: { type: 'string', check: (v) => (isValidVersion(v) ? null : `invalid version ${JSON.stringify(v)}`) },
+        range: { type: 'string', check: checkRange },
+        exclude: { type: 'array', items: { type: 'string' } },
+        tagPattern: REGEXP_SCHEMA,
+      },
+      additionalProperties: false,
+    },
+    stable: {
+      type: 'object',
+      properties: {
+        lts: { type: 'boolean' },
+        range: { type: 'string', check: checkRange },
+      },
+      additionalProperties: false,
+    },
+    checksum: {
+      type: 'object',
+      properties: {
+        allowDownload: { type: 'boolean' },
+        files: { type: 'array', items: { type: 'string' } },
+      },
+      additionalProperties: false,
+    },
+    signatures: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { type: 'string', enum: SIGNATURE_TYPES },
+        required: { type: 'boolean' },
+        channels: { type: 'array', minItems: 1, items: { type: 'string', enum: CHANNELS } },
+      },
+      additionalProperties: false,
+    },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Error raised for an invalid source config; `errors` holds { path, message } entries
+ */
+export class SourceConfigError extends Error {
+  constructor(name, errors) {
+    super(`Invalid source config for ${name}:\n${errors.map((e) => `  ${e.path ? `${e.path}: ` : ''}${e.message}`).join('\n')}`);
+    this.name = 'SourceConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate a parsed source config
+ * Returns a list of { path, message } errors (empty when valid)
+ */
+export function validateSourceConfig(config) {
+  const errors = [];
+  checkSchema(config, SOURCE_CONFIG_SCHEMA, '', errors);
+
+  if (config?.source === 'github') {
+    for (const key of ['owner', 'repo', 'bins']) {
+      if (!(key in config)) {
+        errors.push({ path: key, message: 'is required for github sources' });
+      }
+    }
+  }
+
+  if (errors.length === 0 && config.signatures && !SIGNATURE_SUPPORT[config.source].includes(config.signatures.type)) {
+    const supported = SIGNATURE_SUPPORT[config.source];
+    errors.push({
+      path: 'signatures.type',
+      message: supported.length > 0
+        ? `${config.source} sources verify ${supported.join(', ')} signatures, not ${config.signatures.type}`
+        : `${config.source} sources publish no signatures`,
+    });
+  }
+
+  if (errors.length === 0 && config.bins) {
+    errors.push(...checkBinNames(config.bins.map(normalizeBin), 'bins'));
+  }
+
+  if (errors.length === 0) {
+    for (const [platform, override] of Object.entries({ '': config.archive, ...config.platforms })) {
+      const path = platform ? `platforms.${platform}` : 'archive';
+      if (override?.root !== undefined && override?.stripComponents !== undefined) {
+        errors.push({ path, message: 'set either root or stripComponents, not both' });
+      }
+      if (override?.bins) {
+        errors.push(...checkBinNames(override.bins.map(normalizeBin), `${path}.bins`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Expand a bin from a config or --bins into the manifest form { name, path, aliases? }
+ * A bare path, or an object without a name, is exposed under the path's file name
+ */
+export function normalizeBin(bin) {
+  const { path: binPath, name, aliases } = typeof bin === 'string' ? { path: bin } : bin;
+  return {
+    name: name || binPath.split('/').pop(),
+    path: binPath,
+    ...(aliases ? { aliases: aliases } : {}),
+  };
+}
+
+/**
+ * Layout settings of the config (`archive` or a platform override) in manifest form:
+ * { root?, strip_components?, bins? }
+ */
+function normalizeLayout(settings) {
+  return {
+    ...(settings.root !== undefined ? { root: settings.root } : {}),
+    ...(settings.stripComponents !== undefined ? { strip_components: settings.stripComponents } : {}),
+    ...(settings.bins ? { bins: settings.bins.map(normalizeBin) } : {}),
+  };
+}
+
+/**
+ * Validate and normalize a source config
+ * Fills in defaults so consumers never need to check for missing sections
+ */
+export function normalizeSourceConfig(name, config) {
+  const errors = validateSourceConfig(config);
+  if (errors.length > 0) {
+    throw new SourceConfigError(name, errors);
+  }
+
+  const platforms = {};
+  for (const [platform, override] of Object.entries(config.platforms || {})) {
+    platforms[platform] = override === false
+      ? { skip: true, asset: null }
+      : {
+        skip: false,
+        asset: override.asset ? new RegExp(override.asset, 'i') : null,
+        layout: normalizeLayout(override),
+      };
+  }
+
+  return {
+    ...config,
+    ...(config.bins ? { bins: config.bins.map(normalizeBin) } : {}),
+    platforms: platforms,
+    archive: normalizeLayout(config.archive || {}),
+    channels: config.channels || ['stable'],
+    versions: {
+      minimum: config.versions?.minimum || null,
+      range: config.versions?.range || null,
+      exclude: config.versions?.exclude || [],
+      tagPattern: config.versions?.tagPattern ? new RegExp(config.versions.tagPattern, 'i') : null,
+    },
+    stable: getStableRule(config),
+    checksum: {
+      allowDownload: Boolean(config.checksum?.allowDownload),
+      files: config.checksum?.files || [],
+    },
+    signatures: config.signatures
+      ? {
+        type: config.signatures.type,
+        required: config.signatures.required !== false,
+        channels: config.signatures.channels || null,
+      }
+      : null,
+  };
+}
+
+/**
+ * The rule deciding which versions the `stable` alias may point to
+ * Accepts a raw or normalized config (or none, for the default rule)
+ */
+export function getStableRule(config) {
+  return {
+    lts: Boolean(config?.stable?.lts),
+    range: config?.stable?.range || null,
+  };
+}
+
+/**
+ * Check a release against the config's version filters
+ * `release` carries the normalized `version` and, when the upstream has one, the raw `tag`
+ */
+export function isVersionAllowed(versionFilters, release) {
+  if (!versionFilters) {
+    return true;
+  }
+  if (versionFilters.exclude.includes(release.version)) {
+    return false;
+  }
+  if (versionFilters.minimum && compareVersions(release.version, versionFilters.minimum) < 0) {
+    return false;
+  }
+  if (versionFilters.range && !satisfies(release.version, versionFilters.range)) {
+    return false;
+  }
+  if (versionFilters.tagPattern && !versionFilters.tagPattern.test(release.tag || release.version)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * The signature settings that apply to a release, or null when it is not checked
+ * `signatures.channels` limits the checks to some channels (e.g. stable Zig releases, whose
+ * tarballs have to be downloaded to verify, but not the nightly build replaced every day)
+ */
+export function signaturesFor(signatures, release) {
+  if (!signatures || (signatures.channels && !signatures.channels.includes(release.channel || 'stable'))) {
+    return null;
+  }
+  return signatures;
+}
+
+/**
+ * Check a release's channel against the channels a package opts into
+ * Only stable releases are imported unless the config lists more channels
+ */
+export function isChannelEnabled(channels, release) {
+  return (channels || ['stable']).includes(release.channel || 'stable');
+}
+
+/**
+ * Apply the config's platform settings to the artifacts resolved for a release
+ * Drops platforms the config turns off, then applies the package-wide `archive` layout and
+ * each platform's own layout on top of what the adapter reported. A root replaces a
+ * strip_components and vice versa; {asset} and {version} in a root are filled in per artifact.
+ */
+export function applyPlatformOverrides(config, platforms, version) {
+  if (!config) {
+    return platforms;
+  }
+  const result = {};
+  for (const [platform, entry] of Object.entries(platforms)) {
+    const override = config.platforms?.[platform];
+    if (override?.skip) {
+      continue;
+    }
+    result[platform] = applyLayout(applyLayout(entry, config.archive, version), override?.layout, version);
+  }
+  return result;
+}
+
+/**
+ * Apply one layout (normalized, see normalizeLayout) to a platform entry
+ * Keeps the manifest field order: type, url, checksum, root, strip_components, bins
+ */
+function applyLayout(entry, layout, version) {
+  if (!layout || Object.keys(layout).length === 0) {
+    return entry;
+  }
+  const { type, url, checksum, root, strip_components: stripComponents, bins } = { ...entry, ...layout };
+  const useRoot = layout.root !== undefined || (layout.strip_components === undefined && root !== undefined);
+  const expandedRoot = useRoot && root !== undefined
+    ? root.replace(/\{asset\}/g, archiveBaseName(url)).replace(/\{version\}/g, version)
+    : undefined;
+  return {
+    type: type,
+    url: url,
+    checksum: checksum,
+    ...(expandedRoot !== undefined ? { root: expandedRoot } : {}),
+    ...(!useRoot && stripComponents !== undefined ? { strip_components: stripComponents } : {}),
+    ...(bins ? { bins: bins } : {}),
+  };
+}
@@ -0,0 +1,222 @@
+/**
+ * Manifest Diff
+ * What an update changes in packages/<name>.yaml: versions added and removed, platforms
+ * added or removed per version, and changed checksums, URLs and release details of
+ * existing versions. `update --dry-run` prints it; `--json` reports it
+ */
+
+import { isDeepStrictEqual } from 'util';
+import { precedenceKey } from './semver.js';
+import { describeDrift } from './immutability.js';
+
+const METADATA_FIELDS = ['description', 'homepage', 'license'];
+
+/**
+ * Changes between two manifests of one package.
+ *
+ * @typedef {Object} ManifestDiff
+ * @property {string} package - Package name
+ * @property {boolean} changed - Whether anything below is non-empty
+ * @property {{version: string, platforms: string[]}[]} added - New versions
+ * @property {string[]} removed - Versions no longer in the manifest
+ * @property {VersionDiff[]} updated - Existing versions that changed
+ * @property {Object<string, {from: *, to: *}>} aliases - Aliases added, moved or removed
+ * @property {Object<string, {from: *, to: *}>} metadata - Description, homepage or license
+ * @property {ArtifactDrift[]} [drift] - Published artifacts that changed upstream, found by
+ *   runUpdate's refresh (see immutability.js); they are reported, not written
+ * @property {string[]} [unresolved] - Versions runUpdate could not resolve artifacts for; the
+ *   update is partial and they are tried again next run
+ *
+ * @typedef {Object} VersionDiff
+ * @property {string} version
+ * @property {string[]} platformsAdded
+ * @property {string[]} platformsRemoved
+ * @property {{platform: string, from: string, to: string}[]} checksums - Changed checksums
+ * @property {{platform: string, from: string, to: string}[]} urls - Changed URLs
+ * @property {Object<string, {from: *, to: *}>} fields - Other changed version fields
+ */
+
+/**
+ * Keys whose values differ between two objects, as { key: { from, to } }
+ * An absent or empty value is null
+ */
+function changedKeys(before, after, keys) {
+  const valueOf = (object, key) => (object?.[key] === undefined || object[key] === '' ? null : object[key]);
+  const changes = {};
+  for (const key of keys) {
+    const from = valueOf(before, key);
+    const to = valueOf(after, key);
+    if (!isDeepStrictEqual(from, to)) {
+      changes[key] = { from: from, to: to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Compare the entries of one version
+ */
+function diffVersion(before, after) {
+  const beforePlatforms = before.platforms || {};
+  const afterPlatforms = after.platforms || {};
+  const diff = {
+    version: after.version,
+    platformsAdded: Object.keys(afterPlatforms).filter((platform) => !beforePlatforms[platform]),
+    platformsRemoved: Object.keys(beforePlatforms).filter((platform) => !afterPlatforms[platform]),
+    checksums: [],
+    urls: [],
+    fields: {},
+  };
+
+  for (const [platform, artifact] of Object.entries(afterPlatforms)) {
+    const previous = beforePlatforms[platform];
+    if (!previous) {
+      continue;
+    }
+    if (previous.checksum !== artifact.checksum) {
+      diff.checksums.push({ platform: platform, from: previous.checksum, to: artifact.checksum });
+    }
+    if (previous.url !== artifact.url) {
+      diff.urls.push({ platform: platform, from: previous.url, to: artifact.url });
+    }
+  }
+
+  // Everything else about the version (bins, tag, release details, archive layout)
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  keys.delete('version');
+  keys.delete('platforms');
+  diff.fields = changedKeys(before, after, [...keys]);
+  const layoutChanged = Object.keys(afterPlatforms).some((platform) => (
+    beforePlatforms[platform] && !isDeepStrictEqual(
+      { ...beforePlatforms[platform], url: null, checksum: null },
+      { ...afterPlatforms[platform], url: null, checksum: null },
+    )
+  ));
+  if (layoutChanged) {
+    diff.fields.platforms = { from: beforePlatforms, to: afterPlatforms };
+  }
+
+  const changed = diff.platformsAdded.length > 0 || diff.platformsRemoved.length > 0 ||
+    diff.checksums.length > 0 || diff.urls.length > 0 || Object.keys(diff.fields).length > 0;
+  return changed ? diff : null;
+}
+
+/**
+ * Compare the manifest of a package before and after an update
+ * Versions are matched by SemVer precedence, like mergeVersions() does. Returns a ManifestDiff
+ */
+export function diffManifests(name, before, after) {
+  const beforeVersions = new Map((before?.versions || []).map((entry) => [precedenceKey(entry.version), entry]));
+  const afterVersions = new Map((after?.versions || []).map((entry) => [precedenceKey(entry.version), entry]));
+
+  const added = [];
+  const updated = [];
+  for (const [key, entry] of afterVersions) {
+    const previous = beforeVersions.get(key);
+    if (!previous) {
+      added.push({ version: entry.version, platforms: Object.keys(entry.platforms || {}) });
+      continue;
+    }
+    const diff = diffVersion(previous, entry);
+    if (diff) {
+      updated.push(diff);
+    }
+  }
+  const removed = [...beforeVersions]
+    .filter(([key]) => !afterVersions.has(key))
+    .map(([, entry]) => entry.version);
+
+  const aliasNames = new Set([...Object.keys(before?.aliases || {}), ...Object.keys(after?.aliases || {})]);
+  const aliases = changedKeys(before?.aliases, after?.aliases, [...aliasNames]);
+  const metadata = changedKeys(before, after, METADATA_FIELDS);
+
+  return {
+    package: name,
+    changed: added.length > 0 || removed.length > 0 || updated.length > 0 ||
+      Object.keys(aliases).length > 0 || Object.keys(metadata).length > 0,
+    added: added,
+    removed: removed,
+    updated: updated,
+    aliases: aliases,
+    metadata: metadata,
+  };
+}
+
+/**
+ * Format a value of a changed field for one line of output
+ */
+function formatValue(value) {
+  if (value === null) {
+    return '(none)';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Format a ManifestDiff as lines of text for the terminal
+ */
+export function formatDiff(diff) {
+  const drift = (diff.drift || []).map((change) => `  ! ${describeDrift(change)} (changed upstream, kept)`);
+  if (!diff.changed) {
+    return [`${diff.package}: no changes`, ...drift];
+  }
+
+  const counts = [
+    diff.added.length > 0 ? `${diff.added.length} version(s) added` : null,
+    diff.removed.length > 0 ? `${diff.removed.length} version(s) removed` : null,
+    diff.updated.length > 0 ? `${diff.updated.length} version(s) changed` : null,
+  ].filter(Boolean);
+  const lines = [`${diff.package}: ${counts.join(', ') || 'aliases or metadata changed'}`];
+
+  for (const { version, platforms } of diff.added) {
+    lines.push(`  + ${version} (${platforms.join(', ')})`);
+  }
+  for (const version of diff.removed) {
+    lines.push(`  - ${version}`);
+  }
+  for (const version of diff.updated) {
+    lines.push(`  ~ ${version.version}`);
+    for (const platform of version.platformsAdded) {
+      lines.push(`      + ${platform}`);
+    }
+    for (const platform of version.platformsRemoved) {
+      lines.push(`      - ${platform}`);
+    }
+    for (const { platform, from, to } of version.checksums) {
+      lines.push(`      checksum of ${platform}: ${from} -> ${to}`);
+    }
+    for (const { platform, from, to } of version.urls) {
+      lines.push(`      url of ${platform}: ${from} -> ${to}`);
+    }
+    for (const [field, { from, to }] of Object.entries(version.fields)) {
+      lines.push(field === 'platforms' ? '      archive layout changed' : `      ${field}: ${formatValue(from)} -> ${formatValue(to)}`);
+    }
+  }
+  for (const [alias, { from, to }] of Object.entries(diff.aliases)) {
+    lines.push(`  alias ${alias}: ${formatValue(from)} -> ${formatValue(to)}`);
+  }
+  for (const [field, { from, to }] of Object.entries(diff.metadata)) {
+    lines.push(`  ${field}: ${formatValue(from)} -> ${formatValue(to)}`);
+  }
+  return [...lines, ...drift];
+}
+
+/**
+ * The `--json` report of an update run: the ManifestDiff of every package updated
+ * and the names of the packages that failed
+ */
+export function createReport(diffs, { dryRun = false, failed = [] } = {}) {
+  return { dryRun: Boolean(dryRun), packages: diffs, failed: failed };
+}
+
+/**
+ * Print the outcome of a standalone update script: the JSON report with `json`,
+ * the diff with `dryRun`, nothing otherwise
+ */
+export function printReport(diffs, { dryRun = false, json = false } = {}) {
+  if (json) {
+    console.log(JSON.stringify(createReport(diffs, { dryRun }), null, 2));
+  } else if (dryRun) {
+    console.log(['', ...diffs.flatMap((diff) => formatDiff(diff))].join('\n'));
+  }
+}
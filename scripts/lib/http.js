@@ -0,0 +1,264 @@
+/**
+ * HTTP client shared by the source adapters
+ * Follows redirects, times out stalled requests and retries transient failures
+ * (network errors, 429 and 5xx) with exponential backoff
+ */
+
+import https from 'https';
+import http from 'http';
+import { sleep, getRetryAfterDelay } from './rate-limit.js';
+
+export const USER_AGENT = 'nori-registry-script/1.0';
+
+// Defaults for every request; NORI_HTTP_TIMEOUT (ms) and NORI_HTTP_RETRIES override them,
+// and the CLI's --timeout/--retries flags go through configureHttp()
+const defaults = {
+  timeout: Number(process.env.NORI_HTTP_TIMEOUT) || 30000,
+  retries: process.env.NORI_HTTP_RETRIES !== undefined ? Number(process.env.NORI_HTTP_RETRIES) : 3,
+  backoff: 1000,
+  maxRedirects: 5,
+  upstream: null,
+};
+
+// Network errors worth retrying; anything else (e.g. a bad hostname) fails at once
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH',
+]);
+
+/**
+ * Error raised for a non-2xx response
+ * Carries the status code, response headers and body so callers can decide
+ * whether to retry (e.g. on a rate limit)
+ */
+export class HttpError extends Error {
+  constructor(url, statusCode, headers, body) {
+    super(`HTTP ${statusCode}: ${body}`);
+    this.name = 'HttpError';
+    this.url = url;
+    this.statusCode = statusCode;
+    this.headers = headers;
+    this.body = body;
+  }
+}
+
+/**
+ * Change the defaults for every later request
+ * Accepts timeout (ms), retries, backoff (ms before the first retry), maxRedirects and
+ * upstream (see resolveRequestUrl; only the offline test suite sets it)
+ */
+export function configureHttp(options) {
+  for (const key of Object.keys(defaults)) {
+    if (options[key] !== undefined) {
+      defaults[key] = options[key];
+    }
+  }
+}
+
+/**
+ * Resolve the URL that is actually requested
+ * When configureHttp() was given an `upstream` base URL (the offline test suite does this),
+ * every upstream request is sent to that stand-in instead: https://host/path becomes
+ * <upstream>/host/path
+ */
+export function resolveRequestUrl(url) {
+  const upstream = defaults.upstream;
+  if (!upstream || url.startsWith(upstream)) {
+    return url;
+  }
+  const urlObj = new URL(url);
+  return `${upstream.replace(/\/$/, '')}/${urlObj.host}${urlObj.pathname}${urlObj.search}`;
+}
+
+/**
+ * Pick the http or https module for a URL
+ */
+export function httpModuleFor(urlObj) {
+  return urlObj.protocol === 'http:' ? http : https;
+}
+
+/**
+ * Check whether a failed attempt is worth retrying
+ * With `retryRateLimits: false` a 429 is left to the caller's rate limiter (see rate-limit.js)
+ */
+function isRetryable(error, options) {
+  if (error instanceof HttpError) {
+    return (error.statusCode === 429 && options.retryRateLimits !== false) || error.statusCode >= 500;
+  }
+  return RETRYABLE_ERROR_CODES.has(error.code) || error.message === 'Request timeout';
+}
+
+/**
+ * Run `attempt` until it succeeds, retrying transient failures with exponential backoff
+ * A Retry-After header on a 429/503 is honored instead of the backoff
+ */
+async function withRetries(url, options, attempt) {
+  const retries = options.retries ?? defaults.retries;
+  const backoff = options.backoff ?? defaults.backoff;
+
+  for (let i = 0; ; i++) {
+    try {
+      return await attempt();
+    } catch (error) {
+      if (i >= retries || !isRetryable(error, options)) {
+        throw error;
+      }
+      const delay = getRetryAfterDelay(error.headers) ?? backoff * 2 ** i;
+      console.warn(`  Retrying ${url} in ${Math.ceil(delay / 1000)}s (${error.message.split('\n')[0].slice(0, 100)})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Send one request and resolve with the final response, following redirects
+ * The response body is left unread. Authorization headers are not forwarded to
+ * another host (GitHub asset downloads redirect to a CDN). `options.onRedirect` is
+ * called with the URL of every redirect hop.
+ */
+function openResponse(url, options) {
+  const timeout = options.timeout ?? defaults.timeout;
+  const maxRedirects = options.maxRedirects ?? defaults.maxRedirects;
+
+  return new Promise((resolve, reject) => {
+    const makeRequest = (currentUrl, headers, redirectCount) => {
+      const urlObj = new URL(resolveRequestUrl(currentUrl));
+      const requestOptions = {
+        hostname: urlObj.hostname,
+        port: urlObj.port,
+        path: urlObj.pathname + urlObj.search,
+        method: options.method || 'GET',
+        headers: headers,
+      };
+
+      const req = httpModuleFor(urlObj).request(requestOptions, (res) => {
+        // Handle redirects
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+          res.resume();
+          if (redirectCount >= maxRedirects) {
+            reject(new Error(`Too many redirects for ${url}`));
+            return;
+          }
+          const nextUrl = new URL(res.headers.location, currentUrl).toString();
+          if (options.onRedirect) {
+            options.onRedirect(nextUrl);
+          }
+          const nextHeaders = { ...headers };
+          if (new URL(nextUrl).host !== new URL(currentUrl).host) {
+            delete nextHeaders.Authorization;
+          }
+          makeRequest(nextUrl, nextHeaders, redirectCount + 1);
+          return;
+        }
+
+        resolve(res);
+      });
+
+      req.on('error', reject);
+      req.setTimeout(timeout, () => {
+        req.destroy(new Error('Request timeout'));
+      });
+
+      if (options.body) {
+        req.write(options.body);
+      }
+
+      req.end();
+    };
+
+    makeRequest(url, {
+      'User-Agent': USER_AGENT,
+      ...(options.accept ? { 'Accept': options.accept } : {}),
+      ...options.headers,
+    }, 0);
+  });
+}
+
+/**
+ * Wait for a response body to finish, feeding each chunk to `onData`
+ * Rejects if the connection drops or times out part-way through
+ */
+function readBody(res, onData) {
+  return new Promise((resolve, reject) => {
+    res.on('data', onData);
+    res.on('end', resolve);
+    res.on('error', reject);
+    res.on('aborted', () => reject(new Error('Request timeout')));
+  });
+}
+
+/**
+ * Make HTTPS request
+ * Resolves with the response body as a string, rejects with an HttpError on non-2xx status.
+ * Options: method, accept, headers, body, timeout (ms, per attempt), retries, backoff, onRedirect,
+ * retryRateLimits (false to fail on a 429 at once and let a rate limiter wait it out).
+ * `options.onHeaders` is called with the headers of every successful response
+ */
+export function httpsRequest(url, options = {}) {
+  return withRetries(url, options, async () => {
+    const res = await openResponse(url, options);
+
+    let data = '';
+    res.setEncoding('utf8');
+    await readBody(res, (chunk) => {
+      data += chunk;
+    });
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      throw new HttpError(url, res.statusCode, res.headers, data);
+    }
+    if (options.onHeaders) {
+      options.onHeaders(res.headers);
+    }
+    return data;
+  });
+}
+
+/**
+ * Download a URL without buffering it, feeding each chunk to `onData`
+ * Same redirect, timeout and retry handling as httpsRequest. `start` is called with the
+ * response headers before every attempt so a retried download can reset its state (e.g. a hash)
+ */
+export function streamRequest(url, { start = () => {}, onData }, options = {}) {
+  return withRetries(url, options, async () => {
+    const res = await openResponse(url, options);
+    if (res.statusCode !== 200) {
+      res.resume();
+      throw new HttpError(url, res.statusCode, res.headers, '');
+    }
+    start(res.headers);
+    await readBody(res, onData);
+  });
+}
+
+/**
+ * Fetch a URL and parse the response as JSON
+ */
+export async function fetchJSON(url, options = {}) {
+  const data = await httpsRequest(url, { accept: 'application/json', ...options });
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    throw new Error(`Invalid JSON from ${url}: ${e.message}`);
+  }
+}
+
+/**
+ * Fetch a URL as text
+ */
+export function fetchText(url, options = {}) {
+  return httpsRequest(url, options);
+}
+
+/**
+ * Fetch a URL as a Buffer (binary signatures, small archives)
+ */
+export async function fetchBuffer(url, options = {}) {
+  let chunks;
+  await streamRequest(url, {
+    start: () => {
+      chunks = [];
+    },
+    onData: (chunk) => chunks.push(chunk),
+  }, options);
+  return Buffer.concat(chunks);
+}
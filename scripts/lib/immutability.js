@@ -0,0 +1,175 @@
+/**
+ * Artifact Immutability
+ * Once a manifest publishes the url and checksum of a platform of a version, users install
+ * exactly that file, so an upstream re-tagging a release must not quietly change it.
+ * Merges that would change a published pair fail with ArtifactDriftError and leave an
+ * incident report in incidents/. The only way to change a pair is an entry in
+ * checksum-overrides.json, which is reviewed and kept in git like any other registry change.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseHash } from './checksum.js';
+
+export const OVERRIDES_FILE = 'checksum-overrides.json';
+export const INCIDENTS_DIR = 'incidents';
+
+/**
+ * A published artifact that an update would change.
+ *
+ * @typedef {Object} ArtifactDrift
+ * @property {string} version
+ * @property {string} platform
+ * @property {{url: string, checksum: string}} recorded - What the manifest publishes
+ * @property {{url: string, checksum: string}} upstream - What the update found instead
+ *
+ * An approved change, from checksum-overrides.json.
+ *
+ * @typedef {Object} ChecksumOverride
+ * @property {string} package
+ * @property {string} version
+ * @property {string} platform
+ * @property {{url: string, checksum: string}} from - The published pair being replaced
+ * @property {{url: string, checksum: string}} to - The pair replacing it
+ * @property {string} reason - Why the upstream artifact changed (link to the announcement)
+ * @property {string} approved_by - Who reviewed the change
+ * @property {string} date - When it was approved (YYYY-MM-DD)
+ */
+
+/**
+ * Thrown when a merge would change published artifacts without an override
+ */
+export class ArtifactDriftError extends Error {
+  constructor(drift) {
+    const first = drift[0];
+    super(`${drift.length} published artifact(s) would change, starting with ${first.version} ${first.platform}: ` +
+      `${first.recorded.checksum} -> ${first.upstream.checksum}`);
+    this.name = 'ArtifactDriftError';
+    this.drift = drift;
+  }
+}
+
+/**
+ * Published artifacts of a version entry that a replacement entry changes
+ * Platforms the replacement does not have are not drift: the merge keeps them
+ */
+export function findDrift(recorded, replacement) {
+  const drift = [];
+  for (const [platform, artifact] of Object.entries(replacement.platforms || {})) {
+    const published = recorded.platforms?.[platform];
+    if (published && (published.url !== artifact.url || published.checksum !== artifact.checksum)) {
+      drift.push({
+        version: recorded.version,
+        platform: platform,
+        recorded: { url: published.url, checksum: published.checksum },
+        upstream: { url: artifact.url, checksum: artifact.checksum },
+      });
+    }
+  }
+  return drift;
+}
+
+/**
+ * The override approving a drift, or null
+ * It has to name the exact pair being replaced and the exact pair replacing it
+ */
+export function findOverride(overrides, drift) {
+  return overrides.find((override) => (
+    override.version === drift.version &&
+    override.platform === drift.platform &&
+    override.from.url === drift.recorded.url &&
+    override.from.checksum === drift.recorded.checksum &&
+    override.to.url === drift.upstream.url &&
+    override.to.checksum === drift.upstream.checksum
+  )) || null;
+}
+
+/**
+ * Describe a drift for the log: "<version> <platform>: <checksum> -> <checksum>"
+ */
+export function describeDrift(drift) {
+  const { recorded, upstream } = drift;
+  const url = recorded.url !== upstream.url ? ` (url ${recorded.url} -> ${upstream.url})` : '';
+  return `${drift.version} ${drift.platform}: ${recorded.checksum} -> ${upstream.checksum}${url}`;
+}
+
+/**
+ * Describe an applied override for the log, so every use of one is on record
+ */
+export function formatOverride(override) {
+  return `${override.version} ${override.platform}: ${override.from.checksum} -> ${override.to.checksum} ` +
+    `(approved by ${override.approved_by} on ${override.date}: ${override.reason})`;
+}
+
+/**
+ * Check the contents of checksum-overrides.json
+ * Returns a list of { path, message } errors
+ */
+export function validateOverrides(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.overrides)) {
+    return [{ path: '', message: 'expected an object with an "overrides" array' }];
+  }
+
+  const errors = [];
+  data.overrides.forEach((override, i) => {
+    const at = `overrides[${i}]`;
+    if (!override || typeof override !== 'object') {
+      errors.push({ path: at, message: 'must be an object' });
+      return;
+    }
+    for (const field of ['package', 'version', 'platform', 'reason', 'approved_by']) {
+      if (typeof override[field] !== 'string' || override[field].trim() === '') {
+        errors.push({ path: `${at}.${field}`, message: 'is required' });
+      }
+    }
+    if (typeof override.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(override.date)) {
+      errors.push({ path: `${at}.date`, message: 'must be a YYYY-MM-DD date' });
+    }
+    for (const side of ['from', 'to']) {
+      const pair = override[side];
+      if (!pair || typeof pair.url !== 'string' || !/^https?:\/\//.test(pair.url)) {
+        errors.push({ path: `${at}.${side}.url`, message: 'must be an http(s) URL' });
+      }
+      if (!pair || typeof pair.checksum !== 'string' || !/^sha(256|512):/.test(pair.checksum) || !parseHash(pair.checksum)) {
+        errors.push({ path: `${at}.${side}.checksum`, message: 'must be "sha256:<hex>" or "sha512:<hex>"' });
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Load the overrides for a package from <root>/checksum-overrides.json
+ * A missing file means no overrides; an invalid one throws, since it cannot approve anything
+ */
+export function loadOverrides(root, name) {
+  const filePath = path.join(root, OVERRIDES_FILE);
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = validateOverrides(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${OVERRIDES_FILE}: ${errors[0].path}: ${errors[0].message}`);
+  }
+  return data.overrides.filter((override) => override.package === name);
+}
+
+/**
+ * Write an incident report on drift to <root>/incidents/ and return its path
+ * `details` is stored alongside (e.g. the upstream label and what the run was doing)
+ */
+export function writeIncidentReport(root, name, drift, details = {}) {
+  const detected = new Date().toISOString();
+  const filePath = path.join(root, INCIDENTS_DIR, `${name}-${detected.replace(/[:.]/g, '-')}.json`);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify({
+    package: name,
+    detected: detected,
+    ...details,
+    drift: drift,
+    resolution: `The published artifacts were kept. If the upstream change is legitimate, approve each one ` +
+      `with an entry in ${OVERRIDES_FILE} and run the update again.`,
+  }, null, 2)}\n`);
+  return filePath;
+}
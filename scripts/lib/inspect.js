@@ -0,0 +1,224 @@
+/**
+ * Archive Inspection
+ * Finds the executables in an archive listing, infers its top-level folder, proposes
+ * bins and layout settings for a source config, and checks a manifest's bins against
+ * what an archive really contains
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { streamRequest } from './http.js';
+import { splitChecksum } from './checksum.js';
+import { archiveBaseName, isWindowsExecutable } from './archive.js';
+
+// Executables that are libraries rather than commands
+const LIBRARY_PATTERN = /\.(so(\.\d+)*|dylib|dll|a|lib)$/i;
+
+// Preference when several executables would get the same command name (nvim.exe over nvim.cmd)
+const EXTENSION_RANK = { '.cmd': 1, '.bat': 2, '.com': 3 };
+
+/**
+ * Check whether an archive entry can be run: permission bits on Unix archives,
+ * the file extension on Windows ones (which have no permission bits)
+ */
+export function isExecutable(entry) {
+  if (entry.type !== 'file' && entry.type !== 'symlink' && entry.type !== 'link') {
+    return false;
+  }
+  if (isWindowsExecutable(entry.path)) {
+    return true;
+  }
+  return entry.mode !== null && (entry.mode & 0o111) !== 0;
+}
+
+/**
+ * Folder every entry of the archive sits in (node-v20.12.2-linux-x64), or null when
+ * the archive has more than one top-level entry or nothing but a single file
+ */
+export function inferRoot(entries) {
+  const tops = new Set(entries.map((entry) => entry.path.split('/')[0]));
+  if (tops.size !== 1) {
+    return null;
+  }
+  const [top] = tops;
+  const isFolder = entries.some((entry) => entry.path !== top || entry.type === 'directory');
+  return isFolder && entries.some((entry) => entry.path.startsWith(`${top}/`)) ? top : null;
+}
+
+/**
+ * Entries relative to a layout: below `root`, or with `strip_components` leading
+ * components dropped (entries outside the layout are left out)
+ * Returns a Map of relative path to entry
+ */
+export function entriesInLayout(entries, { root, strip_components: strip } = {}) {
+  const result = new Map();
+  for (const entry of entries) {
+    let relative = entry.path;
+    if (root) {
+      if (!relative.startsWith(`${root}/`)) continue;
+      relative = relative.slice(root.length + 1);
+    } else if (strip) {
+      const parts = relative.split('/');
+      if (parts.length <= strip) continue;
+      relative = parts.slice(strip).join('/');
+    }
+    result.set(relative, entry);
+  }
+  return result;
+}
+
+/**
+ * Command name for an executable: its file name without a Windows extension
+ */
+function commandName(filePath) {
+  return path.posix.basename(filePath).replace(/\.(exe|cmd|bat|com)$/i, '');
+}
+
+/**
+ * Propose the bins of an archive
+ * Executables at the top of the layout or in its bin/ folder are proposed; when there
+ * are none, every executable is. Libraries are skipped, when several files would
+ * expose the same command the plain or .exe one at the shallowest depth wins, and
+ * symlinks to another proposed bin become its aliases.
+ * Returns { root, executables, bins } with paths relative to the root.
+ */
+export function proposeBins(entries) {
+  const root = inferRoot(entries);
+  const relative = entriesInLayout(entries, { root });
+  const executables = [...relative.entries()]
+    .filter(([, entry]) => isExecutable(entry))
+    .map(([filePath]) => filePath)
+    .sort();
+
+  const commands = executables.filter((filePath) => !LIBRARY_PATTERN.test(filePath));
+  const preferred = commands.filter((filePath) => !filePath.includes('/') || /^bin\/[^/]+$/.test(filePath));
+  const rank = (filePath) => [
+    filePath.split('/').length,
+    EXTENSION_RANK[path.posix.extname(filePath).toLowerCase()] || 0,
+  ];
+
+  const byName = new Map();
+  for (const filePath of preferred.length > 0 ? preferred : commands) {
+    const name = commandName(filePath);
+    const current = byName.get(name);
+    if (!current) {
+      byName.set(name, filePath);
+      continue;
+    }
+    const [depth, extension] = rank(filePath);
+    const [currentDepth, currentExtension] = rank(current);
+    if (depth < currentDepth || (depth === currentDepth && extension < currentExtension)) {
+      byName.set(name, filePath);
+    }
+  }
+
+  // A symlink to another proposed bin (bin/tl -> tool) becomes an alias of that bin
+  const aliases = new Map();
+  for (const [name, filePath] of byName) {
+    const entry = relative.get(filePath);
+    if (entry.type !== 'symlink' || entry.target === undefined) continue;
+    const target = path.posix.normalize(path.posix.join(path.posix.dirname(filePath), entry.target));
+    const targetName = [...byName].find(([other, otherPath]) => other !== name && otherPath === target)?.[0];
+    if (targetName && relative.get(target).type !== 'symlink') {
+      aliases.set(targetName, [...(aliases.get(targetName) || []), name]);
+      byName.delete(name);
+    }
+  }
+
+  const bins = [...byName.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, filePath]) => ({
+      name: name,
+      path: filePath,
+      ...(aliases.has(name) ? { aliases: aliases.get(name).sort() } : {}),
+    }));
+  return { root, executables, bins };
+}
+
+/**
+ * Source config settings that reproduce a proposal for every release of a package
+ * A root named after the asset becomes "{asset}" and the version becomes "{version}";
+ * on Windows assets ".exe" is dropped from bin paths, since GitHub sources add it back.
+ */
+export function suggestSourceConfig(proposal, { assetName, version = null, windows = false }) {
+  const config = {
+    bins: proposal.bins.map((bin) => ({
+      ...bin,
+      path: windows ? bin.path.replace(/\.exe$/i, '') : bin.path,
+    })),
+  };
+  if (proposal.root) {
+    let root = proposal.root;
+    if (assetName && root === archiveBaseName(assetName)) {
+      root = '{asset}';
+    } else if (version && root.includes(version)) {
+      root = root.split(version).join('{version}');
+    }
+    config.archive = { root: root };
+  }
+  return config;
+}
+
+/**
+ * Check a platform's bins against an archive listing
+ * `layout` is the manifest's platform entry merged with the bins that apply to it
+ * ({ root?, strip_components?, bins }). Returns a list of problems (empty when every
+ * bin exists, is executable and, for symlinks, points at something in the archive).
+ */
+export function verifyBins(entries, layout) {
+  const problems = [];
+  const relative = entriesInLayout(entries, layout);
+  if (layout.root && relative.size === 0) {
+    const root = inferRoot(entries);
+    problems.push(`root "${layout.root}" is not in the archive${root ? ` (its top-level folder is "${root}")` : ''}`);
+    return problems;
+  }
+
+  const byPath = new Map(entries.map((entry) => [entry.path, entry]));
+  for (const bin of layout.bins) {
+    const entry = relative.get(bin.path);
+    if (!entry) {
+      const candidates = entries
+        .filter((e) => isExecutable(e) && commandName(e.path) === commandName(bin.path))
+        .map((e) => e.path);
+      problems.push(`bin "${bin.name}": ${bin.path} not found${candidates.length > 0 ? ` (the archive has ${candidates.join(', ')})` : ''}`);
+      continue;
+    }
+    if (!isExecutable(entry)) {
+      problems.push(`bin "${bin.name}": ${bin.path} is ${entry.type === 'directory' ? 'a directory' : 'not executable'}`);
+      continue;
+    }
+    if (entry.type === 'symlink' && entry.target !== undefined) {
+      const target = path.posix.normalize(path.posix.join(path.posix.dirname(entry.path), entry.target));
+      if (entry.target.startsWith('/') || !byPath.has(target)) {
+        problems.push(`bin "${bin.name}": ${bin.path} is a symlink to ${entry.target}, which is not in the archive`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Download an archive into memory
+ * With a "sha256:<hex>" or "sha512:<hex>" checksum the download is verified against it
+ */
+export async function downloadArchive(url, { checksum = null } = {}) {
+  const algorithm = checksum ? splitChecksum(checksum).algorithm : 'sha256';
+  let chunks;
+  let hash;
+  await streamRequest(url, {
+    start: () => {
+      chunks = [];
+      hash = crypto.createHash(algorithm);
+    },
+    onData: (chunk) => {
+      chunks.push(chunk);
+      hash.update(chunk);
+    },
+  });
+  const actual = `${algorithm}:${hash.digest('hex')}`;
+  if (checksum && actual !== checksum) {
+    throw new Error(`checksum mismatch: expected ${checksum}, got ${actual}`);
+  }
+  return Buffer.concat(chunks);
+}
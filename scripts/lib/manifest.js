@@ -0,0 +1,125 @@
+/**
+ * Manifest I/O shared by the update scripts
+ * Reading, merging and writing packages/<name>.yaml
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { SCHEMA_VERSION } from './schema.js';
+import { compareVersionsDesc, precedenceKey } from './semver.js';
+import { findDrift, findOverride, ArtifactDriftError } from './immutability.js';
+
+/**
+ * Read existing YAML file
+ */
+export function readExistingYAML(filePath) {
+  try {
+    if (fs.existsSync(filePath)) {
+      const content = fs.readFileSync(filePath, 'utf8');
+      return yaml.load(content) || { versions: [] };
+    }
+  } catch (error) {
+    console.warn(`Warning: Could not read existing YAML: ${error.message}`);
+  }
+  return { versions: [] };
+}
+
+/**
+ * Merge versions
+ * New entries replace existing ones of equal precedence (the same version, ignoring build
+ * metadata); result is sorted newest first by SemVer precedence. Published artifacts are
+ * immutable (see immutability.js): a replacement keeps the platforms it lacks, and one
+ * that changes a url or checksum throws ArtifactDriftError unless `options.overrides`
+ * approves every change
+ */
+export function mergeVersions(existing, newVersions, { overrides = [] } = {}) {
+  const versionMap = new Map();
+
+  // Add existing versions
+  for (const version of existing.versions || []) {
+    if (version.version) {
+      versionMap.set(precedenceKey(version.version), version);
+    }
+  }
+
+  // Add/update with new versions
+  const drift = [];
+  for (const version of newVersions) {
+    if (!version.version) {
+      continue;
+    }
+    const key = precedenceKey(version.version);
+    const recorded = versionMap.get(key);
+    if (recorded) {
+      drift.push(...findDrift(recorded, version).filter((change) => !findOverride(overrides, change)));
+      versionMap.set(key, { ...version, platforms: { ...recorded.platforms, ...version.platforms } });
+    } else {
+      versionMap.set(key, version);
+    }
+  }
+  if (drift.length > 0) {
+    throw new ArtifactDriftError(drift);
+  }
+
+  // Sort versions (descending - newest first)
+  return Array.from(versionMap.values()).sort((a, b) => compareVersionsDesc(a.version, b.version));
+}
+
+// Per-version release details an upstream may publish, in manifest order
+const DETAIL_FIELDS = ['date', 'lts', 'security', 'components'];
+
+/**
+ * Replace a version entry's release details (date, lts, security, components)
+ * Keeps the manifest field order: version, tag, channel, details, then everything else
+ */
+export function applyDetails(entry, details = {}) {
+  const { version, tag, channel, ...rest } = entry;
+  const result = { version };
+  if (tag !== undefined) result.tag = tag;
+  if (channel !== undefined) result.channel = channel;
+  for (const field of DETAIL_FIELDS) {
+    delete rest[field];
+    if (details[field] !== undefined) {
+      result[field] = details[field];
+    }
+  }
+  return { ...result, ...rest };
+}
+
+/**
+ * Build the manifest document
+ * Metadata already in the existing manifest wins over freshly detected metadata.
+ * `aliases` is only written when there are any
+ */
+export function buildManifest(name, existing, metadata, versions, aliases = {}) {
+  return {
+    schema: SCHEMA_VERSION,
+    name: name,
+    description: existing.description || metadata.description || '',
+    homepage: existing.homepage || metadata.homepage || '',
+    license: existing.license || metadata.license || '',
+    ...(Object.keys(aliases).length > 0 ? { aliases: aliases } : {}),
+    versions: versions,
+  };
+}
+
+/**
+ * Serialize a document the way every registry file is written
+ */
+export function dumpYAML(data) {
+  return yaml.dump(data, {
+    lineWidth: -1,
+    noRefs: true,
+    sortKeys: false,
+  });
+}
+
+/**
+ * Write YAML file
+ */
+export function writeYAML(filePath, data) {
+  // Ensure directory exists
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, dumpYAML(data), 'utf8');
+}
@@ -0,0 +1,35 @@
+/**
+ * Package Index
+ * Generates index.yaml from the manifests in packages/ so clients can list and
+ * search packages without downloading every manifest
+ */
+
+import fs from 'fs';
+import { buildIndexEntry } from './schema.js';
+import { dumpYAML } from './manifest.js';
+import { indexPath, listPackageNames, loadManifest } from './registry.js';
+
+const HEADER = '# Generated from packages/*.yaml by `nori-registry index`. Do not edit by hand.\n';
+
+/**
+ * Build the index document from every manifest in packages/
+ */
+export function buildIndex(root) {
+  return {
+    packages: listPackageNames(root).map((name) => buildIndexEntry(loadManifest(root, name))),
+  };
+}
+
+/**
+ * Regenerate index.yaml
+ * Returns true when the file changed
+ */
+export function writeIndex(root) {
+  const filePath = indexPath(root);
+  const content = HEADER + dumpYAML(buildIndex(root));
+  if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === content) {
+    return false;
+  }
+  fs.writeFileSync(filePath, content, 'utf8');
+  return true;
+}
@@ -0,0 +1,184 @@
+/**
+ * Platform Matching
+ * Maps release asset filenames to nori platform keys ({os}-{arch}[-musl])
+ * See PLATFORM_MAPPING.md for the naming conventions this handles
+ */
+
+import { PLATFORMS } from './schema.js';
+
+// Tokens that name a supported OS
+const OS_TOKENS = {
+  linux: 'linux',
+  ubuntu: 'linux',
+  debian: 'linux',
+  alpine: 'linux',
+  darwin: 'macos',
+  macos: 'macos',
+  mac: 'macos',
+  osx: 'macos',
+  apple: 'macos',
+  windows: 'windows',
+  win: 'windows',
+  msvc: 'windows',
+  mingw: 'windows',
+  msys: 'windows',
+  cygwin: 'windows',
+  freebsd: 'freebsd',
+};
+
+// Tokens that name a supported architecture
+const ARCH_TOKENS = {
+  amd64: 'amd64',
+  x86_64: 'amd64',
+  x64: 'amd64',
+  intel64: 'amd64',
+  em64t: 'amd64',
+  ia32e: 'amd64',
+  '64': 'amd64',
+  '64bit': 'amd64',
+  arm64: 'arm64',
+  arm64e: 'arm64',
+  aarch64: 'arm64',
+  armv8: 'arm64',
+  armv8a: 'arm64',
+  armv7: 'armv7',
+  armv7l: 'armv7',
+  armv7a: 'armv7',
+  armv7hf: 'armv7',
+  armhf: 'armv7',
+  arm: 'armv6',
+  armv6: 'armv6',
+  armv6l: 'armv6',
+  armv6hf: 'armv6',
+  riscv64: 'riscv64',
+  riscv64gc: 'riscv64',
+  x86: 'x86',
+  i386: 'x86',
+  i486: 'x86',
+  i586: 'x86',
+  i686: 'x86',
+  '386': 'x86',
+  '686': 'x86',
+  ia32: 'x86',
+  '32': 'x86',
+  '32bit': 'x86',
+};
+
+// Tokens that mark a build as linked against musl instead of glibc
+const MUSL_TOKENS = new Set(['musl', 'musleabihf', 'alpine']);
+
+// OS+width compounds such as "linux64", "win32" or "mingw64"
+const COMPOUND_TOKEN = /^(linux|darwin|macos|mac|osx|windows|win|mingw)(32|64)$/;
+
+// Spellings that separators split in two
+const JOINED_TOKENS = {
+  'x86 64': 'x86_64',
+  'mac os': 'macos',
+  'os x': 'osx',
+  '32 bit': '32bit',
+  '64 bit': '64bit',
+};
+
+// Tokens that mean the asset targets something nori does not support, even when
+// a supported OS or architecture also appears (e.g. "aarch64-linux-android", "linux_armel")
+const UNSUPPORTED_TOKENS = new Set([
+  'android', 'androideabi', 'ios', 'openbsd', 'netbsd', 'dragonfly', 'illumos', 'solaris', 'aix', 'plan9',
+  'wasm', 'wasm32', 'wasi', 'js',
+  'armv5', 'armel', 'arm32', 'gnueabi', 'musleabi',
+  'ppc', 'ppc64', 'ppc64le', 'powerpc', 'powerpc64', 'powerpc64le', 's390x',
+  'mips', 'mipsle', 'mips64', 'mips64le', 'mips64el', 'loong64', 'loongarch64', 'sparc64',
+  'universal', 'universal2',
+]);
+
+/**
+ * Split an asset filename into lowercase tokens
+ * Version numbers are dropped first so "1.32.0" or "2.386.1" cannot read as an
+ * architecture, and multi-part spellings ("x86_64", "x86-64", "mac-os", "64-bit")
+ * are joined so the separators inside them do not split them.
+ */
+export function tokenizeAssetName(filename) {
+  const parts = filename
+    .toLowerCase()
+    .replace(/\d+(?:\.\d+)+/g, '-')
+    .split(/[^a-z0-9]+/)
+    .filter((part) => part !== '');
+
+  const tokens = [];
+  for (let i = 0; i < parts.length; i++) {
+    const joined = JOINED_TOKENS[`${parts[i]} ${parts[i + 1]}`];
+    if (joined) {
+      tokens.push(joined);
+      i++;
+    } else {
+      tokens.push(parts[i]);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Match platform from filename
+ * Returns the nori platform key, or null when the OS or architecture is missing,
+ * ambiguous or unsupported.
+ *
+ * An explicit architecture token wins over the one implied by a compound such as
+ * "win32". Names with an OS but no architecture at all ("nvim-macos.tar.gz") are
+ * treated as amd64, which is what older releases without an architecture shipped.
+ * Linux builds that mention musl get the `-musl` qualifier.
+ */
+export function matchPlatform(filename) {
+  const osNames = new Set();
+  const archNames = new Set();
+  const impliedArchNames = new Set();
+  let musl = false;
+
+  for (const token of tokenizeAssetName(filename)) {
+    if (UNSUPPORTED_TOKENS.has(token)) {
+      return null;
+    }
+
+    if (MUSL_TOKENS.has(token)) {
+      musl = true;
+    }
+
+    const compound = token.match(COMPOUND_TOKEN);
+    if (compound) {
+      osNames.add(OS_TOKENS[compound[1]]);
+      impliedArchNames.add(ARCH_TOKENS[compound[2]]);
+      continue;
+    }
+
+    if (OS_TOKENS[token]) {
+      osNames.add(OS_TOKENS[token]);
+    } else if (ARCH_TOKENS[token]) {
+      archNames.add(ARCH_TOKENS[token]);
+    }
+  }
+
+  const candidates = archNames.size > 0 ? archNames : impliedArchNames;
+  if (osNames.size !== 1 || candidates.size > 1) {
+    return null;
+  }
+
+  const [os] = osNames;
+  const [arch] = candidates.size === 1 ? candidates : ['amd64'];
+  const platform = `${os}-${arch}${musl ? '-musl' : ''}`;
+  return PLATFORMS.includes(platform) ? platform : null;
+}
+
+/**
+ * Record musl-only builds under the glibc key as well
+ * Release builds against musl are almost always static binaries that also run on
+ * glibc systems, so a release that only ships a musl build for an architecture still
+ * gets the glibc platform. A real glibc build is never replaced.
+ */
+export function addMuslFallbacks(platforms) {
+  const result = { ...platforms };
+  for (const [platform, entry] of Object.entries(platforms)) {
+    const glibcPlatform = platform.replace(/-musl$/, '');
+    if (glibcPlatform !== platform && !result[glibcPlatform]) {
+      result[glibcPlatform] = { ...entry };
+    }
+  }
+  return result;
+}
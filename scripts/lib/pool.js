@@ -0,0 +1,44 @@
+/**
+ * Concurrency helpers
+ * Bound how many releases are resolved and how many downloads run at once
+ */
+
+export const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at a time
+ * Returns limit(task): queues the async function and resolves with its result
+ */
+export function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Map over items with at most `concurrency` calls in flight
+ * Results keep the order of `items`, whatever order the calls finish in
+ */
+export function mapConcurrent(items, concurrency, fn) {
+  const limit = createLimiter(concurrency);
+  return Promise.all(items.map((item, index) => limit(() => fn(item, index))));
+}
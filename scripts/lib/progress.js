@@ -0,0 +1,67 @@
+/**
+ * Progress reporters used by runUpdate
+ * A reporter receives start(total), version(version, platformsFound) and finish()
+ */
+
+/**
+ * Create a simple progress bar
+ */
+function createProgressBar(current, total, width = 40) {
+  const ratio = total > 0 ? Math.min(1, current / total) : 1;
+  const percentage = Math.round(ratio * 100);
+  const filled = Math.round(ratio * width);
+  const empty = width - filled;
+  const bar = '█'.repeat(filled) + '░'.repeat(empty);
+  return `[${bar}] ${percentage}%`;
+}
+
+/**
+ * Reporter that prints one line per added version (with console.log, or `log`)
+ */
+export function createLineReporter(log = console.log) {
+  return {
+    start() {},
+    version(version, platformsFound) {
+      if (platformsFound > 0) {
+        log(`  ✓ Added version ${version} with ${platformsFound} platform(s)`);
+      }
+    },
+    finish() {},
+  };
+}
+
+/**
+ * Reporter that redraws a single progress bar line
+ */
+export function createProgressBarReporter() {
+  let totalReleases = 0;
+  let processedCount = 0;
+  let newVersionsCount = 0;
+
+  const render = (currentVersion = null, platformsFound = 0) => {
+    const progressBar = createProgressBar(processedCount, totalReleases);
+    const info = currentVersion
+      ? `Processing: ${currentVersion} (${platformsFound} platforms)`
+      : `Total: ${totalReleases} releases | New: ${newVersionsCount}`;
+
+    // Clear line and print progress
+    process.stdout.write(`\r${progressBar} | ${info}${' '.repeat(20)}`);
+  };
+
+  return {
+    start(total) {
+      totalReleases = total;
+      render();
+    },
+    version(version, platformsFound) {
+      processedCount++;
+      if (platformsFound > 0) {
+        newVersionsCount++;
+      }
+      render(version, platformsFound);
+    },
+    finish() {
+      console.log(''); // New line after progress bar
+    },
+  };
+}
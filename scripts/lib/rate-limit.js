@@ -0,0 +1,132 @@
+/**
+ * GitHub Rate Limits
+ * Waits out primary and secondary rate limits instead of failing the update
+ * https://docs.github.com/en/rest/using-the-rest-api/rate-limits-for-the-rest-api
+ */
+
+// GitHub asks clients to wait at least a minute after a secondary rate limit
+// that does not say how long to wait
+const SECONDARY_LIMIT_WAIT = 60 * 1000;
+
+const MAX_RETRIES = 5;
+
+/**
+ * Sleep for `ms` milliseconds
+ */
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Read a header from a Node.js headers object (names are lowercase there)
+ */
+function header(headers, name) {
+  const value = headers?.[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Delay requested by a Retry-After header (seconds or an HTTP date)
+ * Returns milliseconds, or null when there is no usable header
+ */
+export function getRetryAfterDelay(headers, now = Date.now()) {
+  const retryAfter = header(headers, 'retry-after');
+  if (retryAfter === undefined) {
+    return null;
+  }
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Time until the primary rate limit resets, when the response says it is used up
+ * Returns milliseconds, or null when requests remain (or the reset time is missing)
+ */
+export function getResetDelay(headers, now = Date.now()) {
+  if (header(headers, 'x-ratelimit-remaining') !== '0') {
+    return null;
+  }
+  const reset = Number(header(headers, 'x-ratelimit-reset'));
+  if (!Number.isFinite(reset)) {
+    return null;
+  }
+  // One extra second so the request does not land just before the reset
+  return Math.max(0, reset * 1000 - now) + 1000;
+}
+
+/**
+ * How long to wait before retrying a failed request
+ * Returns milliseconds, or null when the failure is not a rate limit
+ */
+export function getRateLimitDelay(error, now = Date.now()) {
+  if (error.statusCode !== 403 && error.statusCode !== 429) {
+    return null;
+  }
+
+  const retryAfter = getRetryAfterDelay(error.headers, now);
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+
+  const resetDelay = getResetDelay(error.headers, now);
+  if (resetDelay !== null) {
+    return resetDelay;
+  }
+
+  if (error.statusCode === 429 || header(error.headers, 'x-ratelimit-remaining') === '0' ||
+      /secondary rate limit/i.test(error.body || '')) {
+    return SECONDARY_LIMIT_WAIT;
+  }
+
+  // A plain 403 (e.g. a private repo or a bad token) is not worth retrying
+  return null;
+}
+
+/**
+ * Create a rate limiter shared by every request to one API
+ * run(request) calls request(observeHeaders); the request passes each response's
+ * headers to observeHeaders. When a limit is hit, every request waits for the
+ * same reset instead of hammering the API, and the failed request is retried.
+ */
+export function createRateLimiter({ label = 'GitHub', wait = sleep } = {}) {
+  let resumeAt = 0;
+
+  const pauseFor = (delay) => {
+    const until = Date.now() + delay;
+    if (until > resumeAt) {
+      resumeAt = until;
+      console.warn(`  Rate limited by ${label}; waiting ${Math.ceil(delay / 1000)}s before continuing`);
+    }
+  };
+
+  const observeHeaders = (headers) => {
+    const delay = getResetDelay(headers);
+    if (delay !== null) {
+      pauseFor(delay);
+    }
+  };
+
+  return {
+    async run(request) {
+      for (let attempt = 0; ; attempt++) {
+        while (Date.now() < resumeAt) {
+          await wait(resumeAt - Date.now());
+        }
+
+        try {
+          return await request(observeHeaders);
+        } catch (error) {
+          const delay = getRateLimitDelay(error);
+          if (delay === null || attempt >= MAX_RETRIES) {
+            throw error;
+          }
+          pauseFor(delay);
+        }
+      }
+    },
+  };
+}
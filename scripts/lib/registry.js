@@ -0,0 +1,202 @@
+/**
+ * Registry Files
+ * Locating, loading and validating the manifests, index and source configs of a registry checkout
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { validateManifest, validateIndex } from './schema.js';
+import { validateSourceConfig, getStableRule } from './config.js';
+import { loadKeys } from './signatures.js';
+import { OVERRIDES_FILE, validateOverrides } from './immutability.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const PROJECT_ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * Path of a package manifest
+ */
+export function manifestPath(root, name) {
+  return path.join(root, 'packages', `${name}.yaml`);
+}
+
+/**
+ * Path of the package index
+ */
+export function indexPath(root) {
+  return path.join(root, 'index.yaml');
+}
+
+/**
+ * Path of a package's source config
+ */
+export function sourceConfigPath(root, name) {
+  return path.join(root, 'sources', `${name}.json`);
+}
+
+/**
+ * Directory holding a package's pinned signing keys
+ */
+export function keysPath(root, name) {
+  return path.join(root, 'keys', name);
+}
+
+/**
+ * List package names that have a manifest in packages/
+ */
+export function listPackageNames(root) {
+  const dir = path.join(root, 'packages');
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter((file) => file.endsWith('.yaml'))
+    .map((file) => path.basename(file, '.yaml'))
+    .sort();
+}
+
+/**
+ * List package names that have a source config in sources/
+ */
+export function listSourceConfigNames(root) {
+  const dir = path.join(root, 'sources');
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => path.basename(file, '.json'))
+    .sort();
+}
+
+/**
+ * Load a package manifest, or null if it does not exist
+ */
+export function loadManifest(root, name) {
+  const filePath = manifestPath(root, name);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return yaml.load(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Load a package's source config, or null if it does not exist
+ */
+export function loadSourceConfig(root, name) {
+  const filePath = sourceConfigPath(root, name);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid JSON in ${path.relative(root, filePath)}: ${e.message}`);
+  }
+}
+
+/**
+ * The stable rule from a package's source config
+ * Falls back to the default rule when the config is missing or invalid (validation
+ * reports the config problem separately)
+ */
+export function loadStableRule(root, name) {
+  try {
+    const config = loadSourceConfig(root, name);
+    return config && validateSourceConfig(config).length === 0 ? getStableRule(config) : getStableRule(null);
+  } catch {
+    return getStableRule(null);
+  }
+}
+
+/**
+ * Validate manifests and source configs (all of them when `names` is empty, plus index.yaml)
+ * Returns { manifests, sourceConfigs, errors } where each error is { file, path, message }
+ */
+export function validateRegistry(root, names = []) {
+  const errors = [];
+  const manifests = new Map();
+
+  const report = (filePath, fileErrors) => {
+    const file = path.relative(root, filePath);
+    for (const error of fileErrors) {
+      errors.push({ file, ...error });
+    }
+  };
+
+  const load = (filePath) => {
+    try {
+      return yaml.load(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      report(filePath, [{ path: '', message: error.message }]);
+      return undefined;
+    }
+  };
+
+  const selected = names.length > 0 ? names : listPackageNames(root);
+  for (const name of selected) {
+    const filePath = manifestPath(root, name);
+    if (!fs.existsSync(filePath)) {
+      report(filePath, [{ path: '', message: 'file not found' }]);
+      continue;
+    }
+
+    const manifest = load(filePath);
+    if (manifest === undefined) {
+      continue;
+    }
+    report(filePath, validateManifest(manifest, { expectedName: name, stableRule: loadStableRule(root, name) }));
+    manifests.set(name, manifest);
+  }
+
+  const configNames = names.length > 0
+    ? names.filter((name) => fs.existsSync(sourceConfigPath(root, name)))
+    : listSourceConfigNames(root);
+  for (const name of configNames) {
+    const filePath = sourceConfigPath(root, name);
+    try {
+      const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const configErrors = validateSourceConfig(config);
+      // Signature checks need at least one pinned key to check against
+      if (configErrors.length === 0 && config.signatures) {
+        try {
+          loadKeys(keysPath(root, name), config.signatures.type);
+        } catch (error) {
+          configErrors.push({ path: 'signatures', message: error.message.replace(root + path.sep, '') });
+        }
+      }
+      report(filePath, configErrors);
+    } catch (error) {
+      report(filePath, [{ path: '', message: error.message }]);
+    }
+  }
+
+  // Overrides of published artifacts must say what they replace, why and who approved it
+  const overridesPath = path.join(root, OVERRIDES_FILE);
+  if (names.length === 0 && fs.existsSync(overridesPath)) {
+    try {
+      report(overridesPath, validateOverrides(JSON.parse(fs.readFileSync(overridesPath, 'utf8'))));
+    } catch (error) {
+      report(overridesPath, [{ path: '', message: error.message }]);
+    }
+  }
+
+  if (names.length === 0) {
+    const index = load(indexPath(root));
+    if (index !== undefined) {
+      report(indexPath(root), validateIndex(index, manifests));
+    }
+  }
+
+  return { manifests, sourceConfigs: configNames.length, errors };
+}
+
+/**
+ * Format a validation error as "file: path: message"
+ */
+export function formatValidationError(error) {
+  return `${error.file}: ${error.path ? `${error.path}: ` : ''}${error.message}`;
+}
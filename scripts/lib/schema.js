@@ -0,0 +1,479 @@
+/**
+ * Registry Schema
+ * Formal definition of the schema 1 package manifest and index layout,
+ * plus the checks that go beyond structure (versions, ordering, index consistency)
+ */
+
+import { isValidVersion } from './version.js';
+import { isPrerelease, compareVersions, precedenceKey } from './semver.js';
+import { computeAliases } from './aliases.js';
+
+export const SCHEMA_VERSION = 1;
+
+// Platforms nori can install, in `{os}-{arch}` form with an optional `-musl` libc
+// qualifier (see PLATFORM_MAPPING.md). Unqualified linux keys are glibc builds.
+export const PLATFORMS = [
+  'linux-x86',
+  'linux-amd64',
+  'linux-arm64',
+  'linux-armv6',
+  'linux-armv7',
+  'linux-riscv64',
+  'linux-x86-musl',
+  'linux-amd64-musl',
+  'linux-arm64-musl',
+  'linux-armv6-musl',
+  'linux-armv7-musl',
+  'linux-riscv64-musl',
+  'macos-x86',
+  'macos-amd64',
+  'macos-arm64',
+  'windows-x86',
+  'windows-amd64',
+  'windows-arm64',
+  'freebsd-x86',
+  'freebsd-amd64',
+  'freebsd-arm64',
+  'freebsd-riscv64',
+];
+
+// Release channels a version can belong to. Versions without a `channel` are stable;
+// a manifest holds at most one nightly, replaced whenever upstream publishes a new one
+export const CHANNELS = ['stable', 'prerelease', 'nightly'];
+
+// Archive types nori can extract
+export const ARCHIVE_TYPES = ['tar', 'tar.gz', 'tar.xz', 'zip'];
+
+// Signature schemes upstream checksums can be verified with (see signatures.js)
+export const SIGNATURE_TYPES = ['pgp', 'minisign', 'cosign'];
+
+// Archive folders: relative, slash-separated, no empty, "." or ".." segments
+export const ROOT_PATTERN = /^(?:(?!\.\.?\/)[^\s/]+\/)*(?!\.\.?$)[^\s/]+$/;
+
+// Command names: what a bin or alias is exposed as on the user's PATH
+const COMMAND_NAME_SCHEMA = { type: 'string', pattern: /^[A-Za-z0-9][A-Za-z0-9._+-]*$/, description: 'a command name without slashes or whitespace' };
+
+export const BIN_SCHEMA = {
+  type: 'object',
+  required: ['name', 'path'],
+  properties: {
+    name: COMMAND_NAME_SCHEMA,
+    path: { type: 'string', pattern: /^[^\s/][^\s]*$/, description: 'a relative path without whitespace' },
+    aliases: { type: 'array', minItems: 1, items: COMMAND_NAME_SCHEMA },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Find command names exposed twice within one bins list (names and aliases share a namespace)
+ * Returns { path, message } errors
+ */
+export function checkBinNames(bins, path) {
+  const errors = [];
+  const seen = new Set();
+  bins.forEach((bin, i) => {
+    for (const name of [bin?.name, ...(Array.isArray(bin?.aliases) ? bin.aliases : [])]) {
+      if (typeof name !== 'string') continue;
+      if (seen.has(name)) {
+        errors.push({ path: joinPath(path, i), message: `command ${JSON.stringify(name)} is exposed more than once` });
+      }
+      seen.add(name);
+    }
+  });
+  return errors;
+}
+
+// Where a platform's archive keeps the package: bins paths are relative to `root` (the
+// archive's top-level folder, e.g. node-v20.12.2-linux-x64), or to what is left after
+// dropping `strip_components` leading path components. `bins` replaces the version's
+// bins on platforms whose layout differs (node.exe instead of bin/node).
+const PLATFORM_SCHEMA = {
+  type: 'object',
+  required: ['type', 'url', 'checksum'],
+  properties: {
+    type: { type: 'string', enum: ARCHIVE_TYPES },
+    url: { type: 'string', pattern: /^https:\/\/\S+$/, description: 'an https:// URL' },
+    checksum: {
+      type: 'string',
+      pattern: /^(sha256:[a-f0-9]{64}|sha512:[a-f0-9]{128})$/,
+      description: '"sha256:" followed by 64 or "sha512:" followed by 128 lowercase hex digits',
+    },
+    root: { type: 'string', pattern: ROOT_PATTERN, description: 'a relative directory path without whitespace, ".." or a trailing slash' },
+    strip_components: { type: 'integer', check: (v) => (v >= 1 ? null : `must be at least 1, got ${v}`) },
+    bins: { type: 'array', minItems: 1, items: BIN_SCHEMA },
+  },
+  additionalProperties: false,
+};
+
+const VERSION_SCHEMA = {
+  type: 'object',
+  required: ['version', 'bins', 'platforms'],
+  properties: {
+    version: { type: 'string' },
+    tag: { type: 'string', pattern: /^\S+$/, description: 'an upstream tag without whitespace' },
+    channel: { type: 'string', enum: CHANNELS },
+    date: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, description: 'a YYYY-MM-DD date' },
+    lts: { type: 'string' },
+    security: { type: 'boolean' },
+    components: { type: 'object', additionalProperties: { type: 'string' } },
+    // Set when every platform's checksum came from upstream data whose signature was
+    // verified against a key pinned in keys/<package>/
+    signature: {
+      type: 'object',
+      required: ['type', 'key'],
+      properties: {
+        type: { type: 'string', enum: SIGNATURE_TYPES },
+        key: { type: 'string', pattern: /^[A-Fa-f0-9]{16,64}$/, description: 'a key fingerprint or ID in hex' },
+      },
+      additionalProperties: false,
+    },
+    bins: { type: 'array', minItems: 1, items: BIN_SCHEMA },
+    platforms: {
+      type: 'object',
+      minProperties: 1,
+      propertyNames: PLATFORMS,
+      additionalProperties: PLATFORM_SCHEMA,
+    },
+  },
+  additionalProperties: false,
+};
+
+export const MANIFEST_SCHEMA = {
+  type: 'object',
+  required: ['schema', 'name', 'description', 'homepage', 'license', 'versions'],
+  properties: {
+    schema: { type: 'integer', enum: [SCHEMA_VERSION] },
+    name: { type: 'string', pattern: /^[a-z0-9][a-z0-9-]*$/, description: 'lowercase letters, digits and dashes' },
+    description: { type: 'string' },
+    homepage: { type: 'string', pattern: /^https?:\/\/\S+$/, description: 'an http(s):// URL' },
+    license: { type: 'string' },
+    aliases: {
+      type: 'object',
+      additionalProperties: { type: 'string' },
+    },
+    versions: { type: 'array', items: VERSION_SCHEMA },
+  },
+  additionalProperties: false,
+};
+
+export const INDEX_SCHEMA = {
+  type: 'object',
+  required: ['packages'],
+  properties: {
+    packages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'description', 'latest_version', 'platforms', 'version_count'],
+        properties: {
+          name: { type: 'string' },
+          description: { type: 'string' },
+          latest_version: { anyOf: [{ type: 'string' }, { type: 'null' }] },
+          platforms: { type: 'array', items: { type: 'string', enum: PLATFORMS } },
+          version_count: { type: 'integer' },
+        },
+        additionalProperties: false,
+      },
+    },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Describe the type of a value the way the schema names types
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Append a key or index to an error path
+ */
+function joinPath(base, key) {
+  if (typeof key === 'number') {
+    return `${base}[${key}]`;
+  }
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Check a value against a schema node, collecting errors as { path, message }
+ */
+export function checkSchema(value, schema, path, errors) {
+  const actual = typeOf(value);
+
+  // anyOf: valid if any branch matches; otherwise report the branch of the same type
+  if (schema.anyOf) {
+    const branchErrors = schema.anyOf.map((branch) => {
+      const collected = [];
+      checkSchema(value, branch, path, collected);
+      return collected;
+    });
+    if (branchErrors.some((collected) => collected.length === 0)) {
+      return;
+    }
+    const sameType = schema.anyOf.findIndex((branch) => branch.type === actual);
+    if (sameType !== -1) {
+      errors.push(...branchErrors[sameType]);
+    } else {
+      errors.push({ path, message: `expected ${schema.anyOf.map((branch) => branch.type).join(' or ')}, got ${actual}` });
+    }
+    return;
+  }
+
+  const typeMatches = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+  if (!typeMatches) {
+    errors.push({ path, message: `expected ${schema.type}, got ${actual}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` });
+  }
+
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push({ path, message: `must be ${schema.description || `matching ${schema.pattern}`}, got ${JSON.stringify(value)}` });
+  }
+
+  // Custom check: returns an error message, or null when the value is fine
+  if (schema.check) {
+    const message = schema.check(value);
+    if (message) {
+      errors.push({ path, message });
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path, message: `must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => checkSchema(item, schema.items, joinPath(path, i), errors));
+    }
+  }
+
+  if (schema.type === 'object') {
+    const keys = Object.keys(value);
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+
+    if (schema.minProperties && keys.length < schema.minProperties) {
+      errors.push({ path, message: `must contain at least ${schema.minProperties} entry(ies)` });
+    }
+
+    for (const key of keys) {
+      const keyPath = joinPath(path, key);
+      if (schema.propertyNames && !schema.propertyNames.includes(key)) {
+        errors.push({ path: keyPath, message: `unknown key, expected one of ${schema.propertyNames.join(', ')}` });
+        continue;
+      }
+      if (schema.properties && schema.properties[key]) {
+        checkSchema(value[key], schema.properties[key], keyPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: keyPath, message: 'unknown key' });
+      } else if (schema.additionalProperties) {
+        checkSchema(value[key], schema.additionalProperties, keyPath, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a parsed package manifest
+ * Returns a list of { path, message } errors (empty when valid)
+ */
+export function validateManifest(manifest, { expectedName = null, stableRule = undefined } = {}) {
+  const errors = [];
+  checkSchema(manifest, MANIFEST_SCHEMA, '', errors);
+
+  if (typeOf(manifest) !== 'object') {
+    return errors;
+  }
+
+  if (expectedName && manifest.name !== expectedName) {
+    errors.push({ path: 'name', message: `must match the file name "${expectedName}", got ${JSON.stringify(manifest.name)}` });
+  }
+
+  if (!Array.isArray(manifest.versions)) {
+    return errors;
+  }
+
+  const seen = new Map();
+  let previous = null;
+  let nightly = null;
+  manifest.versions.forEach((entry, i) => {
+    if (Array.isArray(entry?.bins)) {
+      errors.push(...checkBinNames(entry.bins, joinPath(joinPath('versions', i), 'bins')));
+    }
+    if (typeOf(entry?.platforms) === 'object') {
+      for (const [platform, artifact] of Object.entries(entry.platforms)) {
+        const platformPath = joinPath(joinPath(joinPath('versions', i), 'platforms'), platform);
+        if (Array.isArray(artifact?.bins)) {
+          errors.push(...checkBinNames(artifact.bins, joinPath(platformPath, 'bins')));
+        }
+        if (artifact?.root !== undefined && artifact?.strip_components !== undefined) {
+          errors.push({ path: platformPath, message: 'set either root or strip_components, not both' });
+        }
+      }
+    }
+
+    const version = entry?.version;
+    if (typeof version !== 'string') {
+      return;
+    }
+    const path = joinPath(joinPath('versions', i), 'version');
+
+    if (!isValidVersion(version)) {
+      errors.push({ path, message: `invalid version ${JSON.stringify(version)} (expected MAJOR.MINOR.PATCH with dotted pre-release identifiers)` });
+      return;
+    }
+
+    // Versions differing only in build metadata have equal precedence and count as duplicates
+    const key = precedenceKey(version);
+    if (seen.has(key)) {
+      errors.push({ path, message: `duplicate version ${version} (first seen at versions[${seen.get(key)}])` });
+      return;
+    }
+    seen.set(key, i);
+
+    const channel = channelOf(entry);
+    if (channel === 'stable' && isPrerelease(version)) {
+      errors.push({ path, message: `pre-release version ${version} must have channel "prerelease" or "nightly"` });
+    } else if (channel !== 'stable' && !isPrerelease(version)) {
+      errors.push({ path, message: `${channel} version ${version} must have a pre-release identifier (e.g. ${version}-rc.1)` });
+    }
+    if (channel === 'nightly') {
+      if (nightly) {
+        errors.push({ path, message: `only one nightly version is kept, but ${nightly.version} (versions[${nightly.index}]) is also nightly` });
+      }
+      nightly = nightly || { version, index: i };
+    }
+
+    if (previous && compareVersions(previous.version, version) < 0) {
+      errors.push({ path, message: `versions must be sorted newest first, but ${version} comes after ${previous.version} (versions[${previous.index}])` });
+    }
+    previous = { version, index: i };
+  });
+
+  // Aliases are generated from the versions, so they can only be checked once those are sound
+  const versionsValid = errors.length === 0;
+  const knownVersions = new Set(manifest.versions.map((entry) => entry?.version));
+
+  // Every alias must name a version that is in the manifest
+  if (typeOf(manifest.aliases) === 'object') {
+    for (const [alias, version] of Object.entries(manifest.aliases)) {
+      const path = joinPath('aliases', alias);
+      if (!/^[a-z0-9][a-z0-9./-]*$/.test(alias)) {
+        errors.push({ path, message: 'alias names must be lowercase letters, digits, ".", "/" and "-"' });
+      }
+      if (typeof version === 'string' && !knownVersions.has(version)) {
+        errors.push({ path, message: `points to ${version}, which is not in versions` });
+      }
+    }
+  }
+
+  // ...and must match what the update tooling generates (see aliases.js)
+  if (versionsValid && (manifest.aliases === undefined || typeOf(manifest.aliases) === 'object')) {
+    const actual = manifest.aliases || {};
+    const expected = computeAliases(manifest.versions, stableRule);
+    const hint = 'regenerate with "nori-registry index"';
+    for (const [alias, version] of Object.entries(expected)) {
+      if (actual[alias] === undefined) {
+        errors.push({ path: joinPath('aliases', alias), message: `is missing, expected ${version} (${hint})` });
+      } else if (actual[alias] !== version && knownVersions.has(actual[alias])) {
+        errors.push({ path: joinPath('aliases', alias), message: `points to ${actual[alias]}, expected ${version} (${hint})` });
+      }
+    }
+    for (const alias of Object.keys(actual)) {
+      if (expected[alias] === undefined) {
+        errors.push({ path: joinPath('aliases', alias), message: `is not a generated alias (${hint})` });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Channel of a manifest version entry (stable when not set)
+ */
+export function channelOf(entry) {
+  return entry.channel || 'stable';
+}
+
+/**
+ * Build the index.yaml entry summarizing one manifest
+ * latest_version and platforms describe the newest stable version
+ */
+export function buildIndexEntry(manifest) {
+  const versions = manifest.versions || [];
+  const latest = versions.find((entry) => channelOf(entry) === 'stable' && !isPrerelease(entry.version)) || null;
+  const platforms = Object.keys(latest?.platforms || {});
+
+  return {
+    name: manifest.name,
+    description: manifest.description || '',
+    latest_version: latest ? latest.version : null,
+    platforms: PLATFORMS.filter((platform) => platforms.includes(platform)),
+    version_count: versions.length,
+  };
+}
+
+/**
+ * Validate a parsed index.yaml against the manifests it lists
+ * `manifests` maps package name to the parsed manifest
+ */
+export function validateIndex(index, manifests) {
+  const errors = [];
+  checkSchema(index, INDEX_SCHEMA, '', errors);
+
+  if (!Array.isArray(index?.packages)) {
+    return errors;
+  }
+
+  const listed = new Set();
+  index.packages.forEach((entry, i) => {
+    const name = entry?.name;
+    if (typeof name !== 'string') {
+      return;
+    }
+    const path = joinPath('packages', i);
+
+    if (listed.has(name)) {
+      errors.push({ path: joinPath(path, 'name'), message: `duplicate package ${name}` });
+      return;
+    }
+    listed.add(name);
+
+    const manifest = manifests.get(name);
+    if (!manifest) {
+      errors.push({ path: joinPath(path, 'name'), message: `no manifest found at packages/${name}.yaml` });
+      return;
+    }
+
+    const expected = buildIndexEntry(manifest);
+    for (const [key, value] of Object.entries(expected)) {
+      if (key in entry && JSON.stringify(entry[key]) !== JSON.stringify(value)) {
+        errors.push({
+          path: joinPath(path, key),
+          message: `does not match packages/${name}.yaml (expected ${JSON.stringify(value)}; run \`nori-registry index\`)`,
+        });
+      }
+    }
+  });
+
+  for (const name of manifests.keys()) {
+    if (!listed.has(name)) {
+      errors.push({ path: 'packages', message: `missing entry for packages/${name}.yaml` });
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,206 @@
+/**
+ * Semantic Versioning
+ * Parsing, SemVer 2.0 precedence and version ranges, shared by every script that
+ * sorts, compares or filters versions
+ */
+
+// MAJOR.MINOR.PATCH[-PRERELEASE][+BUILD] as defined by semver.org (no leading zeros,
+// no empty identifiers); a leading "v" is tolerated
+const SEMVER_PATTERN = /^v?(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+
+/**
+ * Parse a version string
+ * Returns { major, minor, patch, prerelease, build } (identifier arrays for the last two),
+ * or null when the string is not a valid semantic version
+ */
+export function parseVersion(version) {
+  if (typeof version !== 'string') {
+    return null;
+  }
+  const match = version.match(SEMVER_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const [, major, minor, patch, prerelease, build] = match;
+  return {
+    major: Number(major),
+    minor: Number(minor),
+    patch: Number(patch),
+    prerelease: prerelease ? prerelease.split('.') : [],
+    build: build ? build.split('.') : [],
+  };
+}
+
+/**
+ * Parse a version string, throwing on anything that is not a semantic version
+ */
+function parseOrThrow(version) {
+  const parsed = parseVersion(version);
+  if (!parsed) {
+    throw new Error(`Invalid semantic version ${JSON.stringify(version)}`);
+  }
+  return parsed;
+}
+
+/**
+ * Check whether a version has a pre-release identifier (1.2.3-rc.1, 0.14.0-dev.46+3648d7df1)
+ */
+export function isPrerelease(version) {
+  return parseOrThrow(version).prerelease.length > 0;
+}
+
+/**
+ * Compare two pre-release identifiers
+ * Numeric identifiers compare numerically and sort before alphanumeric ones,
+ * which compare in ASCII order
+ */
+function compareIdentifiers(a, b) {
+  const aNumeric = /^\d+$/.test(a);
+  const bNumeric = /^\d+$/.test(b);
+  if (aNumeric && bNumeric) {
+    return Math.sign(Number(a) - Number(b));
+  }
+  if (aNumeric !== bNumeric) {
+    return aNumeric ? -1 : 1;
+  }
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Compare two parsed versions by SemVer 2.0 precedence
+ */
+function comparePrecedence(a, b) {
+  for (const field of ['major', 'minor', 'patch']) {
+    if (a[field] !== b[field]) {
+      return Math.sign(a[field] - b[field]);
+    }
+  }
+
+  // A pre-release has lower precedence than the release it leads up to
+  if (a.prerelease.length === 0 || b.prerelease.length === 0) {
+    return Math.sign(b.prerelease.length - a.prerelease.length);
+  }
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    // A shorter set of identifiers sorts first when all preceding ones are equal
+    if (a.prerelease[i] === undefined) return -1;
+    if (b.prerelease[i] === undefined) return 1;
+    const result = compareIdentifiers(a.prerelease[i], b.prerelease[i]);
+    if (result !== 0) {
+      return result;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Compare two versions by precedence: negative when a < b, positive when a > b
+ * Build metadata does not affect precedence, so 1.0.0+a and 1.0.0+b compare equal.
+ * Throws on a string that is not a semantic version.
+ */
+export function compareVersions(a, b) {
+  return comparePrecedence(parseOrThrow(a), parseOrThrow(b));
+}
+
+/**
+ * Compare two versions for a descending (newest first) sort
+ */
+export function compareVersionsDesc(a, b) {
+  return compareVersions(b, a);
+}
+
+/**
+ * Key under which versions of equal precedence collide (the version without build metadata)
+ */
+export function precedenceKey(version) {
+  const { major, minor, patch, prerelease } = parseOrThrow(version);
+  return `${major}.${minor}.${patch}${prerelease.length > 0 ? `-${prerelease.join('.')}` : ''}`;
+}
+
+/**
+ * Expand one range term into comparators ({ operator, version })
+ * Handles <, <=, >, >=, = and bare versions, partial and x-ranges (1.2, 1.2.x, *),
+ * caret (^1.2.3) and tilde (~1.2.3) ranges
+ */
+function parseRangeTerm(term) {
+  const match = term.match(/^(<=|>=|<|>|=|\^|~)?v?(\*|x|X|0|[1-9]\d*)(?:\.(\*|x|X|0|[1-9]\d*))?(?:\.(\*|x|X|0|[1-9]\d*))?(?:-([0-9A-Za-z.-]+))?$/);
+  if (!match) {
+    throw new Error(`Invalid version range term ${JSON.stringify(term)}`);
+  }
+  const [, operator = '=', ...rest] = match;
+  const [major, minor, patch] = rest.slice(0, 3).map((part) => (part === undefined || /^[*xX]$/.test(part) ? null : Number(part)));
+  const prerelease = rest[3] ? `-${rest[3]}` : '';
+
+  if (major === null) {
+    return operator === '<' || operator === '>' ? [{ operator: '<', version: '0.0.0-0' }] : [];
+  }
+
+  const full = `${major}.${minor ?? 0}.${patch ?? 0}${prerelease}`;
+  // Lowest pre-release of a version, so ranges below it exclude its pre-releases too
+  const floor = (version) => `${version}-0`;
+
+  if (operator === '^') {
+    const upper = major > 0 || minor === null ? `${major + 1}.0.0`
+      : minor > 0 || patch === null ? `0.${minor + 1}.0`
+        : `0.0.${patch + 1}`;
+    return [{ operator: '>=', version: full }, { operator: '<', version: floor(upper) }];
+  }
+
+  if (operator === '~' || (operator === '=' && (minor === null || patch === null))) {
+    // ~1.2.3, ~1.2 and 1.2 (or 1.2.x) allow patch updates; ~1 and 1 allow minor updates
+    const upper = minor === null ? `${major + 1}.0.0` : `${major}.${minor + 1}.0`;
+    return [{ operator: '>=', version: full }, { operator: '<', version: floor(upper) }];
+  }
+
+  if (minor === null || patch === null) {
+    // Partial versions with a comparison operator: >1.2 means >=1.3.0, <=1.2 means <1.3.0
+    const next = minor === null ? `${major + 1}.0.0` : `${major}.${minor + 1}.0`;
+    switch (operator) {
+      case '>': return [{ operator: '>=', version: next }];
+      case '<=': return [{ operator: '<', version: floor(next) }];
+      case '<': return [{ operator: '<', version: floor(full) }];
+      default: return [{ operator: '>=', version: full }];
+    }
+  }
+
+  return [{ operator, version: full }];
+}
+
+/**
+ * Parse a version range into a list of comparator sets
+ * Terms separated by spaces must all match; sets separated by "||" are alternatives.
+ * Throws on malformed ranges.
+ */
+export function parseRange(range) {
+  if (typeof range !== 'string' || range.trim() === '') {
+    throw new Error(`Invalid version range ${JSON.stringify(range)}`);
+  }
+  return range.split('||').map((set) => {
+    const terms = set.trim().replace(/(<=|>=|<|>|=|\^|~)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    if (terms.length === 0) {
+      throw new Error(`Invalid version range ${JSON.stringify(range)}`);
+    }
+    return terms.flatMap(parseRangeTerm);
+  });
+}
+
+/**
+ * Check whether a version satisfies a range
+ * Comparison is by plain precedence, so 2.0.0-rc.1 satisfies ">=1.0.0 <2.0.0" only
+ * when written as "<2.0.0-0" (caret, tilde and x-ranges already exclude them).
+ */
+export function satisfies(version, range) {
+  const parsed = parseOrThrow(version);
+  return parseRange(range).some((set) => set.every(({ operator, version: bound }) => {
+    const result = comparePrecedence(parsed, parseOrThrow(bound));
+    switch (operator) {
+      case '<': return result < 0;
+      case '<=': return result <= 0;
+      case '>': return result > 0;
+      case '>=': return result >= 0;
+      default: return result === 0;
+    }
+  }));
+}
@@ -0,0 +1,516 @@
+/**
+ * Signature Verification
+ * Checks upstream signatures against public keys pinned in keys/<package>/ before the
+ * checksums they cover are trusted: OpenPGP (Node.js SHASUMS256.txt.asc), minisign (Zig
+ * tarballs) and cosign (GitHub projects that sign their checksum files). Pure JS on top
+ * of node:crypto, so no gpg, minisign or cosign binary is needed.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Error raised for a signature that does not verify, or for keys that cannot be read
+ */
+export class SignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SignatureError';
+  }
+}
+
+/**
+ * Signature recorded for a version whose checksums were verified.
+ *
+ * @typedef {Object} VerifiedSignature
+ * @property {string} type - pgp, minisign or cosign
+ * @property {string} key - Fingerprint of the pinned key that made the signature: the
+ *   OpenPGP primary key fingerprint, the minisign key ID, or the SHA-256 of a cosign
+ *   key's DER encoding
+ */
+
+// ---------------------------------------------------------------------------
+// OpenPGP (RFC 4880 / RFC 9580 v4 packets)
+// ---------------------------------------------------------------------------
+
+const PGP_HASHES = { 8: 'sha256', 9: 'sha384', 10: 'sha512', 11: 'sha224' };
+const PGP_RSA = [1, 3];
+const PGP_EDDSA_LEGACY = 22;
+const PGP_ED25519 = 27;
+// OID of Ed25519 in legacy EdDSA keys (1.3.6.1.4.1.11591.15.1)
+const ED25519_OID = Buffer.from('2b06010401da470f01', 'hex');
+
+/**
+ * Decode ASCII armor into the binary data of every block of the given kind
+ * ("PUBLIC KEY BLOCK", "SIGNATURE")
+ */
+function dearmor(text, kind) {
+  const blocks = [];
+  const pattern = new RegExp(`-----BEGIN PGP ${kind}-----\\r?\\n([\\s\\S]*?)-----END PGP ${kind}-----`, 'g');
+  for (const [, body] of text.matchAll(pattern)) {
+    // Armor headers ("Comment: ...") end at the first blank line
+    const lines = body.split(/\r?\n/);
+    const blank = lines.findIndex((line) => line.trim() === '');
+    const data = (lines.some((line) => /^[A-Za-z-]+: /.test(line)) && blank !== -1 ? lines.slice(blank + 1) : lines)
+      .map((line) => line.trim())
+      .filter((line) => line !== '' && !line.startsWith('='));
+    blocks.push(Buffer.from(data.join(''), 'base64'));
+  }
+  return blocks;
+}
+
+/**
+ * Split binary OpenPGP data into { tag, body } packets
+ */
+function readPackets(data) {
+  const packets = [];
+  let pos = 0;
+  while (pos < data.length) {
+    const header = data[pos++];
+    if (!(header & 0x80)) {
+      throw new SignatureError('Invalid OpenPGP packet header');
+    }
+    let tag;
+    let length;
+    let body;
+    if (header & 0x40) {
+      // New format: length octets may announce partial body chunks
+      tag = header & 0x3f;
+      const chunks = [];
+      for (;;) {
+        const first = data[pos++];
+        if (first < 192) {
+          length = first;
+        } else if (first < 224) {
+          length = ((first - 192) << 8) + data[pos++] + 192;
+        } else if (first === 255) {
+          length = data.readUInt32BE(pos);
+          pos += 4;
+        } else {
+          const partial = 1 << (first & 0x1f);
+          chunks.push(data.subarray(pos, pos + partial));
+          pos += partial;
+          continue;
+        }
+        chunks.push(data.subarray(pos, pos + length));
+        pos += length;
+        break;
+      }
+      body = Buffer.concat(chunks);
+    } else {
+      tag = (header >> 2) & 0x0f;
+      const lengthType = header & 0x03;
+      if (lengthType === 3) {
+        length = data.length - pos;
+      } else {
+        const size = [1, 2, 4][lengthType];
+        length = data.readUIntBE(pos, size);
+        pos += size;
+      }
+      body = data.subarray(pos, pos + length);
+      pos += length;
+    }
+    if (pos > data.length) {
+      throw new SignatureError('Truncated OpenPGP packet');
+    }
+    packets.push({ tag, body });
+  }
+  return packets;
+}
+
+/**
+ * Read a multiprecision integer; returns [value bytes, next offset]
+ */
+function readMpi(buffer, offset) {
+  const bits = buffer.readUInt16BE(offset);
+  const length = Math.ceil(bits / 8);
+  return [buffer.subarray(offset + 2, offset + 2 + length), offset + 2 + length];
+}
+
+/**
+ * Left-pad a big-endian number to `length` bytes
+ */
+function pad(bytes, length) {
+  return bytes.length >= length ? bytes : Buffer.concat([Buffer.alloc(length - bytes.length), bytes]);
+}
+
+/**
+ * Parse a v4 public key or subkey packet body into a node:crypto key
+ * Returns null for algorithms that cannot sign here (ElGamal, ECDH encryption subkeys)
+ */
+function parsePgpKey(body) {
+  if (body[0] !== 4) {
+    return null;
+  }
+  const algorithm = body[5];
+  const fingerprint = crypto.createHash('sha1')
+    .update(Buffer.from([0x99, body.length >> 8, body.length & 0xff]))
+    .update(body)
+    .digest('hex')
+    .toUpperCase();
+
+  let key;
+  if (PGP_RSA.includes(algorithm)) {
+    const [n, next] = readMpi(body, 6);
+    const [e] = readMpi(body, next);
+    key = crypto.createPublicKey({ key: { kty: 'RSA', n: n.toString('base64url'), e: e.toString('base64url') }, format: 'jwk' });
+  } else if (algorithm === PGP_EDDSA_LEGACY) {
+    const oid = body.subarray(7, 7 + body[6]);
+    const [point] = readMpi(body, 7 + body[6]);
+    if (!oid.equals(ED25519_OID) || point[0] !== 0x40) {
+      return null;
+    }
+    key = crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: point.subarray(1).toString('base64url') }, format: 'jwk' });
+  } else if (algorithm === PGP_ED25519) {
+    key = crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: body.subarray(6, 38).toString('base64url') }, format: 'jwk' });
+  } else {
+    return null;
+  }
+  return { algorithm, fingerprint, keyId: fingerprint.slice(-16), key };
+}
+
+/**
+ * Parse the public keys of an armored or binary OpenPGP key file
+ * Each signing-capable primary key and subkey becomes an entry; `id` is always the
+ * primary key's fingerprint, which is what a verified signature is recorded under
+ */
+function parsePgpKeys(content) {
+  const text = content.toString('latin1');
+  const blocks = text.includes('-----BEGIN PGP PUBLIC KEY BLOCK-----') ? dearmor(text, 'PUBLIC KEY BLOCK') : [Buffer.from(content)];
+  const keys = [];
+  for (const block of blocks) {
+    let primary = null;
+    for (const packet of readPackets(block)) {
+      if (packet.tag !== 6 && packet.tag !== 14) {
+        continue;
+      }
+      const parsed = parsePgpKey(packet.body);
+      if (packet.tag === 6) {
+        primary = parsed?.fingerprint || null;
+      }
+      if (parsed) {
+        keys.push({ type: 'pgp', id: primary, ...parsed });
+      }
+    }
+  }
+  return keys;
+}
+
+/**
+ * Parse a v4 signature packet body
+ */
+function parsePgpSignature(body) {
+  if (body[0] !== 4) {
+    throw new SignatureError(`Unsupported OpenPGP signature version ${body[0]}`);
+  }
+  const hashedLength = body.readUInt16BE(4);
+  const hashedEnd = 6 + hashedLength;
+  const unhashedLength = body.readUInt16BE(hashedEnd);
+  const subpacketsEnd = hashedEnd + 2 + unhashedLength;
+
+  // Issuer: fingerprint (subpacket 33) or key ID (16), hashed or not
+  let issuer = null;
+  for (const [start, end] of [[6, hashedEnd], [hashedEnd + 2, subpacketsEnd]]) {
+    let pos = start;
+    while (pos < end) {
+      let length = body[pos++];
+      if (length >= 192 && length < 255) {
+        length = ((length - 192) << 8) + body[pos++] + 192;
+      } else if (length === 255) {
+        length = body.readUInt32BE(pos);
+        pos += 4;
+      }
+      const type = body[pos] & 0x7f;
+      const data = body.subarray(pos + 1, pos + length);
+      if (type === 33 && data[0] === 4) {
+        issuer = data.subarray(1).toString('hex').toUpperCase().slice(-16);
+      } else if (type === 16 && !issuer) {
+        issuer = data.toString('hex').toUpperCase();
+      }
+      pos += length;
+    }
+  }
+
+  let pos = subpacketsEnd + 2; // skip the left 16 bits of the digest
+  const algorithm = body[2];
+  let signature;
+  if (PGP_RSA.includes(algorithm)) {
+    [signature] = readMpi(body, pos);
+  } else if (algorithm === PGP_EDDSA_LEGACY) {
+    const [r, next] = readMpi(body, pos);
+    const [s] = readMpi(body, next);
+    signature = Buffer.concat([pad(r, 32), pad(s, 32)]);
+  } else if (algorithm === PGP_ED25519) {
+    signature = body.subarray(pos, pos + 64);
+  } else {
+    throw new SignatureError(`Unsupported OpenPGP public key algorithm ${algorithm}`);
+  }
+
+  return {
+    type: body[1],
+    algorithm: algorithm,
+    hash: PGP_HASHES[body[3]],
+    hashId: body[3],
+    issuer: issuer,
+    hashed: body.subarray(0, hashedEnd),
+    signature: signature,
+  };
+}
+
+/**
+ * Verify one parsed signature over `data` with a pinned key
+ */
+function verifyPgpWith(sig, data, key) {
+  const trailer = Buffer.alloc(6);
+  trailer.writeUInt8(4, 0);
+  trailer.writeUInt8(0xff, 1);
+  trailer.writeUInt32BE(sig.hashed.length, 2);
+  const signed = Buffer.concat([data, sig.hashed, trailer]);
+
+  if (PGP_RSA.includes(sig.algorithm)) {
+    const modulusLength = key.key.asymmetricKeyDetails.modulusLength / 8;
+    return crypto.verify(sig.hash, signed, key.key, pad(sig.signature, modulusLength));
+  }
+  // EdDSA signs the digest rather than the data
+  const digest = crypto.createHash(sig.hash).update(signed).digest();
+  return crypto.verify(null, digest, key.key, sig.signature);
+}
+
+/**
+ * Split a clearsigned message into the signed text and its armored signature
+ * Returns { text, data } where `data` is the canonical form the signature covers:
+ * dash-escaping removed, trailing whitespace dropped and CRLF line endings, without
+ * the final line break
+ */
+function readClearsigned(message) {
+  const match = message.match(/-----BEGIN PGP SIGNED MESSAGE-----\r?\n((?:[^\r\n]+\r?\n)*)\r?\n([\s\S]*?)\r?\n(-----BEGIN PGP SIGNATURE-----[\s\S]*-----END PGP SIGNATURE-----)/);
+  if (!match) {
+    throw new SignatureError('Not a clearsigned OpenPGP message');
+  }
+  const lines = match[2].split(/\r?\n/).map((line) => line.replace(/^- /, ''));
+  return {
+    text: `${lines.join('\n')}\n`,
+    data: Buffer.from(lines.map((line) => line.replace(/[ \t]+$/, '')).join('\r\n'), 'utf8'),
+    signature: match[3],
+  };
+}
+
+/**
+ * Verify an OpenPGP signature with pinned keys
+ * Pass { clearsigned } for a clearsigned message (SHASUMS256.txt.asc) or { data, signature }
+ * for a detached signature (armored .asc or binary .sig). Resolves nothing: returns
+ * { key, text } (text only for clearsigned messages) or throws a SignatureError
+ */
+export function verifyPgp({ clearsigned, data, signature }, keys) {
+  let signed = data;
+  let text;
+  let armored = signature;
+  if (clearsigned !== undefined) {
+    ({ text, data: signed, signature: armored } = readClearsigned(clearsigned.toString()));
+  }
+
+  const raw = Buffer.isBuffer(armored) && !armored.toString('latin1').includes('-----BEGIN PGP SIGNATURE-----')
+    ? armored
+    : dearmor(armored.toString(), 'SIGNATURE')[0];
+  if (!raw) {
+    throw new SignatureError('No OpenPGP signature found');
+  }
+
+  const signatures = readPackets(raw).filter((packet) => packet.tag === 2).map((packet) => parsePgpSignature(packet.body));
+  const pgpKeys = keys.filter((key) => key.type === 'pgp');
+  const issuers = [];
+  for (const sig of signatures) {
+    if (!sig.hash) {
+      throw new SignatureError(`Refusing OpenPGP signature with weak or unknown hash algorithm ${sig.hashId}`);
+    }
+    if (sig.type !== 0x00 && sig.type !== 0x01) {
+      continue;
+    }
+    // Text signatures cover the data with CRLF line endings
+    const covered = sig.type === 0x01 && clearsigned === undefined
+      ? Buffer.from(signed.toString('utf8').replace(/\r?\n/g, '\r\n'), 'utf8')
+      : signed;
+    issuers.push(sig.issuer);
+    for (const key of pgpKeys.filter((k) => !sig.issuer || k.keyId === sig.issuer)) {
+      if (verifyPgpWith(sig, covered, key)) {
+        return { key: key.id, ...(text !== undefined ? { text } : {}) };
+      }
+    }
+  }
+  const known = issuers.some((issuer) => pgpKeys.some((key) => key.keyId === issuer));
+  throw new SignatureError(known
+    ? 'OpenPGP signature does not verify (the signed data was modified)'
+    : `OpenPGP signature made by key ${issuers.join(', ') || '(unknown)'}, which is not pinned`);
+}
+
+// ---------------------------------------------------------------------------
+// minisign
+// ---------------------------------------------------------------------------
+
+/**
+ * Decode the base64 line of a minisign key or signature file (the line after the comment)
+ */
+function minisignLine(content, index) {
+  const lines = content.toString().split(/\r?\n/).filter((line) => line.trim() !== '');
+  const payload = lines.filter((line) => !/^(untrusted|trusted) comment:/.test(line));
+  return { lines, payload: payload[index] !== undefined ? Buffer.from(payload[index].trim(), 'base64') : null };
+}
+
+/**
+ * Parse a minisign public key file (or the bare base64 key)
+ */
+function parseMinisignKeys(content) {
+  const { payload } = minisignLine(content, 0);
+  if (!payload || payload.length !== 42 || payload.subarray(0, 2).toString() !== 'Ed') {
+    return [];
+  }
+  const keyId = Buffer.from(payload.subarray(2, 10)).reverse().toString('hex').toUpperCase();
+  const key = crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: payload.subarray(10).toString('base64url') }, format: 'jwk' });
+  return [{ type: 'minisign', id: keyId, keyId: keyId, key: key }];
+}
+
+/**
+ * Verify a minisign signature with pinned keys
+ * `signatureText` is the .minisig file. Prehashed signatures ("ED", the default since
+ * minisign 0.8) need `prehash`, the BLAKE2b-512 digest of the file, so large files can be
+ * hashed while they stream; legacy signatures need the whole `data`. When the trusted
+ * comment names the signed file ("file:zig-linux-x86_64-0.13.0.tar.xz"), it must match
+ * `fileName`. Returns { key, trustedComment } or throws a SignatureError
+ */
+export function verifyMinisign(signatureText, keys, { data = null, prehash = null, fileName = null } = {}) {
+  const { lines, payload: signature } = minisignLine(signatureText, 0);
+  const trustedLine = lines.find((line) => line.startsWith('trusted comment: '));
+  const { payload: globalSignature } = minisignLine(signatureText, 1);
+  if (!signature || signature.length !== 74 || !trustedLine || !globalSignature || globalSignature.length !== 64) {
+    throw new SignatureError('Invalid minisign signature file');
+  }
+
+  const algorithm = signature.subarray(0, 2).toString();
+  const keyId = Buffer.from(signature.subarray(2, 10)).reverse().toString('hex').toUpperCase();
+  const key = keys.find((k) => k.type === 'minisign' && k.keyId === keyId);
+  if (!key) {
+    throw new SignatureError(`minisign signature made by key ${keyId}, which is not pinned`);
+  }
+
+  let message;
+  if (algorithm === 'ED') {
+    message = prehash || (data && crypto.createHash('blake2b512').update(data).digest());
+  } else if (algorithm === 'Ed') {
+    message = data;
+  } else {
+    throw new SignatureError(`Unsupported minisign signature algorithm ${JSON.stringify(algorithm)}`);
+  }
+  if (!message) {
+    throw new SignatureError(`minisign ${algorithm} signatures need the ${algorithm === 'ED' ? 'BLAKE2b-512 digest of the ' : ''}signed data`);
+  }
+
+  const trustedComment = trustedLine.slice('trusted comment: '.length);
+  if (!crypto.verify(null, message, key.key, signature.subarray(10))) {
+    throw new SignatureError('minisign signature does not verify (the signed file was modified)');
+  }
+  // The global signature covers the signature and the trusted comment
+  if (!crypto.verify(null, Buffer.concat([signature.subarray(10), Buffer.from(trustedComment)]), key.key, globalSignature)) {
+    throw new SignatureError('minisign trusted comment does not verify');
+  }
+  const signedFile = trustedComment.match(/(?:^|\s)file:(\S+)/)?.[1];
+  if (fileName && signedFile && signedFile !== fileName) {
+    throw new SignatureError(`minisign signature is for ${signedFile}, not ${fileName}`);
+  }
+  return { key: key.id, trustedComment };
+}
+
+// ---------------------------------------------------------------------------
+// cosign (key-based blob signatures)
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse the PEM public keys of a cosign.pub file
+ */
+function parseCosignKeys(content) {
+  const keys = [];
+  for (const [pem] of content.toString().matchAll(/-----BEGIN PUBLIC KEY-----[\s\S]*?-----END PUBLIC KEY-----/g)) {
+    const key = crypto.createPublicKey(pem);
+    const id = crypto.createHash('sha256').update(key.export({ type: 'spki', format: 'der' })).digest('hex');
+    keys.push({ type: 'cosign', id: id, keyId: id, key: key });
+  }
+  return keys;
+}
+
+/**
+ * Read the signature out of a cosign .sig file (base64) or bundle (cosign's
+ * { base64Signature } or a Sigstore bundle's messageSignature)
+ */
+function readCosignSignature(content) {
+  const text = content.toString().trim();
+  if (!text.startsWith('{')) {
+    return Buffer.from(text, 'base64');
+  }
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (e) {
+    throw new SignatureError(`Invalid cosign bundle: ${e.message}`);
+  }
+  const signature = bundle.base64Signature || bundle.messageSignature?.signature;
+  if (!signature) {
+    throw new SignatureError('cosign bundle has no message signature');
+  }
+  return Buffer.from(signature, 'base64');
+}
+
+/**
+ * Verify a cosign blob signature with pinned keys
+ * Only key-based signatures are supported: keyless (Fulcio certificate) signatures need
+ * the Sigstore trust root and transparency log, so pin the project's cosign.pub instead.
+ * Returns { key } or throws a SignatureError
+ */
+export function verifyCosign(data, signatureContent, keys) {
+  const signature = readCosignSignature(signatureContent);
+  for (const key of keys.filter((k) => k.type === 'cosign')) {
+    if (crypto.verify('sha256', data, key.key, signature)) {
+      return { key: key.id };
+    }
+  }
+  throw new SignatureError('cosign signature does not verify with any pinned key');
+}
+
+// ---------------------------------------------------------------------------
+// Pinned keys
+// ---------------------------------------------------------------------------
+
+const KEY_PARSERS = { pgp: parsePgpKeys, minisign: parseMinisignKeys, cosign: parseCosignKeys };
+
+/**
+ * Parse the keys of one type from a key file's content
+ */
+export function parseKeys(type, content) {
+  try {
+    return KEY_PARSERS[type](content);
+  } catch (error) {
+    throw new SignatureError(`Could not read ${type} key: ${error.message}`);
+  }
+}
+
+/**
+ * Load the pinned keys of a type from a directory (keys/<package>/)
+ * Every file is read; files holding no key of the type are ignored. Throws a
+ * SignatureError when the directory holds none at all
+ */
+export function loadKeys(dir, type) {
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).sort() : [];
+  const keys = [];
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    if (!fs.statSync(filePath).isFile()) continue;
+    try {
+      keys.push(...parseKeys(type, fs.readFileSync(filePath)));
+    } catch (error) {
+      throw new SignatureError(`${filePath}: ${error.message}`);
+    }
+  }
+  if (keys.length === 0) {
+    throw new SignatureError(`No ${type} public keys in ${dir}`);
+  }
+  return keys;
+}
@@ -0,0 +1,334 @@
+/**
+ * GitHub Source
+ * Releases from the GitHub releases API for any repository
+ */
+
+import { fetchJSON } from '../http.js';
+import { parseHash, formatChecksum } from '../checksum.js';
+import { cachedFetch, cachedDigests } from '../cache.js';
+import { createSync, NotModifiedError } from '../sync.js';
+import { getChecksumFromFiles } from '../checksum-sources.js';
+import { verifyPgp, verifyMinisign, verifyCosign } from '../signatures.js';
+import { detectArchiveType, getArchiveTypePriority, windowsBins } from '../archive.js';
+import { matchPlatform, addMuslFallbacks } from '../platform.js';
+import { createLimiter, mapConcurrent, DEFAULT_CONCURRENCY } from '../pool.js';
+import { createRateLimiter } from '../rate-limit.js';
+import { normalizeVersion } from '../version.js';
+import { parseVersion } from '../semver.js';
+import { normalizeBin, signaturesFor } from '../config.js';
+
+const API_URL = 'https://api.github.com';
+
+/**
+ * Get checksum from GitHub API (Tier 1: Fastest)
+ * GitHub now provides SHA256 checksums directly in the asset object via the 'digest' field
+ */
+function getChecksumFromAPI(asset) {
+  // Format: "sha256:abc123..."
+  return asset.digest ? parseHash(asset.digest) : null;
+}
+
+// Signature files published next to a signed checksum file, by signature type
+const SIGNATURE_EXTENSIONS = {
+  pgp: ['.asc', '.sig', '.gpg'],
+  minisign: ['.minisig'],
+  cosign: ['.sig', '.bundle', '.sigstore.json', '.sigstore'],
+};
+
+/**
+ * Channel of a GitHub release, from its normalized version rather than its prerelease flag
+ * The validator ties channels to versions: a version with pre-release identifiers is never
+ * stable, even when the release is not flagged, and a flagged release with a plain version
+ * (e.g. 0.40.0) stays stable. Pre-releases tagged or named "nightly" (Neovim's rolling
+ * build) are nightlies
+ */
+function releaseChannel(release, version) {
+  if (!parseVersion(version)?.prerelease.length) {
+    return 'stable';
+  }
+  return /nightly/i.test(`${release.tag_name} ${release.name || ''}`) ? 'nightly' : 'prerelease';
+}
+
+/**
+ * Create a GitHub source adapter
+ * `config` takes the same fields as github-package.js: owner, repo, packageName, bins,
+ * description, homepage, license, githubToken, allowDownloadChecksum, plus the optional
+ * checksumFiles (extra checksum file names), platforms (overrides from the source config),
+ * signatures ({ type, required, keys }: checksum files must carry a signature by a pinned
+ * key) and concurrency (parallel checksum file fetches and downloads)
+ */
+export function createGitHubSource(config) {
+  const platformOverrides = config.platforms || {};
+
+  const headers = {
+    ...(config.githubToken ? { 'Authorization': `token ${config.githubToken}` } : {}),
+  };
+
+  // API requests share one rate limiter, which alone waits out 403/429 rate limits (the
+  // HTTP client still retries network errors and 5xx); checksum files and downloads share one pool
+  const rateLimiter = createRateLimiter();
+  const githubRequest = (url, fetch = fetchJSON) => rateLimiter.run((onHeaders) => (
+    fetch(url, { accept: 'application/vnd.github.v3+json', headers, onHeaders, retryRateLimits: false })
+  ));
+  const concurrency = config.concurrency || DEFAULT_CONCURRENCY;
+  const limitDownloads = createLimiter(concurrency);
+
+  // Bins keep their exposed command name next to the path inside the archive;
+  // Windows builds get the same paths with ".exe" (folders are set per package, see `archive`)
+  const bins = config.bins.map(normalizeBin);
+  const binsForWindows = windowsBins(bins);
+
+  // Every platform of a release may look at the same checksums.txt, so fetch each file once
+  // (and keep it in the download cache for the next run)
+  const checksumFileRequests = new Map();
+  const fetchChecksumFile = (url) => {
+    if (!checksumFileRequests.has(url)) {
+      checksumFileRequests.set(url, limitDownloads(() => cachedFetch(url, { headers })).then((data) => data.toString('utf8')));
+    }
+    return checksumFileRequests.get(url);
+  };
+
+  // A checksum file is verified once, however many assets it covers
+  const signatureChecks = new Map();
+
+  /**
+   * Check the signature of a checksum file against the pinned keys
+   * Resolves with the verified signature, or false when the file has no signature next to
+   * it; rejects when a signature is there but does not verify
+   */
+  function verifyChecksumFile(file, content, releaseAssets) {
+    if (!signatureChecks.has(file.browser_download_url)) {
+      signatureChecks.set(file.browser_download_url, (async () => {
+        const { type, keys } = config.signatures;
+        const names = SIGNATURE_EXTENSIONS[type].map((extension) => `${file.name}${extension}`.toLowerCase());
+        const signatureFile = releaseAssets.find((a) => names.includes(a.name.toLowerCase()));
+        if (!signatureFile) {
+          return false;
+        }
+        const signature = await limitDownloads(() => cachedFetch(signatureFile.browser_download_url, { headers }));
+        const data = Buffer.from(content, 'utf8');
+        let verified;
+        if (type === 'pgp') {
+          verified = verifyPgp({ data, signature }, keys);
+        } else if (type === 'minisign') {
+          verified = verifyMinisign(signature.toString(), keys, { data, fileName: file.name });
+        } else {
+          verified = verifyCosign(data, signature, keys);
+        }
+        return { type: type, key: verified.key };
+      })());
+    }
+    return signatureChecks.get(file.browser_download_url);
+  }
+
+  /**
+   * Get checksum for an asset (three-tier fallback system)
+   * Tier 1: GitHub API digest field (fastest, no downloads)
+   * Tier 2: Author-provided checksum files (medium speed, small file downloads)
+   * Tier 3: Download and compute (slowest, full file download) - only if enabled; the
+   *         download cache remembers the result for as long as the asset is unchanged
+   * With `signatures` (those that apply to the release), checksum files with a verified
+   * signature come first; when signatures are required nothing else is accepted.
+   * Resolves with { checksum, signature? } or null
+   */
+  async function getChecksum(asset, releaseAssets, signatures) {
+    const checksumFileOptions = { extraFiles: config.checksumFiles };
+
+    if (signatures) {
+      const signed = await getChecksumFromFiles(asset, releaseAssets, fetchChecksumFile, {
+        ...checksumFileOptions,
+        accept: (file, content) => verifyChecksumFile(file, content, releaseAssets),
+      });
+      if (signed) {
+        return { checksum: signed.checksum, signature: signed.accepted };
+      }
+      if (signatures.required) {
+        return null;
+      }
+    }
+
+    // Tier 1: Try GitHub API digest field first (fastest)
+    const apiChecksum = getChecksumFromAPI(asset);
+    if (apiChecksum) {
+      return { checksum: apiChecksum };
+    }
+
+    // Tier 2: Try author-provided checksum files (medium speed)
+    const fileChecksum = await getChecksumFromFiles(asset, releaseAssets, fetchChecksumFile, checksumFileOptions);
+    if (fileChecksum) {
+      return { checksum: fileChecksum.checksum };
+    }
+
+    // Tier 3: Download and compute checksum (slowest, last resort)
+    // Only enabled if --allow-download-checksum flag is set
+    if (config.allowDownloadChecksum) {
+      try {
+        const { sha256 } = await limitDownloads(() => cachedDigests(asset.browser_download_url, ['sha256']));
+        return { checksum: { algorithm: 'sha256', hash: sha256 } };
+      } catch (error) {
+        console.warn(`  Warning: Could not get checksum for ${asset.name}: ${error.message}`);
+        return null;
+      }
+    }
+
+    // No checksum available and download is disabled
+    return null;
+  }
+
+  return {
+    name: config.packageName,
+    label: `releases from GitHub: ${config.owner}/${config.repo}`,
+    bins: bins,
+
+    /**
+     * Fetch all releases from GitHub
+     * Throws when any page fails (after retries) rather than returning a truncated list.
+     * The first page is requested conditionally; releases come newest first, so paging
+     * stops at the page holding the release the last run processed (`sync.known`)
+     */
+    async listReleases(sync = createSync()) {
+      const releases = [];
+      let page = 1;
+      const perPage = 100;
+
+      while (true) {
+        const url = `${API_URL}/repos/${config.owner}/${config.repo}/releases?page=${page}&per_page=${perPage}`;
+        let pageReleases;
+        try {
+          pageReleases = await githubRequest(url, page === 1 ? sync.fetchListing : fetchJSON);
+        } catch (error) {
+          if (error instanceof NotModifiedError) {
+            throw error;
+          }
+          // A partial list would look like a complete one to runUpdate, so fail instead
+          throw new Error(`Could not fetch releases page ${page} of ${config.owner}/${config.repo} ` +
+            `(${releases.length} releases read so far): ${error.message}`);
+        }
+
+        if (!Array.isArray(pageReleases)) {
+          throw new Error(`Unexpected response for releases page ${page} of ${config.owner}/${config.repo}`);
+        }
+        if (pageReleases.length === 0) {
+          break;
+        }
+
+        releases.push(...pageReleases);
+        page++;
+
+        // If we got less than perPage, we're done
+        if (pageReleases.length < perPage) {
+          break;
+        }
+        // Everything past the release processed last time was processed then too
+        if (sync.known && pageReleases.some((r) => r.tag_name === sync.known)) {
+          break;
+        }
+      }
+
+      return releases
+        .filter((r) => !r.draft)
+        .map((r) => {
+          const version = normalizeVersion(r.tag_name, { date: r.published_at });
+          return {
+            version: version,
+            tag: r.tag_name,
+            channel: releaseChannel(r, version),
+            assets: r.assets || [],
+          };
+        });
+    },
+
+    async resolveArtifacts(release) {
+      // Step 1: Collect all matching assets grouped by platform
+      // A platform with an `asset` override only considers assets matching that pattern
+      const pinned = Object.entries(platformOverrides).filter(([, override]) => override.asset);
+      const platformAssets = {};
+      for (const asset of release.assets) {
+        const archiveType = detectArchiveType(asset.name);
+        const pinnedPlatform = pinned.find(([, override]) => override.asset.test(asset.name))?.[0];
+        let platform = pinnedPlatform || matchPlatform(asset.name);
+
+        if (!pinnedPlatform && platformOverrides[platform]?.asset) {
+          platform = null;
+        }
+
+        if (!platform || !archiveType) {
+          continue;
+        }
+
+        if (!platformAssets[platform]) {
+          platformAssets[platform] = [];
+        }
+
+        const [os] = platform.split('-');
+        platformAssets[platform].push({
+          asset: asset,
+          archiveType: archiveType,
+          priority: getArchiveTypePriority(archiveType, os),
+        });
+      }
+
+      // Step 2: For each platform, select the best asset based on priority
+      // Platforms are resolved concurrently but collected in asset order
+      const selected = await mapConcurrent(Object.entries(platformAssets), concurrency, async ([platform, candidates]) => {
+        // Sort by priority (lower is better), then by filename (for consistency)
+        candidates.sort((a, b) => {
+          if (a.priority !== b.priority) {
+            return a.priority - b.priority;
+          }
+          return a.asset.name.localeCompare(b.asset.name);
+        });
+
+        // Try each candidate in priority order until we get a valid checksum
+        for (const candidate of candidates) {
+          const found = await getChecksum(candidate.asset, release.assets, signaturesFor(config.signatures, release));
+
+          if (found) {
+            return [platform, {
+              type: candidate.archiveType,
+              url: candidate.asset.browser_download_url,
+              checksum: formatChecksum(found.checksum),
+              ...(platform.startsWith('windows-') && binsForWindows ? { bins: binsForWindows } : {}),
+              ...(found.signature ? { signature: found.signature } : {}),
+            }];
+          }
+          // If no checksum available, skip this candidate and try next one
+        }
+        return [platform, null];
+      });
+
+      const platforms = {};
+      for (const [platform, entry] of selected) {
+        if (entry) {
+          platforms[platform] = entry;
+        }
+      }
+
+      return addMuslFallbacks(platforms);
+    },
+
+    /**
+     * Fetch repository metadata
+     * Explicit config values win over what GitHub reports
+     */
+    async fetchMetadata() {
+      let repoMetadata = { description: null, homepage: null, license: null };
+      try {
+        const repoData = await githubRequest(`${API_URL}/repos/${config.owner}/${config.repo}`);
+        repoMetadata = {
+          description: repoData.description || null,
+          homepage: repoData.homepage || repoData.html_url || null,
+          license: repoData.license?.spdx_id || repoData.license?.name || null,
+        };
+      } catch (error) {
+        console.warn(`Warning: Could not fetch repo metadata: ${error.message}`);
+      }
+
+      return {
+        description: config.description || repoMetadata.description,
+        homepage: config.homepage || repoMetadata.homepage || `https://github.com/${config.owner}/${config.repo}`,
+        license: config.license || repoMetadata.license,
+      };
+    },
+  };
+}
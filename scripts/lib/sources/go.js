@@ -0,0 +1,102 @@
+/**
+ * Go Source
+ * Releases and checksums from the go.dev download API
+ */
+
+import { createSync } from '../sync.js';
+import { detectArchiveType } from '../archive.js';
+import { normalizeVersion } from '../version.js';
+
+/**
+ * Map Go platform to nori format
+ * Supports common platforms that nori CLI can handle
+ */
+function mapPlatform(os, arch) {
+  // Linux platforms
+  if (os === 'linux' && arch === 'amd64') return 'linux-amd64';
+  if (os === 'linux' && (arch === '386' || arch === 'x86')) return 'linux-x86';
+  if (os === 'linux' && arch === 'arm64') return 'linux-arm64';
+  if (os === 'linux' && arch === 'armv6l') return 'linux-armv6';
+  if (os === 'linux' && arch === 'riscv64') return 'linux-riscv64';
+
+  // macOS platforms
+  if (os === 'darwin' && arch === 'amd64') return 'macos-amd64';
+  if (os === 'darwin' && arch === 'arm64') return 'macos-arm64';
+
+  // Windows platforms
+  if (os === 'windows' && arch === 'amd64') return 'windows-amd64';
+  if (os === 'windows' && (arch === '386' || arch === 'x86')) return 'windows-x86';
+  if (os === 'windows' && arch === 'arm64') return 'windows-arm64';
+
+  // FreeBSD platforms
+  if (os === 'freebsd' && arch === 'amd64') return 'freebsd-amd64';
+  if (os === 'freebsd' && arch === '386') return 'freebsd-x86';
+  if (os === 'freebsd' && arch === 'arm64') return 'freebsd-arm64';
+  if (os === 'freebsd' && arch === 'riscv64') return 'freebsd-riscv64';
+
+  // Note: We skip the other BSDs, Plan9, Solaris, etc. as they're less common
+  // and may not be supported by the nori CLI
+  return null;
+}
+
+/**
+ * Layout of a Go archive: every build unpacks into go/, and Windows builds ship go.exe
+ */
+export function getArchiveLayout(platform) {
+  return {
+    root: 'go',
+    ...(platform.startsWith('windows-') ? { bins: [{ name: 'go', path: 'bin/go.exe' }] } : {}),
+  };
+}
+
+/**
+ * Create the Go source adapter
+ */
+export function createGoSource() {
+  return {
+    name: 'go',
+    label: 'Go releases from go.dev',
+    bins: [{ name: 'go', path: 'bin/go' }],
+
+    async listReleases(sync = createSync()) {
+      const releases = await sync.fetchListing('https://go.dev/dl/?mode=json&include=all');
+      return releases.map((release) => ({
+        version: normalizeVersion(release.version),
+        tag: release.version,
+        channel: release.stable === false ? 'prerelease' : 'stable',
+        files: release.files || [],
+      }));
+    },
+
+    async resolveArtifacts(release) {
+      const platforms = {};
+
+      for (const file of release.files) {
+        if (!file.filename || !file.sha256) continue;
+
+        const platform = mapPlatform(file.os, file.arch);
+        const archiveType = detectArchiveType(file.filename);
+
+        if (!platform || !archiveType) continue;
+        if (platforms[platform]) continue; // Already have this platform
+
+        platforms[platform] = {
+          type: archiveType,
+          url: `https://go.dev/dl/${file.filename}`,
+          checksum: `sha256:${file.sha256}`,
+          ...getArchiveLayout(platform),
+        };
+      }
+
+      return platforms;
+    },
+
+    async fetchMetadata() {
+      return {
+        description: 'The Go programming language',
+        homepage: 'https://go.dev',
+        license: 'BSD-3-Clause',
+      };
+    },
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Source Types
+ * Maps the `source` field of a package's source config to its adapter
+ */
+
+import { createNodeSource } from './node.js';
+import { createGoSource } from './go.js';
+import { createZigSource } from './zig.js';
+import { createGitHubSource } from './github.js';
+import { normalizeSourceConfig } from '../config.js';
+import { PROJECT_ROOT, keysPath } from '../registry.js';
+import { loadKeys } from '../signatures.js';
+
+const FACTORIES = {
+  node: (name, config, options, signatures) => createNodeSource({ signatures }),
+  go: () => createGoSource(),
+  zig: (name, config, options, signatures) => createZigSource({
+    signatures,
+    platforms: config.platforms,
+    concurrency: options.concurrency,
+  }),
+  github: (name, config, options, signatures) => createGitHubSource({
+    owner: config.owner,
+    repo: config.repo,
+    packageName: name,
+    bins: config.bins,
+    description: config.description,
+    homepage: config.homepage,
+    license: config.license,
+    githubToken: options.githubToken || process.env.GITHUB_TOKEN || null,
+    allowDownloadChecksum: Boolean(options.allowDownloadChecksum || config.checksum.allowDownload),
+    checksumFiles: config.checksum.files,
+    platforms: config.platforms,
+    signatures: signatures,
+    concurrency: options.concurrency,
+  }),
+};
+
+/**
+ * Create the adapter for a package from its source config
+ * The adapter writes packages/<name>.yaml whatever its source type (a second Node.js
+ * package reads the same upstream as `node`). The normalized config is attached as
+ * `config` so runUpdate can apply its filters.
+ * `options` carries run-time settings that do not belong in the config (e.g. githubToken,
+ * and `root`, the registry whose keys/<package>/ holds the keys signatures are checked with)
+ */
+export function createSource(name, rawConfig, options = {}) {
+  const config = normalizeSourceConfig(name, rawConfig);
+  const signatures = config.signatures
+    ? { ...config.signatures, keys: loadKeys(keysPath(options.root || PROJECT_ROOT, name), config.signatures.type) }
+    : null;
+  const adapter = FACTORIES[config.source](name, config, options, signatures);
+  adapter.name = name;
+  // Configured bins replace the ones built-in sources expose
+  if (config.bins) {
+    adapter.bins = config.bins;
+  }
+  adapter.config = config;
+  return adapter;
+}
@@ -0,0 +1,179 @@
+/**
+ * Node.js Source
+ * Releases from nodejs.org/dist/index.json, checksums from each release's SHASUMS256.txt
+ * (or its clearsigned SHASUMS256.txt.asc when signatures are verified)
+ */
+
+import { HttpError } from '../http.js';
+import { cachedFetch } from '../cache.js';
+import { createSync } from '../sync.js';
+import { parseChecksumFile } from '../checksum.js';
+import { verifyPgp } from '../signatures.js';
+import { detectArchiveType, archiveBaseName } from '../archive.js';
+import { normalizeVersion } from '../version.js';
+import { signaturesFor } from '../config.js';
+
+const DIST_URL = 'https://nodejs.org/dist';
+
+// Node.js file types (from index.json) to nori platforms
+const PLATFORM_MAP = {
+  'linux-x64': 'linux-amd64',
+  'linux-arm64': 'linux-arm64',
+  'linux-armv7l': 'linux-armv7',
+  'osx-arm64-tar': 'macos-arm64',
+  'osx-x64-tar': 'macos-amd64',
+  'win-x64-zip': 'windows-amd64',
+  'win-x86-zip': 'windows-x86',
+  'win-arm64-zip': 'windows-arm64',
+};
+
+/**
+ * Get filename for a platform based on file type
+ */
+function getFilenameForFileType(version, fileType) {
+  const v = version.replace(/^v/, '');
+  const base = `node-v${v}`;
+
+  // Map file type to actual filename
+  if (fileType === 'linux-x64') return `${base}-linux-x64.tar.gz`;
+  if (fileType === 'linux-arm64') return `${base}-linux-arm64.tar.gz`;
+  if (fileType === 'linux-armv7l') return `${base}-linux-armv7l.tar.gz`;
+  if (fileType === 'osx-arm64-tar') return `${base}-darwin-arm64.tar.gz`;
+  if (fileType === 'osx-x64-tar') return `${base}-darwin-x64.tar.gz`;
+  if (fileType === 'win-x64-zip') return `${base}-win-x64.zip`;
+  if (fileType === 'win-x86-zip') return `${base}-win-x86.zip`;
+  if (fileType === 'win-arm64-zip') return `${base}-win-arm64.zip`;
+
+  return null;
+}
+
+// The Windows zips have no bin/ folder: node.exe sits next to npm's .cmd wrappers
+const WINDOWS_BINS = [
+  { name: 'node', path: 'node.exe' },
+  { name: 'npm', path: 'npm.cmd' },
+  { name: 'npx', path: 'npx.cmd' },
+];
+
+/**
+ * Layout of a Node.js archive: everything lives under a folder named after the
+ * archive (node-v20.12.2-linux-x64/), and Windows builds use their own bins
+ */
+export function getArchiveLayout(platform, filename) {
+  return {
+    root: archiveBaseName(filename),
+    ...(platform.startsWith('windows-') ? { bins: WINDOWS_BINS } : {}),
+  };
+}
+
+// Bundled components index.json reports for each release
+const COMPONENTS = ['npm', 'v8'];
+
+/**
+ * Release details from an index.json entry: date, LTS codename, security flag and
+ * bundled component versions
+ */
+function getReleaseDetails(release) {
+  const components = {};
+  for (const name of COMPONENTS) {
+    if (release[name]) {
+      components[name] = release[name];
+    }
+  }
+  return {
+    date: release.date || undefined,
+    lts: typeof release.lts === 'string' ? release.lts : undefined,
+    security: release.security === true ? true : undefined,
+    components: Object.keys(components).length > 0 ? components : undefined,
+  };
+}
+
+/**
+ * Fetch the checksums of a release
+ * With `signatures`, the clearsigned SHASUMS256.txt.asc is verified against the pinned
+ * release keys first; a missing .asc falls back to SHASUMS256.txt only when signatures are
+ * optional. Returns { content, signature } (signature is null for unsigned checksums)
+ */
+async function fetchChecksums(tag, signatures) {
+  if (signatures) {
+    try {
+      const clearsigned = (await cachedFetch(`${DIST_URL}/${tag}/SHASUMS256.txt.asc`)).toString('utf8');
+      const { key, text } = verifyPgp({ clearsigned }, signatures.keys);
+      return { content: text, signature: { type: 'pgp', key: key } };
+    } catch (error) {
+      if (signatures.required || !(error instanceof HttpError && error.statusCode === 404)) {
+        throw error;
+      }
+    }
+  }
+  return { content: (await cachedFetch(`${DIST_URL}/${tag}/SHASUMS256.txt`)).toString('utf8'), signature: null };
+}
+
+/**
+ * Create the Node.js source adapter
+ * `signatures` ({ type: 'pgp', required, keys }) turns on signature checks
+ */
+export function createNodeSource({ signatures = null } = {}) {
+  return {
+    name: 'node',
+    label: 'Node.js releases from nodejs.org',
+    bins: [
+      { name: 'node', path: 'bin/node' },
+      { name: 'npm', path: 'bin/npm' },
+      { name: 'npx', path: 'bin/npx' },
+    ],
+
+    async listReleases(sync = createSync()) {
+      const releases = await sync.fetchListing(`${DIST_URL}/index.json`);
+      return releases.map((release) => ({
+        version: normalizeVersion(release.version),
+        tag: release.version,
+        details: getReleaseDetails(release),
+        files: release.files || [],
+      }));
+    },
+
+    async resolveArtifacts(release) {
+      // Early releases (before 0.8.6) ship no binaries; their SHASUMS256.txt is not needed
+      if (!release.files.some((fileType) => PLATFORM_MAP[fileType])) {
+        return {};
+      }
+
+      const { content, signature } = await fetchChecksums(release.tag, signaturesFor(signatures, release));
+      const checksums = parseChecksumFile(content);
+      const platforms = {};
+
+      for (const fileType of release.files) {
+        const platform = PLATFORM_MAP[fileType];
+        if (!platform) continue;
+        if (platforms[platform]) continue; // Already have this platform
+
+        const filename = getFilenameForFileType(release.tag, fileType);
+        if (!filename) continue;
+
+        const checksum = checksums[filename];
+        if (!checksum) continue; // Skip if no checksum
+
+        const archiveType = detectArchiveType(filename);
+        if (!archiveType) continue;
+
+        platforms[platform] = {
+          type: archiveType,
+          url: `${DIST_URL}/${release.tag}/${filename}`,
+          checksum: `sha256:${checksum}`,
+          ...getArchiveLayout(platform, filename),
+          ...(signature ? { signature: signature } : {}),
+        };
+      }
+
+      return platforms;
+    },
+
+    async fetchMetadata() {
+      return {
+        description: 'JavaScript runtime built on Chrome\'s V8 JavaScript engine',
+        homepage: 'https://nodejs.org',
+        license: 'MIT',
+      };
+    },
+  };
+}
@@ -0,0 +1,229 @@
+/**
+ * Zig Source
+ * Releases and checksums from ziglang.org/download/index.json, optionally checked against
+ * the minisign signature published next to every tarball
+ */
+
+import { HttpError } from '../http.js';
+import { cachedFetch, cachedDigests } from '../cache.js';
+import { createSync } from '../sync.js';
+import { detectArchiveType, archiveBaseName } from '../archive.js';
+import { normalizeVersion } from '../version.js';
+import { createLimiter, DEFAULT_CONCURRENCY } from '../pool.js';
+import { verifyMinisign } from '../signatures.js';
+import { signaturesFor } from '../config.js';
+
+/**
+ * Map Zig platform to nori format
+ * Zig uses formats like: x86_64-linux, aarch64-macos, x86_64-windows, etc.
+ */
+function mapPlatform(platformKey) {
+  // Handle platform keys from Zig's JSON API
+  if (platformKey === 'x86_64-linux' || platformKey === 'x86_64-linux-gnu') {
+    return 'linux-amd64';
+  }
+  if (platformKey === 'aarch64-linux' || platformKey === 'arm64-linux') {
+    return 'linux-arm64';
+  }
+  if (platformKey === 'x86-linux' || platformKey === 'i386-linux') {
+    return 'linux-x86';
+  }
+  if (platformKey === 'armv7a-linux' || platformKey === 'armv7-linux') {
+    return 'linux-armv7';
+  }
+  if (platformKey === 'riscv64-linux') {
+    return 'linux-riscv64';
+  }
+  if (platformKey === 'x86_64-macos' || platformKey === 'x86_64-darwin') {
+    return 'macos-amd64';
+  }
+  if (platformKey === 'aarch64-macos' || platformKey === 'arm64-macos' || platformKey === 'aarch64-darwin') {
+    return 'macos-arm64';
+  }
+  if (platformKey === 'x86_64-windows' || platformKey === 'x86_64-win32') {
+    return 'windows-amd64';
+  }
+  if (platformKey === 'x86-windows' || platformKey === 'i386-windows' || platformKey === 'x86-win32') {
+    return 'windows-x86';
+  }
+  if (platformKey === 'aarch64-windows' || platformKey === 'arm64-windows') {
+    return 'windows-arm64';
+  }
+  if (platformKey === 'x86_64-freebsd') {
+    return 'freebsd-amd64';
+  }
+  if (platformKey === 'aarch64-freebsd') {
+    return 'freebsd-arm64';
+  }
+
+  // Also handle from filename patterns
+  const lower = platformKey.toLowerCase();
+  if (lower.includes('linux') && (lower.includes('x86_64') || lower.includes('amd64'))) {
+    return 'linux-amd64';
+  }
+  if (lower.includes('linux') && (lower.includes('aarch64') || lower.includes('arm64'))) {
+    return 'linux-arm64';
+  }
+  if ((lower.includes('macos') || lower.includes('darwin')) && (lower.includes('x86_64') || lower.includes('amd64'))) {
+    return 'macos-amd64';
+  }
+  if ((lower.includes('macos') || lower.includes('darwin')) && (lower.includes('aarch64') || lower.includes('arm64'))) {
+    return 'macos-arm64';
+  }
+  if (lower.includes('windows') && (lower.includes('x86_64') || lower.includes('amd64'))) {
+    return 'windows-amd64';
+  }
+  if (lower.includes('windows') && (lower.includes('x86') || lower.includes('i386')) && !lower.includes('x86_64')) {
+    return 'windows-x86';
+  }
+  if (lower.includes('windows') && (lower.includes('aarch64') || lower.includes('arm64'))) {
+    return 'windows-arm64';
+  }
+
+  return null;
+}
+
+/**
+ * Layout of a Zig archive: a folder named after the archive (zig-linux-x86_64-0.13.0/)
+ * holding the zig binary, which is zig.exe on Windows
+ */
+export function getArchiveLayout(platform, tarball) {
+  return {
+    root: archiveBaseName(tarball),
+    ...(platform.startsWith('windows-') ? { bins: [{ name: 'zig', path: 'zig.exe' }] } : {}),
+  };
+}
+
+/**
+ * Download a tarball and check it against its minisign signature (<tarball>.minisig)
+ * Zig signs the tarballs themselves, so the whole file is downloaded: it is hashed while it
+ * streams, with BLAKE2b-512 for the (prehashed) signature and SHA-256 to compare with the
+ * shasum index.json lists. The download cache keeps both digests, so a tarball is only
+ * downloaded once. Returns the verified signature, or null when the tarball has no
+ * .minisig; throws when the signature or the shasum does not match
+ */
+async function verifyTarball(url, shasum, keys) {
+  let minisig;
+  try {
+    minisig = (await cachedFetch(`${url}.minisig`)).toString('utf8');
+  } catch (error) {
+    if (error instanceof HttpError && error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+
+  const digests = await cachedDigests(url, ['sha256', 'blake2b512']);
+  const fileName = url.split('/').pop();
+  const { key } = verifyMinisign(minisig, keys, { prehash: Buffer.from(digests.blake2b512, 'hex'), fileName: fileName });
+  if (digests.sha256 !== shasum) {
+    throw new Error(`${fileName} is signed, but hashes to ${digests.sha256} instead of the shasum ${shasum} in index.json`);
+  }
+  return { type: 'minisign', key: key };
+}
+
+/**
+ * Create the Zig source adapter
+ * `signatures` ({ type: 'minisign', required, channels, keys }) turns on signature checks,
+ * which download the tarball of every platform a new release is imported for (`concurrency`
+ * at a time); platforms the config turns off (`platforms`, see config.js) are not downloaded
+ */
+export function createZigSource({ signatures = null, platforms: platformOverrides = {}, concurrency = DEFAULT_CONCURRENCY } = {}) {
+  const limitDownloads = createLimiter(concurrency);
+
+  return {
+    name: 'zig',
+    label: 'Zig releases from ziglang.org',
+    bins: [{ name: 'zig', path: 'zig' }], // Zig binary is at root, not in bin/
+
+    async listReleases(sync = createSync()) {
+      const data = await sync.fetchListing('https://ziglang.org/download/index.json');
+
+      // Structure: { "master": {...}, "0.15.2": {...}, "0.15.1": {...}, ... }
+      const releases = [];
+      for (const [key, versionData] of Object.entries(data)) {
+        // Skip if it's not a version entry (should have platform data)
+        if (!versionData || typeof versionData !== 'object') continue;
+
+        // Extract version number; `master` is the latest nightly build, which keeps its
+        // full dev version (0.14.0-dev.46+3648d7df1) so it never passes for the release it
+        // leads up to
+        let tag;
+        let channel;
+        if (key === 'master' && versionData.version) {
+          tag = versionData.version;
+          channel = 'nightly';
+        } else if (key.match(/^\d+\.\d+\.\d+/)) {
+          // Key is the version number itself
+          tag = key;
+          channel = 'stable';
+        } else {
+          continue; // Skip unknown keys
+        }
+
+        releases.push({
+          version: normalizeVersion(tag),
+          tag: tag,
+          channel: channel,
+          platforms: versionData,
+        });
+      }
+      return releases;
+    },
+
+    async resolveArtifacts(release) {
+      const platforms = {};
+
+      for (const [platformKey, platformData] of Object.entries(release.platforms)) {
+        // Skip non-platform entries like 'date', 'docs', 'stdDocs', 'src', 'bootstrap'
+        if (typeof platformData !== 'object' || !platformData.tarball) {
+          continue;
+        }
+
+        const platform = mapPlatform(platformKey);
+        const archiveType = detectArchiveType(platformData.tarball);
+
+        if (!platform || !archiveType) continue;
+        if (platforms[platform]) continue; // Already have this platform
+        if (platformOverrides[platform]?.skip) continue;
+
+        // Zig provides checksums directly in the JSON
+        if (platformData.shasum) {
+          platforms[platform] = {
+            type: archiveType,
+            url: platformData.tarball,
+            checksum: `sha256:${platformData.shasum}`,
+            ...getArchiveLayout(platform, platformData.tarball),
+          };
+        }
+      }
+
+      const checks = signaturesFor(signatures, release);
+      if (!checks) {
+        return platforms;
+      }
+
+      const verified = await Promise.all(Object.entries(platforms).map(([platform, entry]) => (
+        limitDownloads(() => verifyTarball(entry.url, entry.checksum.slice('sha256:'.length), checks.keys))
+          .then((signature) => [platform, signature])
+      )));
+      for (const [platform, signature] of verified) {
+        if (signature) {
+          platforms[platform].signature = signature;
+        } else if (checks.required) {
+          console.warn(`  Warning: Skipping ${platforms[platform].url}: no minisign signature`);
+          delete platforms[platform];
+        }
+      }
+      return platforms;
+    },
+
+    async fetchMetadata() {
+      return {
+        description: 'General-purpose programming language and toolchain',
+        homepage: 'https://ziglang.org',
+        license: 'MIT',
+      };
+    },
+  };
+}
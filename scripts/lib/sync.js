@@ -0,0 +1,116 @@
+/**
+ * Sync State
+ * Remembers, per package, what the last update saw upstream: the ETag/Last-Modified of
+ * its release listing and the newest release it processed. The next run sends the
+ * listing request conditionally and stops there on a 304, and GitHub pagination stops
+ * at the release processed last time, so a no-op update costs a handful of requests.
+ * A package's state is only used while its source config and manifest are exactly as
+ * that run left them; any edit means a full sync.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fetchJSON, HttpError } from './http.js';
+
+export const DEFAULT_SYNC_STATE_FILE = '.sync-state.json';
+
+/**
+ * Thrown by a listing request the server answered with 304 Not Modified
+ */
+export class NotModifiedError extends Error {
+  constructor(url) {
+    super(`${url} has not changed since the last run`);
+    this.name = 'NotModifiedError';
+    this.url = url;
+  }
+}
+
+/**
+ * State of one package after an update.
+ *
+ * @typedef {Object} PackageSyncState
+ * @property {string} config - SHA-256 of the source config the run used
+ * @property {string} manifest - SHA-256 of the manifest the run left behind
+ * @property {Object<string, {etag: string|null, lastModified: string|null}>} requests -
+ *   Validators of the listing requests, by URL
+ * @property {string|null} newest - Upstream tag of the newest release processed
+ * @property {string} synced - When the run finished (ISO 8601)
+ */
+
+/**
+ * Load the sync state file ({ packages: { <name>: PackageSyncState } })
+ * A missing or unreadable file is an empty state
+ */
+export function loadSyncState(filePath) {
+  try {
+    const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (state && typeof state.packages === 'object') {
+      return state;
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Warning: Ignoring unreadable sync state ${filePath}: ${error.message}`);
+    }
+  }
+  return { packages: {} };
+}
+
+/**
+ * Save the sync state file (written to a temporary file first, then renamed)
+ */
+export function saveSyncState(filePath, state) {
+  const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.tmp`);
+  fs.writeFileSync(tmpPath, `${JSON.stringify(state, null, 2)}\n`);
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * SHA-256 of a source config or manifest text, to tell whether it changed since a run
+ */
+export function fingerprint(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? null);
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Create the sync context an adapter's listReleases(sync) uses
+ * `previous` is the package's state from the last run, or null for a full sync.
+ * fetchListing() sends If-None-Match/If-Modified-Since for URLs the last run listed and
+ * throws NotModifiedError on a 304; `known` is the newest release the last run processed.
+ * validators() returns what to record for the next run.
+ */
+export function createSync(previous = null) {
+  const validators = {};
+
+  return {
+    known: previous?.newest || null,
+
+    async fetchListing(url, options = {}) {
+      const last = previous?.requests?.[url];
+      const conditions = {
+        ...(last?.etag ? { 'If-None-Match': last.etag } : {}),
+        ...(last?.lastModified ? { 'If-Modified-Since': last.lastModified } : {}),
+      };
+      try {
+        return await fetchJSON(url, {
+          ...options,
+          headers: { ...options.headers, ...conditions },
+          onHeaders: (headers) => {
+            validators[url] = { etag: headers.etag || null, lastModified: headers['last-modified'] || null };
+            if (options.onHeaders) {
+              options.onHeaders(headers);
+            }
+          },
+        });
+      } catch (error) {
+        if (error instanceof HttpError && error.statusCode === 304) {
+          throw new NotModifiedError(url);
+        }
+        throw error;
+      }
+    },
+
+    validators: () => ({ ...validators }),
+  };
+}
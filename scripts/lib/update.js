@@ -0,0 +1,403 @@
+/**
+ * Update Runner
+ * Drives a source adapter: lists upstream releases, resolves artifacts for
+ * versions not yet in the registry, merges them into packages/<name>.yaml
+ * and regenerates index.yaml
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { readExistingYAML, mergeVersions, applyDetails, buildManifest, writeYAML } from './manifest.js';
+import { isValidVersion, isPlainTag } from './version.js';
+import { precedenceKey, satisfies } from './semver.js';
+import { createLineReporter } from './progress.js';
+import { PROJECT_ROOT, manifestPath } from './registry.js';
+import { isVersionAllowed, isChannelEnabled, applyPlatformOverrides } from './config.js';
+import { channelOf } from './schema.js';
+import { writeIndex } from './package-index.js';
+import { mapConcurrent, DEFAULT_CONCURRENCY } from './pool.js';
+import { computeAliases } from './aliases.js';
+import { createSync, fingerprint, NotModifiedError } from './sync.js';
+import { diffManifests } from './diff.js';
+import {
+  findDrift, findOverride, formatOverride, describeDrift, loadOverrides, writeIncidentReport, ArtifactDriftError,
+} from './immutability.js';
+
+/**
+ * A source adapter describes one upstream and how to turn its releases into manifest entries.
+ *
+ * @typedef {Object} SourceAdapter
+ * @property {string} name - Package name; the manifest is written to packages/<name>.yaml
+ * @property {string} label - Human-readable description of the upstream, used in log output
+ * @property {Bin[]} bins - Binaries exposed by every version
+ * @property {(sync: Object) => Promise<Release[]>} listReleases - All upstream releases, in
+ *   upstream order. Listing requests go through sync.fetchListing() (see sync.js), which
+ *   throws NotModifiedError when nothing changed since the last run; an adapter may stop
+ *   listing at sync.known, the newest release the last run processed
+ * @property {(release: Release) => Promise<Object<string, PlatformEntry>>} resolveArtifacts -
+ *   Per-platform artifacts for a release, keyed by nori platform (e.g. linux-amd64).
+ *   Only artifacts with a known checksum are returned.
+ * @property {() => Promise<Metadata>} [fetchMetadata] - Description, homepage and license
+ *   used when the manifest does not have them yet
+ * @property {Object} [config] - Normalized source config (see config.js); its channels,
+ *   version filters, platform overrides and archive layout are applied here
+ *
+ * @typedef {Object} Release
+ * @property {string} version - Version as it will appear in the manifest, normalized to strict
+ *   semver with normalizeVersion() (version.js); null when the upstream spelling cannot be
+ * @property {string} [tag] - Upstream tag or version string. Written to the manifest when it is
+ *   more than `version` with a "v"/"go" prefix, so the normalization can be reversed
+ * @property {string} [channel] - stable (default), prerelease or nightly. Only the first
+ *   nightly listed is imported, and it replaces the nightly already in the manifest
+ * @property {ReleaseDetails} [details] - Release details the upstream publishes. They are
+ *   refreshed on versions already in the manifest too, without resolving artifacts again
+ *
+ * @typedef {Object} ReleaseDetails
+ * @property {string} [date] - Release date (YYYY-MM-DD)
+ * @property {string} [lts] - LTS codename (e.g. "Iron"); the lts/* aliases are built from it
+ * @property {boolean} [security] - true for releases that fix security issues
+ * @property {Object<string, string>} [components] - Versions of bundled components (e.g. npm, v8)
+ *
+ * @typedef {Object} Bin
+ * @property {string} name - Command name exposed on the user's PATH
+ * @property {string} path - Path of the binary inside the archive
+ * @property {string[]} [aliases] - Extra command names for the same binary
+ *
+ * @typedef {Object} PlatformEntry
+ * @property {string} type - Archive type (tar, tar.gz, tar.xz, zip)
+ * @property {string} url - Download URL
+ * @property {string} checksum - "sha256:<hex>" or "sha512:<hex>"
+ * @property {string} [root] - Folder inside the archive that bin paths are relative to
+ * @property {number} [strip_components] - Leading path components to drop instead of a root
+ * @property {Bin[]} [bins] - Replaces the version's bins on this platform (e.g. node.exe on Windows)
+ * @property {VerifiedSignature} [signature] - Signature that vouched for the checksum (see
+ *   signatures.js); recorded on the version when every platform has the same one
+ *
+ * @typedef {Object} Metadata
+ * @property {string|null} description
+ * @property {string|null} homepage
+ * @property {string|null} license
+ */
+
+/**
+ * Drop releases whose version another release already claims
+ * Two upstream tags can map to the same version (v1.2.0 and 1.2.0, or builds differing
+ * only in build metadata); the first one listed wins
+ */
+function dedupeReleases(releases) {
+  const seen = new Map();
+  return releases.filter((release) => {
+    const key = precedenceKey(release.version);
+    if (seen.has(key)) {
+      console.warn(`  Warning: Skipping ${release.tag || release.version}: same version as ${seen.get(key)}`);
+      return false;
+    }
+    seen.set(key, release.tag || release.version);
+    return true;
+  });
+}
+
+/**
+ * Take the signatures off resolved platform entries
+ * Returns the entries without them, plus the signature to record on the version: only
+ * when every platform's checksum was vouched for by the same key
+ */
+function takeSignature(platforms) {
+  const stripped = {};
+  const signatures = [];
+  for (const [platform, { signature, ...entry }] of Object.entries(platforms)) {
+    stripped[platform] = entry;
+    signatures.push(signature);
+  }
+  const [first] = signatures;
+  const shared = first && signatures.every((s) => s && s.type === first.type && s.key === first.key);
+  return { platforms: stripped, signature: shared ? { type: first.type, key: first.key } : null };
+}
+
+/**
+ * Fold the artifacts resolved again for an existing version into its entry
+ * Platforms the entry lacks are added. Published artifacts are kept as recorded: one that
+ * changed upstream is only replaced when an override approves it (see immutability.js),
+ * otherwise it is pushed onto `drift`. Returns the entry, the platforms added to it and the
+ * overrides applied
+ */
+function refreshEntry(entry, { platforms, signature }, overrides, drift) {
+  const recorded = { ...entry.platforms };
+  const applied = [];
+  for (const change of findDrift(entry, { platforms })) {
+    const override = findOverride(overrides, change);
+    if (override) {
+      recorded[change.platform] = platforms[change.platform];
+      applied.push(override);
+    } else {
+      drift.push(change);
+    }
+  }
+
+  let added = Object.keys(platforms).filter((platform) => !recorded[platform]);
+  // The version's signature vouches for every platform, so new ones need the same key
+  if (added.length > 0 && entry.signature &&
+    !(signature && signature.type === entry.signature.type && signature.key === entry.signature.key)) {
+    console.warn(`  Warning: Not adding ${added.join(', ')} to ${entry.version}: not signed by ${entry.signature.key} like its other platforms`);
+    added = [];
+  }
+  if (added.length === 0 && applied.length === 0) {
+    return { entry, added, applied };
+  }
+  const platformsAdded = Object.fromEntries(added.map((platform) => [platform, platforms[platform]]));
+  return { entry: { ...entry, platforms: { ...recorded, ...platformsAdded } }, added, applied };
+}
+
+/**
+ * Fingerprint of a manifest file as it is on disk
+ */
+function manifestFingerprint(yamlPath) {
+  return fingerprint(fs.existsSync(yamlPath) ? fs.readFileSync(yamlPath, 'utf8') : '');
+}
+
+/**
+ * Run an update for a source adapter
+ * Up to `options.concurrency` releases are resolved at once; the manifest comes out the
+ * same whatever order they finish in. Release details of existing versions and the
+ * aliases are refreshed on every run. With `options.syncState` (see sync.js) the listing
+ * is requested conditionally and the state is updated for the next run. With
+ * `options.dryRun` nothing is written. Progress goes to `options.log` (console.log).
+ * `options.refresh` resolves existing versions again (true for all of them, or a version
+ * range) to backfill platforms; published artifacts that changed upstream are reported as
+ * `drift` and kept unless checksum-overrides.json approves the change. Drift is written
+ * to an incident report. Returns the changes to the manifest as a ManifestDiff (see diff.js),
+ * with the versions whose artifacts could not be resolved as `unresolved`
+ */
+export async function runUpdate(source, options = {}) {
+  const root = options.root || PROJECT_ROOT;
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const log = options.log || console.log;
+  const reporter = options.reporter || createLineReporter(log);
+  const dryRun = Boolean(options.dryRun);
+  const refresh = options.refresh || null;
+  const yamlPath = manifestPath(root, source.name);
+  const existing = readExistingYAML(yamlPath);
+  const overrides = loadOverrides(root, source.name);
+
+  // The last run's state only holds while the config and manifest are as it left them
+  const state = options.syncState || null;
+  const configFingerprint = fingerprint(source.config || null);
+  const previous = state?.packages[source.name];
+  const resumable = Boolean(previous && previous.config === configFingerprint && previous.manifest === manifestFingerprint(yamlPath));
+  // A refresh needs every release listed, including the ones processed before
+  const sync = createSync(resumable && !refresh ? previous : null);
+  // Without the validators the next listing request is not conditional, so releases
+  // that failed to resolve are listed and tried again instead of stopping at a 304
+  const recordSync = (newest, complete) => {
+    if (state && !dryRun) {
+      state.packages[source.name] = {
+        config: configFingerprint,
+        manifest: manifestFingerprint(yamlPath),
+        requests: complete ? sync.validators() : {},
+        newest: newest,
+        synced: new Date().toISOString(),
+      };
+    }
+  };
+
+  // Published artifacts that changed upstream get an incident report (not on a dry run)
+  const reportDrift = (changes, outcome) => {
+    for (const change of changes) {
+      console.warn(`  Warning: Published artifact changed upstream: ${describeDrift(change)}`);
+    }
+    if (!dryRun) {
+      const reportPath = writeIncidentReport(root, source.name, changes, { source: source.label });
+      console.warn(`  Wrote incident report ${path.relative(root, reportPath)}; ${outcome}`);
+    }
+  };
+
+  log(`Fetching ${source.label}...`);
+
+  // Metadata only fills in what the manifest does not have yet
+  const needsMetadata = source.fetchMetadata && !(existing.description && existing.homepage && existing.license);
+  let releases;
+  let metadata;
+  try {
+    [releases, metadata] = await Promise.all([
+      source.listReleases(sync),
+      needsMetadata ? source.fetchMetadata() : {},
+    ]);
+  } catch (error) {
+    if (!(error instanceof NotModifiedError)) {
+      throw error;
+    }
+    log('Upstream releases have not changed since the last update.');
+    log('\nNo new versions to add.');
+    return { ...diffManifests(source.name, existing, existing), drift: [], unresolved: [] };
+  }
+
+  const existingVersions = new Set((existing.versions || []).map((v) => precedenceKey(v.version)));
+
+  log(`Found ${releases.length} total versions to process`);
+  log(`Found ${existingVersions.size} existing versions in registry`);
+  log('');
+
+  const candidates = releases.filter((release) => (
+    // Skip invalid semver versions
+    isValidVersion(release.version) &&
+    // Channels and version filters from the source config
+    isChannelEnabled(source.config?.channels, release) &&
+    isVersionAllowed(source.config?.versions, release)
+  ));
+  const latestNightly = candidates.find((release) => release.channel === 'nightly');
+  const isRefreshed = (release) => Boolean(refresh) && (refresh === true || satisfies(release.version, refresh));
+  const pending = dedupeReleases(candidates).filter((release) => (
+    (release.channel !== 'nightly' || release === latestNightly) &&
+    (!existingVersions.has(precedenceKey(release.version)) || isRefreshed(release))
+  ));
+  reporter.start(pending.length);
+
+  // Artifacts resolved again for existing versions, by precedence key
+  const refreshes = new Map();
+
+  // Releases whose artifacts could not be resolved; they are tried again next run
+  const unresolved = [];
+  const resolved = await mapConcurrent(pending, concurrency, async (release) => {
+    const version = release.version;
+
+    let platforms;
+    let signature;
+    try {
+      ({ platforms, signature } = takeSignature(await source.resolveArtifacts(release)));
+      platforms = applyPlatformOverrides(source.config, platforms, version);
+    } catch (error) {
+      console.warn(`  Warning: Could not resolve artifacts for ${version}: ${error.message}`);
+      unresolved.push(version);
+      return null;
+    }
+
+    if (existingVersions.has(precedenceKey(version))) {
+      refreshes.set(precedenceKey(version), { platforms, signature });
+      reporter.version(version, 0);
+      return null;
+    }
+
+    const platformsCount = Object.keys(platforms).length;
+    reporter.version(version, platformsCount);
+
+    // Only add if we have at least one platform
+    if (platformsCount === 0) {
+      return null;
+    }
+    return applyDetails({
+      version: version,
+      ...(release.tag && !isPlainTag(release.tag, version) ? { tag: release.tag } : {}),
+      ...(release.channel && release.channel !== 'stable' ? { channel: release.channel } : {}),
+      ...(signature ? { signature: signature } : {}),
+      bins: source.bins,
+      platforms: platforms,
+    }, release.details);
+  });
+  const newVersions = resolved.filter(Boolean);
+
+  reporter.finish();
+
+  // Releases that failed to resolve are listed again next run: the listing validators are
+  // only kept and the newest processed release only moves on when every release was
+  // processed. Nightly builds are re-created under the same tag, so they do not mark where
+  // the last run got to
+  const newestRelease = releases.find((release) => release.channel !== 'nightly');
+  const newest = unresolved.length === 0 ? (newestRelease?.tag || newestRelease?.version || null) : (resumable ? previous.newest : null);
+
+  // Refresh the release details of versions already in the manifest
+  const detailsByVersion = new Map();
+  for (const release of candidates) {
+    const key = precedenceKey(release.version);
+    if (release.details && !detailsByVersion.has(key)) {
+      detailsByVersion.set(key, release.details);
+    }
+  }
+  let refreshed = 0;
+  let keptVersions = (existing.versions || []).map((entry) => {
+    const details = detailsByVersion.get(precedenceKey(entry.version));
+    if (!details) {
+      return entry;
+    }
+    const updated = applyDetails(entry, details);
+    if (!isDeepStrictEqual(updated, entry)) {
+      refreshed++;
+    }
+    return updated;
+  });
+
+  // Backfill the platforms of refreshed versions; published artifacts are never replaced
+  // without an override
+  const drift = [];
+  let backfilled = 0;
+  keptVersions = keptVersions.map((entry) => {
+    const found = refreshes.get(precedenceKey(entry.version));
+    if (!found) {
+      return entry;
+    }
+    const { entry: updated, added, applied } = refreshEntry(entry, found, overrides, drift);
+    if (added.length > 0) {
+      log(`Adding ${added.join(', ')} to ${entry.version}`);
+      backfilled += added.length;
+    }
+    for (const override of applied) {
+      log(`Applying checksum override for ${formatOverride(override)}`);
+    }
+    return updated;
+  });
+  if (drift.length > 0) {
+    reportDrift(drift, 'kept the recorded artifacts');
+  }
+
+  // A new nightly build replaces the previous one instead of piling up next to it
+  if (newVersions.some((entry) => entry.channel === 'nightly')) {
+    for (const entry of keptVersions.filter((v) => channelOf(v) === 'nightly')) {
+      log(`Replacing nightly ${entry.version}`);
+    }
+    keptVersions = keptVersions.filter((entry) => channelOf(entry) !== 'nightly');
+  }
+
+  let mergedVersions;
+  try {
+    mergedVersions = mergeVersions({ versions: keptVersions }, newVersions, { overrides });
+  } catch (error) {
+    if (error instanceof ArtifactDriftError) {
+      reportDrift(error.drift, `${yamlPath} left unchanged`);
+    }
+    throw error;
+  }
+  const manifest = buildManifest(source.name, existing, metadata, mergedVersions, computeAliases(mergedVersions, source.config?.stable));
+
+  // Nothing new, and nothing about the existing versions or aliases changed either
+  if (newVersions.length === 0 && (keptVersions.length === 0 || isDeepStrictEqual(manifest, existing))) {
+    log('\nNo new versions to add.');
+    recordSync(newest, unresolved.length === 0);
+    return { ...diffManifests(source.name, existing, existing), drift, unresolved };
+  }
+
+  const diff = { ...diffManifests(source.name, existing, manifest), drift, unresolved };
+  if (dryRun) {
+    log(`\nDry run: would add ${newVersions.length} new version(s); ${yamlPath} left unchanged`);
+    return diff;
+  }
+
+  writeYAML(yamlPath, manifest);
+  recordSync(newest, unresolved.length === 0);
+
+  if (newVersions.length > 0) {
+    log(`\nSuccessfully added ${newVersions.length} new version(s) to ${yamlPath}`);
+  } else {
+    log(`\nNo new versions to add; updated ${yamlPath}`);
+  }
+  if (refreshed > 0) {
+    log(`Refreshed release details of ${refreshed} existing version(s)`);
+  }
+  if (backfilled > 0) {
+    log(`Added ${backfilled} platform(s) to existing versions`);
+  }
+
+  if (writeIndex(root)) {
+    log('Updated index.yaml');
+  }
+  return diff;
+}
@@ -0,0 +1,88 @@
+/**
+ * Version helpers shared by the update scripts and the manifest validator
+ * Parsing and ordering follow SemVer 2.0 (see semver.js); this module adds the
+ * registry's own rules on top
+ */
+
+import { parseVersion } from './semver.js';
+
+/**
+ * Validate version format - strict semver, without a "v" prefix
+ * Valid formats:
+ *   - 1.2.3 (stable)
+ *   - 1.2.3-alpha.1 (pre-release with dot separator)
+ *   - 1.2.3-beta.2 (pre-release with dot separator)
+ *   - 1.2.3-rc.3 (pre-release with dot separator)
+ *   - 1.2.3-dev.123+abc1234 (nightly build with build metadata)
+ * Invalid formats (will be rejected):
+ *   - 1.25rc3 (missing dots; normalizeVersion() turns it into 1.25.0-rc.3)
+ *   - 1.2 (missing patch version)
+ *   - 01.2.3 (leading zeros)
+ */
+export function isValidVersion(version) {
+  if (typeof version !== 'string' || version.startsWith('v')) {
+    return false;
+  }
+
+  const parsed = parseVersion(version);
+  if (!parsed) {
+    return false;
+  }
+
+  // Pre-release must contain a dot (e.g., rc.3, alpha.1, beta.2)
+  // Reject formats like "rc3", "alpha1" without dots
+  if (parsed.prerelease.length === 1) {
+    return false;
+  }
+
+  return true;
+}
+
+// Pre-release labels upstreams spell without the dot semver needs (1.25rc3, v1.2.3-beta3)
+const PRERELEASE_LABELS = 'alpha|beta|rc|pre|preview|dev';
+
+/**
+ * Map an upstream version spelling to a strict semver version, or null if it cannot be
+ *   - v1.2.3, go1.22.2, release-1.2.3 -> prefix dropped
+ *   - go1.21, release-1.2 -> 1.21.0, 1.2.0 (missing patch)
+ *   - go1.22rc1, 1.9.2rc2, v1.2.3-beta3 -> 1.22.0-rc.1, 1.9.2-rc.2, 1.2.3-beta.3
+ *   - 0.14.0-dev.46+3648d7df1 (Zig dev build) -> unchanged
+ *   - nightly -> 0.0.0-nightly.YYYYMMDD, dated by `options.date` (the release date)
+ * The caller keeps the upstream spelling as the release `tag`
+ */
+export function normalizeVersion(tag, { date = null } = {}) {
+  if (typeof tag !== 'string') {
+    return null;
+  }
+
+  if (/^nightly$/i.test(tag)) {
+    const day = date ? new Date(date) : null;
+    if (!day || Number.isNaN(day.getTime())) {
+      return null;
+    }
+    return `0.0.0-nightly.${day.toISOString().slice(0, 10).replace(/-/g, '')}`;
+  }
+
+  const stripped = tag.trim().replace(/^(?:release|rel)[-_/]/i, '').replace(/^(?:v|go)(?=\d)/i, '');
+  const match = stripped.match(/^(\d+)\.(\d+)(?:\.(\d+))?(.*)$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, major, minor, patch = '0', rest] = match;
+  const core = [major, minor, patch].map(Number).join('.');
+  const label = rest.match(new RegExp(`^[-.]?(${PRERELEASE_LABELS})[-.]?(\\d+)?(\\+[0-9A-Za-z.-]+)?$`, 'i'));
+  const version = label
+    ? `${core}-${label[1].toLowerCase()}.${label[2] !== undefined ? Number(label[2]) : 0}${label[3] || ''}`
+    : `${core}${rest}`;
+
+  return isValidVersion(version) ? version : null;
+}
+
+/**
+ * Check whether a tag is just the version with an optional "v" or "go" prefix
+ * Manifests only record the upstream `tag` when it says more than that
+ */
+export function isPlainTag(tag, version) {
+  return tag.replace(/^(?:v|go)/i, '') === version;
+}
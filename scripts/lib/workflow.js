@@ -0,0 +1,140 @@
+/**
+ * Update Workflows
+ * Renders the scheduled GitHub Actions workflow that keeps a package up to date
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Path of a package's update workflow
+ */
+export function workflowPath(root, name) {
+  return path.join(root, '.github', 'workflows', `update-${name}.yml`);
+}
+
+/**
+ * Find the UTC hours already used by update workflows
+ */
+export function usedScheduleHours(root) {
+  const dir = path.join(root, '.github', 'workflows');
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const hours = [];
+  for (const file of fs.readdirSync(dir)) {
+    const match = fs.readFileSync(path.join(dir, file), 'utf8').match(/cron: '0 (\d+) \* \* \*'/);
+    if (match) {
+      hours.push(parseInt(match[1], 10));
+    }
+  }
+  return hours;
+}
+
+/**
+ * Pick the first hour of the day no other update workflow runs at
+ */
+export function nextFreeScheduleHour(root) {
+  const used = new Set(usedScheduleHours(root));
+  for (let hour = 0; hour < 24; hour++) {
+    if (!used.has(hour)) {
+      return hour;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Format an hour the way the workflow comments do ("Daily at 4 AM UTC")
+ */
+function formatHour(hour) {
+  if (hour === 0) return '12 AM';
+  if (hour === 12) return '12 PM';
+  return hour < 12 ? `${hour} AM` : `${hour - 12} PM`;
+}
+
+/**
+ * Render the update workflow for a package
+ */
+export function renderWorkflow({ name, title, hour }) {
+  return `name: Update ${title}
+
+on:
+  schedule:
+    - cron: '0 ${hour} * * *'  # Daily at ${formatHour(hour)} UTC
+  workflow_dispatch:  # Allow manual trigger
+
+jobs:
+  update:
+    runs-on: ubuntu-latest
+    permissions:
+      contents: write
+    steps:
+      - uses: actions/checkout@v4
+        with:
+          token: \${{ secrets.GITHUB_TOKEN }}
+      
+      - name: Setup Node.js
+        uses: actions/setup-node@v4
+        with:
+          node-version: '20'
+      
+      - name: Install dependencies
+        run: npm install
+      
+      - name: Restore download cache and sync state
+        uses: actions/cache/restore@v4
+        with:
+          path: |
+            .nori-cache
+            .sync-state.json
+          key: nori-cache-${name}-\${{ github.run_id }}-\${{ github.run_attempt }}
+          restore-keys: nori-cache-${name}-
+      
+      - name: Run update script
+        env:
+          GITHUB_TOKEN: \${{ secrets.GITHUB_TOKEN }}
+        run: |
+          node scripts/cli.js update ${name}
+      
+      # Saved even when the update fails, so a rerun skips the downloads that finished
+      - name: Save download cache and sync state
+        if: always()
+        uses: actions/cache/save@v4
+        with:
+          path: |
+            .nori-cache
+            .sync-state.json
+          key: nori-cache-${name}-\${{ github.run_id }}-\${{ github.run_attempt }}
+      
+      # An update that would change a published artifact fails and leaves an incident report
+      - name: Upload incident reports
+        if: failure()
+        uses: actions/upload-artifact@v4
+        with:
+          name: incidents-${name}-\${{ github.run_id }}-\${{ github.run_attempt }}
+          path: incidents/
+          if-no-files-found: ignore
+      
+      # A partial update (releases left for the next run) fails the job but still commits
+      # the versions that did resolve; an update that fails outright writes nothing
+      - name: Check for changes
+        id: changes
+        if: \${{ !cancelled() }}
+        run: |
+          if [ -n "$(git status --porcelain packages/${name}.yaml index.yaml)" ]; then
+            echo "has_changes=true" >> $GITHUB_OUTPUT
+          else
+            echo "has_changes=false" >> $GITHUB_OUTPUT
+          fi
+      
+      - name: Commit and push
+        if: \${{ !cancelled() && steps.changes.outputs.has_changes == 'true' }}
+        run: |
+          git config --local user.email "action@github.com"
+          git config --local user.name "GitHub Action"
+          git add packages/${name}.yaml index.yaml
+          git commit -m "chore: update ${name} versions [skip ci]"
+          git push
+`;
+}
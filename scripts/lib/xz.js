@@ -0,0 +1,683 @@
+/**
+ * XZ Decoder
+ * Pure-JS decoder for .xz files (LZMA2 filter only, which is what `xz` and `tar -J`
+ * produce by default), used to list tar.xz archives without an external xz binary.
+ * Output is streamed to a callback so large archives never sit in memory decompressed.
+ */
+
+import crypto from 'crypto';
+
+const HEADER_MAGIC = Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]);
+const FOOTER_MAGIC = Buffer.from([0x59, 0x5a]);
+const FILTER_LZMA2 = 0x21;
+
+// Integrity check types (stream flags) and their sizes in bytes
+const CHECK_CRC32 = 0x01;
+const CHECK_CRC64 = 0x04;
+const CHECK_SHA256 = 0x0a;
+
+/**
+ * Error raised for a corrupt or unsupported .xz file
+ */
+export class XzError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'XzError';
+  }
+}
+
+const CRC32_TABLE = new Uint32Array(256);
+const CRC64_TABLE_LO = new Uint32Array(256);
+const CRC64_TABLE_HI = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+  let crc = i;
+  let lo = i;
+  let hi = 0;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    // CRC-64/XZ (ECMA-182, reflected), kept as two 32-bit halves
+    const carry = lo & 1;
+    lo = ((lo >>> 1) | ((hi & 1) << 31)) >>> 0;
+    hi >>>= 1;
+    if (carry) {
+      lo = (lo ^ 0xd7870f42) >>> 0;
+      hi = (hi ^ 0xc96c5795) >>> 0;
+    }
+  }
+  CRC32_TABLE[i] = crc >>> 0;
+  CRC64_TABLE_LO[i] = lo;
+  CRC64_TABLE_HI[i] = hi;
+}
+
+/**
+ * CRC32 of a buffer (as used by the xz headers, index and CRC32 checks)
+ */
+function crc32(data, crc = 0) {
+  crc = ~crc >>> 0;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC32_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+/**
+ * Incremental hash for a block's integrity check
+ * Returns { update(chunk), digest() } with the digest as the bytes stored in the file
+ */
+function createCheck(type) {
+  if (type === CHECK_CRC32) {
+    let crc = 0;
+    return {
+      update: (chunk) => {
+        crc = crc32(chunk, crc);
+      },
+      digest: () => {
+        const out = Buffer.alloc(4);
+        out.writeUInt32LE(crc);
+        return out;
+      },
+    };
+  }
+  if (type === CHECK_CRC64) {
+    let lo = 0xffffffff;
+    let hi = 0xffffffff;
+    return {
+      update: (chunk) => {
+        for (let i = 0; i < chunk.length; i++) {
+          const index = (lo ^ chunk[i]) & 0xff;
+          lo = (((lo >>> 8) | (hi << 24)) ^ CRC64_TABLE_LO[index]) >>> 0;
+          hi = ((hi >>> 8) ^ CRC64_TABLE_HI[index]) >>> 0;
+        }
+      },
+      digest: () => {
+        const out = Buffer.alloc(8);
+        out.writeUInt32LE(~lo >>> 0, 0);
+        out.writeUInt32LE(~hi >>> 0, 4);
+        return out;
+      },
+    };
+  }
+  if (type === CHECK_SHA256) {
+    const hash = crypto.createHash('sha256');
+    return { update: (chunk) => hash.update(chunk), digest: () => hash.digest() };
+  }
+  // No check, or a check type we cannot compute: its bytes are skipped unverified
+  return null;
+}
+
+/**
+ * Size in bytes of the check field for a check type (0x00-0x0f)
+ */
+function checkSize(type) {
+  return type === 0 ? 0 : 4 << Math.floor((type - 1) / 3);
+}
+
+/**
+ * Reader over the input buffer that fails cleanly on truncation
+ */
+function createInput(buffer) {
+  const input = {
+    buffer: buffer,
+    pos: 0,
+    byte() {
+      if (input.pos >= buffer.length) {
+        throw new XzError('Unexpected end of input');
+      }
+      return buffer[input.pos++];
+    },
+    bytes(count) {
+      if (input.pos + count > buffer.length) {
+        throw new XzError('Unexpected end of input');
+      }
+      const slice = buffer.subarray(input.pos, input.pos + count);
+      input.pos += count;
+      return slice;
+    },
+    // Variable-length integer: 7 bits per byte, least significant first
+    vli() {
+      let value = 0;
+      for (let i = 0; i < 9; i++) {
+        const b = input.byte();
+        value += (b & 0x7f) * 2 ** (7 * i);
+        if ((b & 0x80) === 0) {
+          return value;
+        }
+      }
+      throw new XzError('Invalid variable-length integer');
+    },
+  };
+  return input;
+}
+
+/**
+ * Sliding window the LZMA decoder copies matches from
+ * Holds the last `size` bytes of output and hands each full window to `flush`
+ */
+function createWindow(size, flush) {
+  const buf = Buffer.alloc(size);
+  let pos = 0;        // next write position
+  let start = 0;      // first byte not yet flushed
+  let filled = 0;     // bytes of history available for matches (up to size)
+
+  const emit = () => {
+    if (pos > start) {
+      flush(buf.subarray(start, pos));
+    }
+    start = pos;
+  };
+
+  return {
+    get filled() {
+      return filled;
+    },
+    reset() {
+      filled = 0;
+    },
+    put(b) {
+      buf[pos++] = b;
+      if (filled < size) filled++;
+      if (pos === size) {
+        emit();
+        pos = 0;
+        start = 0;
+      }
+    },
+    // Byte `distance` positions back (0 = the last byte written)
+    get(distance) {
+      let i = pos - distance - 1;
+      if (i < 0) i += size;
+      return buf[i];
+    },
+    copy(distance, length) {
+      if (distance >= filled) {
+        throw new XzError('Match distance points before the start of the dictionary');
+      }
+      for (let n = 0; n < length; n++) {
+        let i = pos - distance - 1;
+        if (i < 0) i += size;
+        this.put(buf[i]);
+      }
+    },
+    flush: emit,
+  };
+}
+
+const NUM_STATES = 12;
+const POS_STATES_MAX = 16;
+const MATCH_LEN_MIN = 2;
+const END_POS_MODEL_INDEX = 14;
+const FULL_DISTANCES = 128;
+const ALIGN_BITS = 4;
+
+/**
+ * Probabilities of one length coder (match or rep lengths)
+ */
+function createLengthProbs() {
+  return {
+    choice: new Uint16Array(2),
+    low: new Uint16Array(POS_STATES_MAX << 3),
+    mid: new Uint16Array(POS_STATES_MAX << 3),
+    high: new Uint16Array(256),
+  };
+}
+
+/**
+ * LZMA decoder state shared across the chunks of an LZMA2 stream
+ */
+function createLzma(window) {
+  const lzma = {
+    lc: 0,
+    lp: 0,
+    pb: 0,
+    state: 0,
+    reps: [0, 0, 0, 0],
+    pendingLength: 0,
+    isMatch: new Uint16Array(NUM_STATES << 4),
+    isRep: new Uint16Array(NUM_STATES),
+    isRepG0: new Uint16Array(NUM_STATES),
+    isRepG1: new Uint16Array(NUM_STATES),
+    isRepG2: new Uint16Array(NUM_STATES),
+    isRep0Long: new Uint16Array(NUM_STATES << 4),
+    posSlot: new Uint16Array(4 << 6),
+    posSpecial: new Uint16Array(FULL_DISTANCES),
+    align: new Uint16Array(1 << ALIGN_BITS),
+    matchLength: createLengthProbs(),
+    repLength: createLengthProbs(),
+    literal: new Uint16Array(0),
+    position: 0,
+  };
+
+  lzma.setProperties = (props) => {
+    if (props > 224) {
+      throw new XzError(`Invalid LZMA properties byte ${props}`);
+    }
+    lzma.lc = props % 9;
+    lzma.lp = Math.floor(props / 9) % 5;
+    lzma.pb = Math.floor(props / 45);
+    if (lzma.lc + lzma.lp > 4) {
+      throw new XzError('Invalid LZMA2 properties: lc + lp must not exceed 4');
+    }
+  };
+
+  lzma.resetState = () => {
+    lzma.state = 0;
+    lzma.reps = [0, 0, 0, 0];
+    lzma.pendingLength = 0;
+    if (lzma.literal.length !== 0x300 << (lzma.lc + lzma.lp)) {
+      lzma.literal = new Uint16Array(0x300 << (lzma.lc + lzma.lp));
+    }
+    for (const probs of [
+      lzma.isMatch, lzma.isRep, lzma.isRepG0, lzma.isRepG1, lzma.isRepG2, lzma.isRep0Long,
+      lzma.posSlot, lzma.posSpecial, lzma.align, lzma.literal,
+      ...Object.values(lzma.matchLength), ...Object.values(lzma.repLength),
+    ]) {
+      probs.fill(1024);
+    }
+  };
+
+  /**
+   * Decode one LZMA chunk of `unpackedSize` bytes from `data` (the chunk's packed bytes)
+   */
+  lzma.decodeChunk = (data, unpackedSize) => {
+    if (data.length < 5 || data[0] !== 0) {
+      throw new XzError('Invalid LZMA chunk');
+    }
+    let inPos = 1;
+    let range = 0xffffffff;
+    let code = 0;
+    for (let i = 0; i < 4; i++) {
+      code = code * 256 + data[inPos++];
+    }
+    if (code === range) {
+      throw new XzError('Invalid LZMA chunk');
+    }
+
+    const normalize = () => {
+      if (range < 0x1000000) {
+        if (inPos >= data.length) {
+          throw new XzError('LZMA chunk is truncated');
+        }
+        range = range * 256;
+        code = code * 256 + data[inPos++];
+      }
+    };
+    const bit = (probs, i) => {
+      const prob = probs[i];
+      const bound = (range >>> 11) * prob;
+      let result;
+      if (code < bound) {
+        range = bound;
+        probs[i] = prob + ((2048 - prob) >>> 5);
+        result = 0;
+      } else {
+        range -= bound;
+        code -= bound;
+        probs[i] = prob - (prob >>> 5);
+        result = 1;
+      }
+      normalize();
+      return result;
+    };
+    const tree = (probs, offset, bits) => {
+      let symbol = 1;
+      for (let i = 0; i < bits; i++) {
+        symbol = (symbol << 1) | bit(probs, offset + symbol);
+      }
+      return symbol - (1 << bits);
+    };
+    const reverseTree = (probs, offset, bits) => {
+      let symbol = 1;
+      let result = 0;
+      for (let i = 0; i < bits; i++) {
+        const b = bit(probs, offset + symbol);
+        symbol = (symbol << 1) | b;
+        result |= b << i;
+      }
+      return result;
+    };
+    const direct = (bits) => {
+      let result = 0;
+      for (let i = 0; i < bits; i++) {
+        range = Math.floor(range / 2);
+        let b = 0;
+        if (code >= range) {
+          code -= range;
+          b = 1;
+        }
+        result = result * 2 + b;
+        normalize();
+      }
+      return result;
+    };
+    const length = (probs, posState) => {
+      if (bit(probs.choice, 0) === 0) {
+        return MATCH_LEN_MIN + tree(probs.low, posState << 3, 3);
+      }
+      if (bit(probs.choice, 1) === 0) {
+        return MATCH_LEN_MIN + 8 + tree(probs.mid, posState << 3, 3);
+      }
+      return MATCH_LEN_MIN + 16 + tree(probs.high, 0, 8);
+    };
+    const distance = (len) => {
+      const lenState = Math.min(len - MATCH_LEN_MIN, 3);
+      const slot = tree(lzma.posSlot, lenState << 6, 6);
+      if (slot < 4) {
+        return slot;
+      }
+      const directBits = (slot >>> 1) - 1;
+      let dist = (2 | (slot & 1)) * 2 ** directBits;
+      if (slot < END_POS_MODEL_INDEX) {
+        dist += reverseTree(lzma.posSpecial, dist - slot - 1, directBits);
+      } else {
+        dist += direct(directBits - ALIGN_BITS) * 2 ** ALIGN_BITS;
+        dist += reverseTree(lzma.align, 0, ALIGN_BITS);
+      }
+      return dist;
+    };
+
+    const posMask = (1 << lzma.pb) - 1;
+    const literalPosMask = (1 << lzma.lp) - 1;
+    let remaining = unpackedSize;
+
+    // A match cut off by the end of the previous chunk continues here
+    if (lzma.pendingLength > 0) {
+      const n = Math.min(lzma.pendingLength, remaining);
+      window.copy(lzma.reps[0], n);
+      lzma.pendingLength -= n;
+      lzma.position += n;
+      remaining -= n;
+    }
+
+    while (remaining > 0) {
+      const posState = lzma.position & posMask;
+      let { state } = lzma;
+      const reps = lzma.reps;
+
+      if (bit(lzma.isMatch, (state << 4) + posState) === 0) {
+        const prev = window.filled > 0 ? window.get(0) : 0;
+        const base = 0x300 * (((lzma.position & literalPosMask) << lzma.lc) + (prev >>> (8 - lzma.lc)));
+        let symbol = 1;
+        if (state >= 7) {
+          // After a match, the byte at rep0 predicts this one until the first mismatching bit
+          let matchByte = window.get(reps[0]);
+          while (symbol < 0x100) {
+            const matchBit = (matchByte >>> 7) & 1;
+            matchByte = (matchByte << 1) & 0xff;
+            const b = bit(lzma.literal, base + ((1 + matchBit) << 8) + symbol);
+            symbol = (symbol << 1) | b;
+            if (matchBit !== b) break;
+          }
+        }
+        while (symbol < 0x100) {
+          symbol = (symbol << 1) | bit(lzma.literal, base + symbol);
+        }
+        window.put(symbol & 0xff);
+        lzma.state = state < 4 ? 0 : state < 10 ? state - 3 : state - 6;
+        lzma.position++;
+        remaining--;
+        continue;
+      }
+
+      let len;
+      if (bit(lzma.isRep, state) === 0) {
+        len = length(lzma.matchLength, posState);
+        state = state < 7 ? 7 : 10;
+        const dist = distance(len);
+        if (dist === 0xffffffff) {
+          throw new XzError('Unexpected end marker in LZMA2 chunk');
+        }
+        reps[3] = reps[2];
+        reps[2] = reps[1];
+        reps[1] = reps[0];
+        reps[0] = dist;
+      } else {
+        if (window.filled === 0) {
+          throw new XzError('Repeated match in an empty dictionary');
+        }
+        if (bit(lzma.isRepG0, state) === 0) {
+          if (bit(lzma.isRep0Long, (state << 4) + posState) === 0) {
+            // Short rep: a single byte from rep0
+            lzma.state = state < 7 ? 9 : 11;
+            window.put(window.get(reps[0]));
+            lzma.position++;
+            remaining--;
+            continue;
+          }
+        } else {
+          let dist;
+          if (bit(lzma.isRepG1, state) === 0) {
+            dist = reps[1];
+          } else {
+            if (bit(lzma.isRepG2, state) === 0) {
+              dist = reps[2];
+            } else {
+              dist = reps[3];
+              reps[3] = reps[2];
+            }
+            reps[2] = reps[1];
+          }
+          reps[1] = reps[0];
+          reps[0] = dist;
+        }
+        len = length(lzma.repLength, posState);
+        state = state < 7 ? 8 : 11;
+      }
+
+      lzma.state = state;
+      const n = Math.min(len, remaining);
+      window.copy(reps[0], n);
+      lzma.pendingLength = len - n;
+      lzma.position += n;
+      remaining -= n;
+    }
+  };
+
+  return lzma;
+}
+
+/**
+ * Decode the LZMA2 data of one block into the window
+ */
+function decodeLzma2(input, window, lzma) {
+  let needDictionaryReset = true;
+  let needProperties = true;
+  for (;;) {
+    const control = input.byte();
+    if (control === 0x00) {
+      return;
+    }
+
+    if (control === 0x01 || control === 0x02) {
+      // Uncompressed chunk; 0x01 also resets the dictionary
+      if (control === 0x01) {
+        window.reset();
+        lzma.position = 0;
+        needDictionaryReset = false;
+      } else if (needDictionaryReset) {
+        throw new XzError('LZMA2 stream does not start with a dictionary reset');
+      }
+      const size = ((input.byte() << 8) | input.byte()) + 1;
+      const data = input.bytes(size);
+      for (let i = 0; i < data.length; i++) {
+        window.put(data[i]);
+      }
+      lzma.position += size;
+      continue;
+    }
+
+    if (control < 0x80) {
+      throw new XzError(`Invalid LZMA2 control byte 0x${control.toString(16)}`);
+    }
+
+    const reset = (control >>> 5) & 0x03;
+    const unpackedSize = (control & 0x1f) * 0x10000 + ((input.byte() << 8) | input.byte()) + 1;
+    const packedSize = ((input.byte() << 8) | input.byte()) + 1;
+    if (reset === 3) {
+      window.reset();
+      lzma.position = 0;
+      needDictionaryReset = false;
+    } else if (needDictionaryReset) {
+      throw new XzError('LZMA2 stream does not start with a dictionary reset');
+    }
+    if (reset >= 2) {
+      lzma.setProperties(input.byte());
+      needProperties = false;
+    } else if (needProperties) {
+      throw new XzError('LZMA2 chunk is missing its properties');
+    }
+    if (reset >= 1) {
+      lzma.resetState();
+    }
+    lzma.decodeChunk(input.bytes(packedSize), unpackedSize);
+  }
+}
+
+/**
+ * Dictionary size encoded in the LZMA2 filter properties byte
+ */
+function dictionarySize(props) {
+  if (props > 40) {
+    throw new XzError(`Invalid LZMA2 dictionary size ${props}`);
+  }
+  return props === 40 ? 0xffffffff : (2 | (props & 1)) * 2 ** (Math.floor(props / 2) + 11);
+}
+
+/**
+ * Decode one block; `onData` receives its uncompressed bytes
+ */
+function decodeBlock(input, checkType, onData) {
+  const start = input.pos;
+  const headerSize = (input.byte() + 1) * 4;
+  const header = input.bytes(headerSize - 1);
+  if (crc32(input.buffer.subarray(start, start + headerSize - 4)) !== header.readUInt32LE(headerSize - 5)) {
+    throw new XzError('Block header is corrupt (CRC32 mismatch)');
+  }
+
+  const fields = createInput(header.subarray(0, headerSize - 5));
+  const flags = fields.byte();
+  const filterCount = (flags & 0x03) + 1;
+  if (flags & 0x3c) {
+    throw new XzError('Unsupported block header flags');
+  }
+  const compressedSize = flags & 0x40 ? fields.vli() : null;
+  const uncompressedSize = flags & 0x80 ? fields.vli() : null;
+  let dictProps = null;
+  for (let i = 0; i < filterCount; i++) {
+    const id = fields.vli();
+    const props = fields.bytes(fields.vli());
+    if (id !== FILTER_LZMA2 || i !== filterCount - 1) {
+      throw new XzError(`Unsupported xz filter 0x${id.toString(16)} (only LZMA2 is supported)`);
+    }
+    dictProps = props[0];
+  }
+
+  // Never allocate more window than the block can use
+  let size = dictionarySize(dictProps);
+  if (uncompressedSize !== null) {
+    size = Math.min(size, Math.max(uncompressedSize, 1));
+  }
+  size = Math.max(Math.min(size, 0x7fffffff), 4096);
+
+  const check = createCheck(checkType);
+  let produced = 0;
+  const window = createWindow(size, (chunk) => {
+    produced += chunk.length;
+    if (check) check.update(chunk);
+    onData(chunk);
+  });
+  const dataStart = input.pos;
+  decodeLzma2(input, window, createLzma(window));
+  window.flush();
+
+  if (compressedSize !== null && input.pos - dataStart !== compressedSize) {
+    throw new XzError('Block compressed size does not match its header');
+  }
+  if (uncompressedSize !== null && produced !== uncompressedSize) {
+    throw new XzError('Block uncompressed size does not match its header');
+  }
+
+  // Block padding to a multiple of four bytes, then the check
+  while ((input.pos - start) % 4 !== 0) {
+    if (input.byte() !== 0) {
+      throw new XzError('Invalid block padding');
+    }
+  }
+  const stored = input.bytes(checkSize(checkType));
+  if (check && !check.digest().equals(stored)) {
+    throw new XzError('Block data is corrupt (integrity check mismatch)');
+  }
+}
+
+/**
+ * Skip the index and verify the stream footer
+ */
+function readIndexAndFooter(input, streamFlags, blockCount) {
+  const start = input.pos;
+  input.byte(); // index indicator
+  const records = input.vli();
+  if (records !== blockCount) {
+    throw new XzError(`Index lists ${records} block(s), but the stream has ${blockCount}`);
+  }
+  for (let i = 0; i < records; i++) {
+    input.vli();
+    input.vli();
+  }
+  while ((input.pos - start) % 4 !== 0) {
+    input.byte();
+  }
+  const indexCrc = input.bytes(4).readUInt32LE(0);
+  if (crc32(input.buffer.subarray(start, input.pos - 4)) !== indexCrc) {
+    throw new XzError('Index is corrupt (CRC32 mismatch)');
+  }
+
+  const footer = input.bytes(12);
+  if (!footer.subarray(10).equals(FOOTER_MAGIC) || !footer.subarray(8, 10).equals(streamFlags)) {
+    throw new XzError('Invalid stream footer');
+  }
+}
+
+/**
+ * Decode a complete .xz file held in `buffer`
+ * Each piece of uncompressed output is passed to `onData` as it is produced.
+ * Concatenated streams and stream padding are supported; throws an XzError on
+ * corrupt or unsupported input.
+ */
+export function decodeXz(buffer, onData) {
+  const input = createInput(buffer);
+  let streams = 0;
+
+  while (input.pos < buffer.length) {
+    // Stream padding: null bytes in multiples of four between streams
+    if (streams > 0 && buffer[input.pos] === 0) {
+      const padding = input.bytes(4);
+      if (padding.readUInt32LE(0) !== 0) {
+        throw new XzError('Invalid stream padding');
+      }
+      continue;
+    }
+
+    if (!input.bytes(6).equals(HEADER_MAGIC)) {
+      throw new XzError('Not an xz file');
+    }
+    const streamFlags = input.bytes(2);
+    if (crc32(streamFlags) !== input.bytes(4).readUInt32LE(0)) {
+      throw new XzError('Stream header is corrupt (CRC32 mismatch)');
+    }
+    if (streamFlags[0] !== 0 || streamFlags[1] > 0x0f) {
+      throw new XzError('Unsupported stream flags');
+    }
+    const checkType = streamFlags[1];
+
+    let blocks = 0;
+    while (buffer[input.pos] !== 0x00) {
+      decodeBlock(input, checkType, onData);
+      blocks++;
+    }
+    readIndexAndFooter(input, streamFlags, blocks);
+    streams++;
+  }
+
+  if (streams === 0) {
+    throw new XzError('Not an xz file');
+  }
+}
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeAliases } from '../scripts/lib/aliases.js';
+import { validateManifest } from '../scripts/lib/schema.js';
+import { fixture } from './helpers/upstream.js';
+import { createRegistry, readRegistryFile, removeRegistry, runCli } from './helpers/registry.js';
+
+const VERSIONS = [
+  { version: '1.23.0-dev.5+abc1234', channel: 'nightly' },
+  { version: '1.23.0-rc.1', channel: 'prerelease' },
+  { version: '1.22.3' },
+  { version: '1.22.2', lts: 'Argon' },
+  { version: '1.21.9', lts: 'Argon' },
+  { version: '1.20.1', lts: 'Boron' },
+  { version: '0.9.0' },
+];
+
+describe('computeAliases', () => {
+  it('points each alias at the newest matching version', () => {
+    assert.deepEqual(computeAliases(VERSIONS), {
+      'latest': '1.23.0-rc.1',
+      'stable': '1.22.3',
+      'lts': '1.22.2',
+      'lts/latest': '1.22.2',
+      'lts/argon': '1.22.2',
+      'lts/boron': '1.20.1',
+      '1.22': '1.22.3',
+      '1.21': '1.21.9',
+      '1.20': '1.20.1',
+      '0.9': '0.9.0',
+    });
+  });
+
+  it('applies the package stable rule', () => {
+    assert.equal(computeAliases(VERSIONS, { lts: true, range: null }).stable, '1.22.2');
+    assert.equal(computeAliases(VERSIONS, { lts: false, range: '<1.22.0' }).stable, '1.21.9');
+    assert.equal(computeAliases(VERSIONS, { lts: false, range: '>=2.0.0' }).stable, undefined);
+  });
+
+  it('has no aliases without versions', () => {
+    assert.deepEqual(computeAliases([]), {});
+  });
+});
+
+describe('alias validation', () => {
+  const entry = (version) => ({
+    version,
+    bins: [{ name: 'tool', path: 'tool' }],
+    platforms: { 'linux-amd64': { type: 'tar.gz', url: `https://example.com/${version}.tar.gz`, checksum: `sha256:${'0'.repeat(64)}` } },
+  });
+  const manifest = (aliases) => ({
+    schema: 1,
+    name: 'tool',
+    description: '',
+    homepage: 'https://example.com',
+    license: 'MIT',
+    aliases,
+    versions: [entry('1.1.0'), entry('1.0.0')],
+  });
+
+  it('reports stale, missing and hand-written aliases', () => {
+    const messages = validateManifest(manifest({ 'latest': '1.0.0', '1.1': '1.1.0', '1.0': '1.0.0', 'mine': '1.0.0' }))
+      .map((e) => `${e.path}: ${e.message}`);
+    assert.deepEqual(messages, [
+      'aliases.latest: points to 1.0.0, expected 1.1.0 (regenerate with "nori-registry index")',
+      'aliases.stable: is missing, expected 1.1.0 (regenerate with "nori-registry index")',
+      'aliases.mine: is not a generated alias (regenerate with "nori-registry index")',
+    ]);
+  });
+
+  it('checks the stable alias against the stable rule', () => {
+    const aliases = { 'latest': '1.1.0', 'stable': '1.1.0', '1.1': '1.1.0', '1.0': '1.0.0' };
+    assert.deepEqual(validateManifest(manifest(aliases)), []);
+    assert.equal(validateManifest(manifest(aliases), { stableRule: { lts: false, range: '<1.1.0' } }).length, 1);
+  });
+
+  it('is regenerated by the index command', async () => {
+    const stale = fixture('expected/node.yaml').replace('  stable: 22.1.0\n', '');
+    const root = createRegistry({ packages: { node: stale }, sources: { node: { source: 'node', stable: { lts: true } } } });
+
+    try {
+      const before = await runCli(['validate', 'node'], { root });
+      assert.equal(before.code, 1);
+      assert.match(before.stdout + before.stderr, /aliases\.stable: is missing, expected 20\.12\.2/);
+
+      const result = await runCli(['index'], { root });
+      assert.equal(result.code, 0, result.stderr);
+      assert.match(readRegistryFile(root, 'packages/node.yaml'), /^  stable: 20\.12\.2$/m);
+      assert.equal((await runCli(['validate'], { root })).code, 0);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+});
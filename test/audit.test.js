@@ -0,0 +1,151 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { sinceFilter, expectedHosts, listAuditTargets } from '../scripts/lib/audit.js';
+import { buildManifest, dumpYAML } from '../scripts/lib/manifest.js';
+import { computeAliases } from '../scripts/lib/aliases.js';
+import { startUpstream } from './helpers/upstream.js';
+import { createRegistry, readRegistryFile, removeRegistry, runCli } from './helpers/registry.js';
+
+const sha256 = (body) => `sha256:${crypto.createHash('sha256').update(body).digest('hex')}`;
+const sha512 = (body) => `sha512:${crypto.createHash('sha512').update(body).digest('hex')}`;
+const BODIES = {
+  '2.0.0-linux-amd64': 'tool 2.0.0 for linux',
+  '2.0.0-macos-arm64': 'tool 2.0.0 for macos',
+  '1.0.0-linux-amd64': 'tool 1.0.0 for linux',
+  '1.0.0-macos-arm64': 'tool 1.0.0 for macos',
+};
+
+/**
+ * Manifest of a package with two versions on two platforms; `checksums` overrides
+ * the (correct) checksum of an artifact
+ */
+function manifest(checksums = {}) {
+  const versions = ['2.0.0', '1.0.0'].map((version) => ({
+    version: version,
+    ...(version === '2.0.0' ? { date: '2024-05-01' } : {}),
+    bins: [{ name: 'tool', path: 'tool' }],
+    platforms: Object.fromEntries(['linux-amd64', 'macos-arm64'].map((platform) => [platform, {
+      type: 'tar.gz',
+      url: `https://github.com/example/tool/releases/download/v${version}/tool-${platform}.tar.gz`,
+      checksum: checksums[`${version}-${platform}`] || sha256(BODIES[`${version}-${platform}`]),
+    }])),
+  }));
+  return dumpYAML(buildManifest('tool', {}, { description: 'Tool', homepage: 'https://example.com', license: 'MIT' }, versions, computeAliases(versions)));
+}
+
+describe('audit helpers', () => {
+  it('filters versions by version or release date', () => {
+    const versions = [{ version: '2.0.0', date: '2024-05-01' }, { version: '1.5.0' }, { version: '1.0.0', date: '2023-01-10' }];
+    assert.deepEqual(versions.filter(sinceFilter('1.5.0')).map((v) => v.version), ['2.0.0', '1.5.0']);
+    assert.deepEqual(versions.filter(sinceFilter('2024-01-01')).map((v) => v.version), ['2.0.0']);
+    assert.equal(sinceFilter('last week'), null);
+    assert.equal(sinceFilter('2024-13-45'), null);
+  });
+
+  it('expects GitHub downloads on GitHub\'s CDN', () => {
+    const hosts = expectedHosts('https://github.com/o/r/releases/download/v1/a.tar.gz', ['mirror.example.com']);
+    assert.ok(hosts.has('github.com'));
+    assert.ok(hosts.has('objects.githubusercontent.com'));
+    assert.ok(hosts.has('mirror.example.com'));
+    assert.ok(!expectedHosts('https://nodejs.org/dist/v20.0.0/node.tar.gz').has('objects.githubusercontent.com'));
+  });
+
+  it('lists one target per platform of every version', () => {
+    const targets = listAuditTargets({ versions: [{ version: '1.0.0', platforms: { 'linux-amd64': { url: 'https://e.com/a', checksum: 'sha256:00' } } }] });
+    assert.deepEqual(targets, [{ version: '1.0.0', platform: 'linux-amd64', url: 'https://e.com/a', checksum: 'sha256:00' }]);
+  });
+});
+
+describe('audit command', () => {
+  let upstream;
+
+  before(async () => {
+    const routes = {};
+    for (const [key, body] of Object.entries(BODIES)) {
+      const [version, platform] = key.split(/-(.*)/s);
+      const cdnUrl = `https://objects.githubusercontent.com/tool/${key}`;
+      routes[`https://github.com/example/tool/releases/download/v${version}/tool-${platform}.tar.gz`] = { status: 302, headers: { Location: cdnUrl } };
+      routes[cdnUrl] = body;
+    }
+    // 1.0.0 for macOS was moved to a host the audit does not expect
+    routes['https://github.com/example/tool/releases/download/v1.0.0/tool-macos-arm64.tar.gz'] = {
+      status: 302,
+      headers: { Location: 'https://downloads.example.net/tool-macos-arm64.tar.gz' },
+    };
+    routes['https://downloads.example.net/tool-macos-arm64.tar.gz'] = BODIES['1.0.0-macos-arm64'];
+    upstream = await startUpstream(routes);
+  });
+
+  after(() => upstream.close());
+
+  it('verifies artifacts and skips them on the next run', async () => {
+    const root = createRegistry({ packages: { tool: manifest() } });
+    try {
+      let result = await runCli(['audit', 'tool', '--since', '2.0.0'], { root, upstream });
+      assert.equal(result.code, 0, result.stdout + result.stderr);
+      assert.match(result.stdout, /tool: 2 artifact\(s\), 0 verified before, auditing 2/);
+      assert.match(result.stdout, /Audited 2 artifact\(s\): 2 ok, 0 with problems/);
+
+      const state = JSON.parse(readRegistryFile(root, '.audit-state.json'));
+      const url = 'https://github.com/example/tool/releases/download/v2.0.0/tool-linux-amd64.tar.gz';
+      assert.equal(state.artifacts[url].status, 'ok');
+      assert.equal(state.artifacts[url].actual, sha256(BODIES['2.0.0-linux-amd64']));
+
+      upstream.requests.length = 0;
+      result = await runCli(['audit', 'tool', '--since', '2024-01-01'], { root, upstream });
+      assert.equal(result.code, 0, result.stdout + result.stderr);
+      assert.match(result.stdout, /tool: 2 artifact\(s\), 2 verified before, auditing 0/);
+      assert.deepEqual(upstream.requests, []);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('reports mismatches, missing files and unexpected redirects', async () => {
+    const root = createRegistry({
+      packages: {
+        tool: manifest({ '2.0.0-linux-amd64': `sha256:${'0'.repeat(64)}` }).replace('/v2.0.0/tool-macos-arm64', '/v2.0.0/tool-macos-arm64-gone'),
+      },
+    });
+    try {
+      const result = await runCli(['audit', 'tool', '--state', 'audit.json', '--concurrency', '1'], { root, upstream });
+      assert.equal(result.code, 1);
+      assert.match(result.stdout, /✗ 2\.0\.0 linux-amd64: checksum mismatch: expected sha256:0{64}, got sha256:[0-9a-f]{64}/);
+      assert.match(result.stdout, /✗ 2\.0\.0 macos-arm64: missing \(HTTP 404\)/);
+      assert.match(result.stdout, /✗ 1\.0\.0 macos-arm64: redirected to unexpected host downloads\.example\.net/);
+      assert.match(result.stdout, /Audited 4 artifact\(s\): 1 ok, 3 with problems/);
+
+      // Problems are audited again on the next run; verified artifacts are not
+      const rerun = await runCli(['audit', 'tool', '--state', 'audit.json', '--sample', '1'], { root, upstream });
+      assert.match(rerun.stdout, /tool: 4 artifact\(s\), 1 verified before, auditing 1/);
+      assert.ok(fs.existsSync(path.join(root, 'audit.json')));
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('hashes with the algorithm of the manifest checksum', async () => {
+    const root = createRegistry({ packages: { tool: manifest({ '2.0.0-linux-amd64': sha512(BODIES['2.0.0-linux-amd64']) }) } });
+    try {
+      const result = await runCli(['audit', 'tool', '--since', '2.0.0'], { root, upstream });
+      assert.equal(result.code, 0, result.stdout + result.stderr);
+      assert.match(result.stdout, /Audited 2 artifact\(s\): 2 ok, 0 with problems/);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('rejects an invalid --since', async () => {
+    const root = createRegistry({ packages: { tool: manifest() } });
+    try {
+      const result = await runCli(['audit', 'tool', '--since', 'yesterday'], { root });
+      assert.equal(result.code, 2);
+      assert.match(result.stderr, /--since expects a version or a YYYY-MM-DD date/);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+});
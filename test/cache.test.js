@@ -0,0 +1,159 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureCache, cachedDigests, cachedFetch, cacheStats } from '../scripts/lib/cache.js';
+import { configureHttp } from '../scripts/lib/http.js';
+import { startUpstream, fixture } from './helpers/upstream.js';
+import { createRegistry, readRegistryFile, removeRegistry, runCli } from './helpers/registry.js';
+
+const sha256 = (body) => crypto.createHash('sha256').update(body).digest('hex');
+
+describe('download cache', () => {
+  let upstream;
+  let cacheDir;
+
+  before(async () => {
+    upstream = await startUpstream({
+      'https://example.com/tool.tar.gz': 'tool archive',
+      'https://example.com/replaced.tar.gz': ['first upload', 'second upload'],
+      'https://example.com/checksums.txt': `${sha256('tool archive')}  tool.tar.gz\n`,
+      'https://example.com/no-etag.txt': { body: 'no validators', headers: { ETag: null } },
+    });
+    configureHttp({ upstream: upstream.url });
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nori-cache-test-'));
+    configureCache({ dir: cacheDir });
+  });
+
+  after(async () => {
+    configureHttp({ upstream: null });
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    await upstream.close();
+  });
+
+  /**
+   * Methods of the requests made to a URL since the last call
+   */
+  function methodsFor(url) {
+    const methods = upstream.requests.map((requested, i) => (requested === url ? upstream.requestMethods[i] : null)).filter(Boolean);
+    upstream.requests.length = 0;
+    upstream.requestMethods.length = 0;
+    upstream.requestHeaders.length = 0;
+    return methods;
+  }
+
+  it('reuses digests while the server has the same file', async () => {
+    const url = 'https://example.com/tool.tar.gz';
+    assert.deepEqual(await cachedDigests(url, ['sha256']), { sha256: sha256('tool archive') });
+    assert.deepEqual(methodsFor(url), ['GET']);
+
+    const { hits } = cacheStats();
+    assert.deepEqual(await cachedDigests(url, ['sha256']), { sha256: sha256('tool archive') });
+    assert.deepEqual(methodsFor(url), ['HEAD']);
+    assert.equal(cacheStats().hits, hits + 1);
+
+    // A digest the cache does not have yet means downloading again
+    const digests = await cachedDigests(url, ['sha256', 'sha512']);
+    assert.equal(digests.sha512, crypto.createHash('sha512').update('tool archive').digest('hex'));
+    assert.deepEqual(methodsFor(url), ['GET']);
+  });
+
+  it('downloads a file again when the server has a new one', async () => {
+    const url = 'https://example.com/replaced.tar.gz';
+    assert.equal((await cachedDigests(url, ['sha256'])).sha256, sha256('first upload'));
+    assert.equal((await cachedDigests(url, ['sha256'])).sha256, sha256('second upload'));
+    assert.deepEqual(methodsFor(url), ['GET', 'HEAD', 'GET']);
+  });
+
+  it('revalidates cached files instead of downloading them', async () => {
+    const url = 'https://example.com/checksums.txt';
+    const first = await cachedFetch(url);
+    const second = await cachedFetch(url);
+    assert.deepEqual(second, first);
+    assert.match(upstream.requestHeaders[1]['if-none-match'], /^"[0-9a-f]+"$/);
+    assert.deepEqual(methodsFor(url), ['GET', 'GET']);
+  });
+
+  it('fetches a file again when its cached copy is damaged', async () => {
+    const url = 'https://example.com/checksums.txt';
+    const body = await cachedFetch(url);
+    const hash = sha256(body);
+    fs.writeFileSync(path.join(cacheDir, 'objects', hash.slice(0, 2), hash), 'damaged');
+    methodsFor(url);
+
+    assert.deepEqual(await cachedFetch(url), body);
+    assert.equal(upstream.requestHeaders[0]['if-none-match'], undefined);
+    assert.equal(fs.readFileSync(path.join(cacheDir, 'objects', hash.slice(0, 2), hash), 'utf8'), body.toString());
+    methodsFor(url);
+  });
+
+  it('does not cache responses it cannot revalidate', async () => {
+    const url = 'https://example.com/no-etag.txt';
+    await cachedFetch(url);
+    await cachedFetch(url);
+    assert.equal(upstream.requestHeaders[1]['if-none-match'], undefined);
+    assert.deepEqual(methodsFor(url), ['GET', 'GET']);
+  });
+});
+
+describe('update with the download cache', () => {
+  const SOURCE_CONFIG = {
+    source: 'github',
+    owner: 'example',
+    repo: 'tool',
+    bins: [{ name: 'tool', path: 'tool' }],
+    checksum: { allowDownload: true },
+  };
+  const ASSET_URL = 'https://github.com/example/tool/releases/download/v1.0.1/tool_1.0.1_linux_x86_64.tar.gz';
+  const CDN_URL = 'https://objects.githubusercontent.com/example/tool_1.0.1_linux_x86_64.tar.gz';
+  let upstream;
+
+  before(async () => {
+    upstream = await startUpstream({
+      'https://api.github.com/repos/example/tool': fixture('upstream/github/repo.json'),
+      'https://api.github.com/repos/example/tool/releases?page=1&per_page=100': fixture('upstream/github/releases.json'),
+      'https://github.com/example/tool/releases/download/v1.1.0/checksums.txt': fixture('upstream/github/checksums-v1.1.0.txt'),
+      [ASSET_URL]: { status: 302, headers: { Location: CDN_URL } },
+      [CDN_URL]: fixture('upstream/github/tool_1.0.1_linux_x86_64.tar.gz'),
+    });
+  });
+
+  after(() => upstream.close());
+
+  it('reuses checksums computed by an earlier run', async () => {
+    const root = createRegistry({ packages: { tool: fixture('expected/tool.yaml') }, sources: { tool: SOURCE_CONFIG } });
+    try {
+      let result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.match(result.stdout, /Download cache: 0 of 1 download\(s\) reused from \.nori-cache/);
+      assert.ok(fs.existsSync(path.join(root, '.nori-cache', 'entries')));
+
+      // Run the same update again, as a rerun of a failed workflow would
+      fs.writeFileSync(path.join(root, 'packages', 'tool.yaml'), fixture('expected/tool.yaml'));
+      upstream.requests.length = 0;
+      upstream.requestMethods.length = 0;
+      result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.match(result.stdout, /Download cache: 1 of 1 download\(s\) reused/);
+      assert.equal(readRegistryFile(root, 'packages/tool.yaml'), fixture('expected/tool-downloaded.yaml'));
+      const cdnMethods = upstream.requests.map((url, i) => (url === CDN_URL ? upstream.requestMethods[i] : null)).filter(Boolean);
+      assert.deepEqual(cdnMethods, ['HEAD']);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('leaves no cache behind with --no-cache', async () => {
+    const root = createRegistry({ packages: { tool: fixture('expected/tool.yaml') }, sources: { tool: SOURCE_CONFIG } });
+    try {
+      const result = await runCli(['update', 'tool', '--no-cache'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.doesNotMatch(result.stdout, /Download cache/);
+      assert.ok(!fs.existsSync(path.join(root, '.nori-cache')));
+    } finally {
+      removeRegistry(root);
+    }
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHash, parseChecksumLines } from '../scripts/lib/checksum.js';
+import { getChecksumFromFiles } from '../scripts/lib/checksum-sources.js';
+
+const SHA256 = 'a'.repeat(64);
+const SHA512 = 'b'.repeat(128);
+const ASSET = 'tool_1.2.0_linux_x86_64.tar.gz';
+
+/**
+ * Look ASSET up in a release holding the given files ({ name: content })
+ */
+async function lookup(files, options = {}) {
+  const assets = [ASSET, ...Object.keys(files)].map((name) => ({ name, browser_download_url: `https://example.com/${name}` }));
+  const fetchFile = async (url) => files[url.slice('https://example.com/'.length)];
+  return getChecksumFromFiles(assets[0], assets, fetchFile, options);
+}
+
+describe('parseHash', () => {
+  it('reads bare and prefixed SHA-256 and SHA-512 digests', () => {
+    assert.deepEqual(parseHash(SHA256.toUpperCase()), { algorithm: 'sha256', hash: SHA256 });
+    assert.deepEqual(parseHash(`sha512:${SHA512}`), { algorithm: 'sha512', hash: SHA512 });
+    assert.deepEqual(parseHash(`SHA256=${SHA256}`), { algorithm: 'sha256', hash: SHA256 });
+  });
+
+  it('rejects other lengths and mislabelled digests', () => {
+    assert.equal(parseHash('a'.repeat(40)), null);
+    assert.equal(parseHash(`sha512:${SHA256}`), null);
+    assert.equal(parseHash('not a digest'), null);
+  });
+});
+
+describe('parseChecksumLines', () => {
+  it('reads GNU and BSD lines', () => {
+    const checksums = parseChecksumLines([
+      `${SHA256}  ./tool.tar.gz`,
+      `${SHA512} *tool.zip`,
+      `SHA256 (tool.tar.xz) = ${SHA256}`,
+      `SHA512 (tool.tar.xz) = ${SHA256}`,
+      '# comment',
+    ].join('\n'));
+    assert.deepEqual([...checksums.keys()], ['tool.tar.gz', 'tool.zip', 'tool.tar.xz']);
+    assert.equal(checksums.get('tool.zip').algorithm, 'sha512');
+    assert.equal(checksums.get('tool.tar.xz').algorithm, 'sha256');
+  });
+});
+
+describe('getChecksumFromFiles', () => {
+  it('finds the asset in goreleaser checksum lists', async () => {
+    const found = await lookup({ 'tool_1.2.0_checksums.txt': `${SHA256}  ${ASSET}\n` });
+    assert.deepEqual(found.checksum, { algorithm: 'sha256', hash: SHA256 });
+    assert.equal(found.source, 'goreleaser');
+  });
+
+  it('reads SHA-512 sidecar files with or without a file name', async () => {
+    assert.equal((await lookup({ [`${ASSET}.sha512`]: `${SHA512}\n` })).checksum.hash, SHA512);
+    const found = await lookup({ 'tool_1.2.0_linux_x86_64.sha512sum': `${SHA512}  ${ASSET}\n` });
+    assert.equal(found.source, 'sidecar');
+    assert.equal(found.checksum.algorithm, 'sha512');
+  });
+
+  it('only takes a sidecar digest for the asset it names', async () => {
+    const assets = ['tool.zip', 'tool.tar.gz', 'tool.sha256'].map((name) => ({ name, browser_download_url: `https://example.com/${name}` }));
+    const fetchFile = async () => `${SHA256}  tool.tar.gz\n`;
+    // tool.sha256 names tool.tar.gz, and cannot stand for either archive once both exist
+    assert.equal(await getChecksumFromFiles(assets[0], assets, fetchFile), null);
+    assert.equal(await getChecksumFromFiles(assets[1], assets, fetchFile), null);
+    assert.equal((await getChecksumFromFiles(assets[1], [assets[1], assets[2]], fetchFile)).checksum.hash, SHA256);
+    assert.equal(await getChecksumFromFiles(assets[0], [assets[0], assets[2]], fetchFile), null);
+  });
+
+  it('reads sha256sum.txt lists with paths', async () => {
+    const found = await lookup({ 'sha256sum.txt': `${'c'.repeat(64)}  dist/other.tar.gz\n${SHA256}  dist/${ASSET}\n` });
+    assert.equal(found.checksum.hash, SHA256);
+  });
+
+  it('reads JSON checksum manifests', async () => {
+    const map = await lookup({ 'checksums.json': JSON.stringify({ [ASSET]: `sha256:${SHA256}` }) });
+    assert.equal(map.checksum.hash, SHA256);
+    const list = await lookup({ 'checksums.json': JSON.stringify({ files: [{ name: ASSET, sha512: SHA512 }] }) });
+    assert.equal(list.checksum.hash, SHA512);
+    const artifacts = await lookup({ 'artifacts.json': JSON.stringify([{ name: ASSET, path: `dist/${ASSET}`, extra: { Checksum: `sha256:${SHA256}` } }]) });
+    assert.equal(artifacts.checksum.hash, SHA256);
+  });
+
+  it('reads checksum files named in the source config', async () => {
+    assert.equal(await lookup({ 'RELEASE-DIGESTS': `${SHA256}  ${ASSET}\n` }), null);
+    const found = await lookup({ 'RELEASE-DIGESTS': `${SHA256}  ${ASSET}\n` }, { extraFiles: ['RELEASE-DIGESTS'] });
+    assert.equal(found.source, 'list');
+  });
+
+  it('only uses files the caller accepts', async () => {
+    const files = { 'checksums.txt': `${SHA256}  ${ASSET}\n`, 'SHA256SUMS': `${'c'.repeat(64)}  ${ASSET}\n` };
+    const found = await lookup(files, { accept: async (file) => (file.name === 'SHA256SUMS' ? 'signed' : false) });
+    assert.equal(found.checksum.hash, 'c'.repeat(64));
+    assert.equal(found.accepted, 'signed');
+    assert.equal(await lookup(files, { accept: async () => false }), null);
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { diffManifests, formatDiff } from '../scripts/lib/diff.js';
+import { startUpstream, fixture } from './helpers/upstream.js';
+import { createRegistry, readRegistryFile, removeRegistry, runCli } from './helpers/registry.js';
+
+const artifact = (name, hash) => ({
+  type: 'tar.gz',
+  url: `https://example.com/${name}.tar.gz`,
+  checksum: `sha256:${hash.repeat(64)}`,
+});
+
+const BEFORE = {
+  name: 'tool',
+  description: '',
+  aliases: { latest: '1.0.0' },
+  versions: [
+    { version: '1.0.0', bins: [], platforms: { 'linux-amd64': artifact('linux', 'a'), 'macos-arm64': artifact('macos', 'b') } },
+    { version: '0.9.0', bins: [], platforms: { 'linux-amd64': artifact('old', 'c') } },
+  ],
+};
+
+describe('diffManifests', () => {
+  it('reports added versions, platforms and checksum changes', () => {
+    const after = {
+      name: 'tool',
+      description: 'A tool',
+      aliases: { latest: '1.1.0' },
+      versions: [
+        { version: '1.1.0', bins: [], platforms: { 'linux-amd64': artifact('new', 'd') } },
+        {
+          version: '1.0.0',
+          bins: [],
+          date: '2024-01-02',
+          platforms: { 'linux-amd64': artifact('linux', 'e'), 'windows-arm64': artifact('windows', 'f') },
+        },
+        BEFORE.versions[1],
+      ],
+    };
+
+    const diff = diffManifests('tool', BEFORE, after);
+    assert.equal(diff.changed, true);
+    assert.deepEqual(diff.added, [{ version: '1.1.0', platforms: ['linux-amd64'] }]);
+    assert.deepEqual(diff.removed, []);
+    assert.deepEqual(diff.updated, [{
+      version: '1.0.0',
+      platformsAdded: ['windows-arm64'],
+      platformsRemoved: ['macos-arm64'],
+      checksums: [{ platform: 'linux-amd64', from: `sha256:${'a'.repeat(64)}`, to: `sha256:${'e'.repeat(64)}` }],
+      urls: [],
+      fields: { date: { from: null, to: '2024-01-02' } },
+    }]);
+    assert.deepEqual(diff.aliases, { latest: { from: '1.0.0', to: '1.1.0' } });
+    assert.deepEqual(diff.metadata, { description: { from: null, to: 'A tool' } });
+
+    assert.deepEqual(formatDiff(diff), [
+      'tool: 1 version(s) added, 1 version(s) changed',
+      '  + 1.1.0 (linux-amd64)',
+      '  ~ 1.0.0',
+      '      + windows-arm64',
+      '      - macos-arm64',
+      `      checksum of linux-amd64: sha256:${'a'.repeat(64)} -> sha256:${'e'.repeat(64)}`,
+      '      date: (none) -> 2024-01-02',
+      '  alias latest: 1.0.0 -> 1.1.0',
+      '  description: (none) -> A tool',
+    ]);
+  });
+
+  it('reports nothing for the same manifest', () => {
+    const diff = diffManifests('tool', BEFORE, structuredClone(BEFORE));
+    assert.equal(diff.changed, false);
+    assert.deepEqual(formatDiff(diff), ['tool: no changes']);
+  });
+});
+
+describe('update --dry-run and --json', () => {
+  const SOURCE_CONFIG = {
+    source: 'github',
+    owner: 'example',
+    repo: 'tool',
+    bins: [{ name: 'tool', path: 'tool' }],
+  };
+  let upstream;
+
+  before(async () => {
+    upstream = await startUpstream({
+      'https://api.github.com/repos/example/tool': fixture('upstream/github/repo.json'),
+      'https://api.github.com/repos/example/tool/releases?page=1&per_page=100': fixture('upstream/github/releases.json'),
+      'https://github.com/example/tool/releases/download/v1.1.0/checksums.txt': fixture('upstream/github/checksums-v1.1.0.txt'),
+    });
+  });
+
+  after(() => upstream.close());
+
+  it('prints what would change and writes nothing', async () => {
+    const root = createRegistry({ packages: { tool: fixture('registry/tool.yaml') }, sources: { tool: SOURCE_CONFIG } });
+    try {
+      const result = await runCli(['update', 'tool', '--dry-run'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.match(result.stdout, /^tool: 2 version\(s\) added$/m);
+      assert.match(result.stdout, /^ {2}\+ 1\.2\.0 \(macos-arm64, macos-amd64, linux-arm64, /m);
+      assert.match(result.stdout, /^ {2}\+ 1\.1\.0 \(macos-arm64, linux-amd64\)$/m);
+      assert.match(result.stdout, /^ {2}alias latest: \(none\) -> 1\.2\.0$/m);
+      assert.equal(readRegistryFile(root, 'packages/tool.yaml'), fixture('registry/tool.yaml'));
+      assert.ok(!fs.existsSync(path.join(root, '.sync-state.json')));
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('prints a JSON report on stdout', async () => {
+    const root = createRegistry({ packages: { tool: fixture('registry/tool.yaml') }, sources: { tool: SOURCE_CONFIG } });
+    try {
+      let result = await runCli(['update', 'tool', '--json'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      let report = JSON.parse(result.stdout);
+      assert.equal(report.dryRun, false);
+      assert.deepEqual(report.failed, []);
+      assert.deepEqual(report.packages[0].added.map((entry) => entry.version), ['1.2.0', '1.1.0']);
+      assert.match(result.stderr, /Successfully added 2 new version\(s\)/);
+      assert.equal(readRegistryFile(root, 'packages/tool.yaml'), fixture('expected/tool.yaml'));
+
+      result = await runCli(['update', 'tool', '--json', '--dry-run'], { root, upstream });
+      report = JSON.parse(result.stdout);
+      assert.equal(report.dryRun, true);
+      assert.equal(report.packages[0].changed, false);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+});
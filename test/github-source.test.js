@@ -0,0 +1,340 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startUpstream, fixture } from './helpers/upstream.js';
+import { createRegistry, readRegistryFile, removeRegistry, runCli } from './helpers/registry.js';
+import { createCosignKey } from './helpers/signing.js';
+
+const SOURCE_CONFIG = {
+  source: 'github',
+  owner: 'example',
+  repo: 'tool',
+  bins: [{ name: 'tool', path: 'tool' }],
+};
+
+describe('github source', () => {
+  let upstream;
+
+  before(async () => {
+    upstream = await startUpstream({
+      'https://api.github.com/repos/example/tool': fixture('upstream/github/repo.json'),
+      'https://api.github.com/repos/example/tool/releases?page=1&per_page=100': fixture('upstream/github/releases.json'),
+      'https://github.com/example/tool/releases/download/v1.1.0/checksums.txt': fixture('upstream/github/checksums-v1.1.0.txt'),
+      'https://github.com/example/tool/releases/download/v1.0.1/tool_1.0.1_linux_x86_64.tar.gz': {
+        status: 302,
+        headers: { Location: 'https://objects.githubusercontent.com/example/tool_1.0.1_linux_x86_64.tar.gz' },
+      },
+      'https://objects.githubusercontent.com/example/tool_1.0.1_linux_x86_64.tar.gz': fixture('upstream/github/tool_1.0.1_linux_x86_64.tar.gz'),
+    });
+  });
+
+  after(() => upstream.close());
+
+  it('merges new releases into the existing manifest', async () => {
+    const root = createRegistry({
+      packages: { tool: fixture('registry/tool.yaml') },
+      sources: { tool: SOURCE_CONFIG },
+    });
+
+    try {
+      const result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.equal(readRegistryFile(root, 'packages/tool.yaml'), fixture('expected/tool.yaml'));
+      assert.ok(!upstream.requests.some((url) => url.includes('tool_1.0.1_linux_x86_64.tar.gz')),
+        'assets must not be downloaded unless checksum downloads are allowed');
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('downloads assets to compute checksums when allowed', async () => {
+    const root = createRegistry({
+      packages: { tool: fixture('expected/tool.yaml') },
+      sources: { tool: { ...SOURCE_CONFIG, checksum: { allowDownload: true } } },
+    });
+
+    try {
+      const result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.equal(readRegistryFile(root, 'packages/tool.yaml'), fixture('expected/tool-downloaded.yaml'));
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('takes metadata from the repository when the package is new', async () => {
+    const root = createRegistry({ sources: { tool: SOURCE_CONFIG } });
+
+    try {
+      const result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      const manifest = readRegistryFile(root, 'packages/tool.yaml');
+      assert.match(manifest, /^description: An example command-line tool$/m);
+      assert.match(manifest, /^homepage: https:\/\/github\.com\/example\/tool$/m);
+      assert.match(manifest, /^license: Apache-2\.0$/m);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('keeps bin names and aliases from the source config', async () => {
+    const root = createRegistry({
+      sources: { tool: { ...SOURCE_CONFIG, bins: [{ name: 'tool', path: 'bin/tool-cli', aliases: ['tl'] }, 'bin/tool-helper'] } },
+    });
+
+    try {
+      const result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.match(readRegistryFile(root, 'packages/tool.yaml'),
+        /^    bins:\n      - name: tool\n        path: bin\/tool-cli\n        aliases:\n          - tl\n      - name: tool-helper\n        path: bin\/tool-helper\n/m);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('rejects bins that expose the same command twice', async () => {
+    const root = createRegistry({
+      sources: { tool: { ...SOURCE_CONFIG, bins: [{ name: 'tool', path: 'tool', aliases: ['t'] }, { name: 't', path: 'bin/t' }] } },
+    });
+
+    try {
+      const result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 1);
+      assert.match(result.stderr, /bins\[1\]: command "t" is exposed more than once/);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('applies the archive layout from the source config', async () => {
+    const root = createRegistry({
+      sources: {
+        tool: {
+          ...SOURCE_CONFIG,
+          archive: { root: '{asset}' },
+          platforms: {
+            'linux-arm64': { stripComponents: 1 },
+            'windows-amd64': { root: 'tool-{version}', bins: [{ name: 'tool', path: 'bin/tool.exe' }] },
+          },
+        },
+      },
+    });
+
+    try {
+      const result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      const manifest = readRegistryFile(root, 'packages/tool.yaml');
+      assert.match(manifest, /tool_1\.2\.0_linux_x86_64\.tar\.gz\n.*\n        root: tool_1\.2\.0_linux_x86_64\n/);
+      assert.match(manifest, /tool_1\.2\.0_linux_arm64\.tar\.gz\n.*\n        strip_components: 1\n/);
+      assert.match(manifest, /tool_1\.2\.0_windows_x86_64\.zip\n.*\n        root: tool-1\.2\.0\n        bins:\n          - name: tool\n            path: bin\/tool\.exe\n/);
+      assert.equal((await runCli(['validate'], { root })).code, 0);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('rejects a platform with both a root and stripComponents', async () => {
+    const root = createRegistry({
+      sources: { tool: { ...SOURCE_CONFIG, platforms: { 'linux-amd64': { root: 'tool', stripComponents: 1 } } } },
+    });
+
+    try {
+      const result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 1);
+      assert.match(result.stderr, /platforms\.linux-amd64: set either root or stripComponents, not both/);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('imports prereleases only when the package opts in', async () => {
+    const root = createRegistry({
+      packages: { tool: fixture('expected/tool.yaml') },
+      sources: { tool: { ...SOURCE_CONFIG, channels: ['stable', 'prerelease'] } },
+    });
+
+    try {
+      const result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      const manifest = readRegistryFile(root, 'packages/tool.yaml');
+      assert.match(manifest, /^  - version: 1\.3\.0-beta\.1\n    tag: v1\.3\.0-beta1\n    channel: prerelease\n/m);
+      assert.ok(!manifest.includes('nightly'), 'nightlies are a separate opt-in');
+      assert.ok(!readRegistryFile(root, 'index.yaml').includes('1.3.0-beta.1'),
+        'the index lists the newest stable version, not the prerelease');
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('dates a release tagged "nightly" when the package opts into nightlies', async () => {
+    const root = createRegistry({
+      packages: { tool: fixture('expected/tool.yaml') },
+      sources: { tool: { ...SOURCE_CONFIG, channels: ['stable', 'nightly'] } },
+    });
+
+    try {
+      const result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      const manifest = readRegistryFile(root, 'packages/tool.yaml');
+      assert.match(manifest, /^  - version: 0\.0\.0-nightly\.20240502\n    tag: nightly\n    channel: nightly\n/m);
+      assert.ok(!manifest.includes('beta'), 'prereleases are a separate opt-in');
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('takes the channel from the version rather than the prerelease flag', async () => {
+    // v1.1.0-rc1 is not flagged as a prerelease; v1.0.1 is flagged but has a plain version
+    const asset = (tag, digest) => ({
+      name: `tool_${tag.slice(1)}_linux_x86_64.tar.gz`,
+      browser_download_url: `https://github.com/example/tool/releases/download/${tag}/tool_${tag.slice(1)}_linux_x86_64.tar.gz`,
+      size: 1000,
+      digest: `sha256:${digest.repeat(64)}`,
+    });
+    const releases = [
+      { tag_name: 'v1.1.0-rc1', prerelease: false, assets: [asset('v1.1.0-rc1', 'a')] },
+      { tag_name: 'v1.0.1', prerelease: true, assets: [asset('v1.0.1', 'b')] },
+    ];
+    const flagged = await startUpstream({
+      'https://api.github.com/repos/example/tool': fixture('upstream/github/repo.json'),
+      'https://api.github.com/repos/example/tool/releases?page=1&per_page=100': JSON.stringify(releases),
+    });
+    const root = createRegistry({
+      packages: { tool: fixture('registry/tool.yaml') },
+      sources: { tool: { ...SOURCE_CONFIG, channels: ['stable', 'prerelease'] } },
+    });
+
+    try {
+      const result = await runCli(['update', 'tool'], { root, upstream: flagged });
+      assert.equal(result.code, 0, result.stderr);
+      const manifest = readRegistryFile(root, 'packages/tool.yaml');
+      assert.match(manifest, /^  - version: 1\.1\.0-rc\.1\n    tag: v1\.1\.0-rc1\n    channel: prerelease\n/m);
+      assert.match(manifest, /^  - version: 1\.0\.1\n    bins:\n/m);
+      assert.match(readRegistryFile(root, 'index.yaml'), /latest_version: 1\.0\.1\n/);
+
+      const validation = await runCli(['validate', 'tool'], { root });
+      assert.equal(validation.code, 0, validation.stdout + validation.stderr);
+    } finally {
+      removeRegistry(root);
+      await flagged.close();
+    }
+  });
+
+  it('waits out a rate limit instead of failing', async () => {
+    const rateLimited = await startUpstream({
+      'https://api.github.com/repos/example/tool': fixture('upstream/github/repo.json'),
+      'https://api.github.com/repos/example/tool/releases?page=1&per_page=100': [
+        {
+          status: 403,
+          headers: { 'Retry-After': '1', 'X-RateLimit-Remaining': '0' },
+          body: '{"message":"API rate limit exceeded"}',
+        },
+        fixture('upstream/github/releases.json'),
+      ],
+      'https://github.com/example/tool/releases/download/v1.1.0/checksums.txt': fixture('upstream/github/checksums-v1.1.0.txt'),
+    });
+    const root = createRegistry({
+      packages: { tool: fixture('registry/tool.yaml') },
+      sources: { tool: SOURCE_CONFIG },
+    });
+
+    try {
+      const result = await runCli(['update', 'tool', '--concurrency', '2'], { root, upstream: rateLimited });
+      assert.equal(result.code, 0, result.stderr);
+      assert.match(result.stderr, /Rate limited by GitHub; waiting 1s/);
+      assert.equal(readRegistryFile(root, 'packages/tool.yaml'), fixture('expected/tool.yaml'));
+    } finally {
+      removeRegistry(root);
+      await rateLimited.close();
+    }
+  });
+
+  it('fails instead of writing a partial release list when a page cannot be fetched', async () => {
+    const firstPage = Array.from({ length: 100 }, (_, i) => ({ tag_name: `v0.${i}.0`, prerelease: false, assets: [] }));
+    const broken = await startUpstream({
+      'https://api.github.com/repos/example/tool': fixture('upstream/github/repo.json'),
+      'https://api.github.com/repos/example/tool/releases?page=1&per_page=100': JSON.stringify(firstPage),
+      'https://api.github.com/repos/example/tool/releases?page=2&per_page=100': { status: 502, body: 'Bad Gateway' },
+    });
+    const root = createRegistry({
+      packages: { tool: fixture('registry/tool.yaml') },
+      sources: { tool: SOURCE_CONFIG },
+    });
+
+    try {
+      const result = await runCli(['update', 'tool', '--retries', '1'], { root, upstream: broken });
+      assert.equal(result.code, 1);
+      assert.match(result.stderr, /Could not fetch releases page 2 of example\/tool \(100 releases read so far\): HTTP 502/);
+      assert.equal(broken.requests.filter((url) => url.includes('page=2')).length, 2);
+      assert.equal(readRegistryFile(root, 'packages/tool.yaml'), fixture('registry/tool.yaml'));
+    } finally {
+      removeRegistry(root);
+      await broken.close();
+    }
+  });
+});
+
+describe('github source signatures', () => {
+  const RELEASE_URL = 'https://github.com/example/tool/releases/download/v1.1.0';
+  const cosign = createCosignKey();
+  let upstream;
+
+  before(async () => {
+    // v1.1.0 signs its checksums.txt; v1.2.0 only has the digests of the GitHub API
+    const releases = JSON.parse(fixture('upstream/github/releases.json'))
+      .filter((release) => release.tag_name === 'v1.1.0' || release.tag_name === 'v1.2.0');
+    releases.find((release) => release.tag_name === 'v1.1.0').assets.push(
+      { name: 'checksums.txt.sig', browser_download_url: `${RELEASE_URL}/checksums.txt.sig`, size: 119, digest: null },
+    );
+    upstream = await startUpstream({
+      'https://api.github.com/repos/example/tool': fixture('upstream/github/repo.json'),
+      'https://api.github.com/repos/example/tool/releases?page=1&per_page=100': JSON.stringify(releases),
+      [`${RELEASE_URL}/checksums.txt`]: fixture('upstream/github/checksums-v1.1.0.txt'),
+      [`${RELEASE_URL}/checksums.txt.sig`]: fixture('upstream/github/checksums-v1.1.0.txt.sig', null),
+    });
+  });
+
+  after(() => upstream.close());
+
+  /**
+   * Run an update with signatures turned on and the given keys pinned
+   * Resolves with the CLI result and the manifest written (null when there is none)
+   */
+  async function update(signatures, keys) {
+    const root = createRegistry({ sources: { tool: { ...SOURCE_CONFIG, signatures: signatures } }, keys: { tool: keys } });
+    try {
+      const result = await runCli(['update', 'tool'], { root, upstream });
+      // A release that cannot be resolved makes the update partial
+      assert.equal(result.code, /Could not resolve artifacts/.test(result.stderr) ? 1 : 0, result.stderr);
+      const written = fs.existsSync(path.join(root, 'packages', 'tool.yaml'));
+      return { ...result, manifest: written ? readRegistryFile(root, 'packages/tool.yaml') : null };
+    } finally {
+      removeRegistry(root);
+    }
+  }
+
+  it('only takes checksums from signed checksum files when signatures are required', async () => {
+    const { manifest } = await update({ type: 'pgp' }, { 'release.asc': fixture('keys/release-ed25519.asc') });
+    assert.match(manifest, /- version: 1\.1\.0\n {4}signature:\n {6}type: pgp\n {6}key: 0934E52CE18CF9476E99C5232493DDBD837D9173\n/);
+    assert.match(manifest, /checksum: sha256:7ed564ba0b9f5acda40a6490bc34bc71f3ab60172946d970566f40d3f53ad909/);
+    assert.doesNotMatch(manifest, /version: 1\.2\.0/);
+  });
+
+  it('falls back to unsigned checksums when signatures are optional', async () => {
+    const { manifest } = await update({ type: 'pgp', required: false }, { 'release.asc': fixture('keys/release-ed25519.asc') });
+    assert.match(manifest, /- version: 1\.2\.0\n {4}bins:/);
+    assert.match(manifest, /- version: 1\.1\.0\n {4}signature:/);
+  });
+
+  it('rejects a release signed by a key that is not pinned', async () => {
+    const { stderr, manifest } = await update({ type: 'pgp' }, { 'release.asc': fixture('keys/release-rsa.asc') });
+    assert.match(stderr, /Could not resolve artifacts for 1\.1\.0: OpenPGP signature made by key 2493DDBD837D9173, which is not pinned/);
+    assert.equal(manifest, null);
+  });
+
+  it('checks .sig files as signatures of the configured type', async () => {
+    const { stderr } = await update({ type: 'cosign' }, { 'cosign.pub': cosign.publicKey });
+    assert.match(stderr, /Could not resolve artifacts for 1\.1\.0: cosign signature does not verify with any pinned key/);
+  });
+});
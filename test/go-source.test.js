@@ -0,0 +1,63 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startUpstream, fixture } from './helpers/upstream.js';
+import { createRegistry, readRegistryFile, removeRegistry, runCli } from './helpers/registry.js';
+
+describe('go source', () => {
+  let upstream;
+
+  before(async () => {
+    upstream = await startUpstream({
+      'https://go.dev/dl/?mode=json&include=all': fixture('upstream/go/releases.json'),
+    });
+  });
+
+  after(() => upstream.close());
+
+  it('merges new releases into the existing manifest', async () => {
+    const root = createRegistry({
+      packages: { go: fixture('registry/go.yaml') },
+      sources: { go: { source: 'go' } },
+    });
+
+    try {
+      const result = await runCli(['update', 'go'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.equal(readRegistryFile(root, 'packages/go.yaml'), fixture('expected/go.yaml'));
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('normalizes release candidates when the package opts into prereleases', async () => {
+    const root = createRegistry({
+      packages: { go: fixture('expected/go.yaml') },
+      sources: { go: { source: 'go', channels: ['stable', 'prerelease'] } },
+    });
+
+    try {
+      const result = await runCli(['update', 'go'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      const manifest = readRegistryFile(root, 'packages/go.yaml');
+      assert.match(manifest, /^  - version: 1\.22\.2\n[\s\S]*^  - version: 1\.22\.0-rc\.1\n    tag: go1\.22rc1\n    channel: prerelease\n[\s\S]*^  - version: 1\.21\.9\n/m);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('creates the manifest and index when the package is new', async () => {
+    const root = createRegistry({ sources: { go: { source: 'go' } } });
+
+    try {
+      const result = await runCli(['update', 'go'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.match(readRegistryFile(root, 'packages/go.yaml'), /^ {2}- version: 1\.21\.8$/m);
+      assert.equal(readRegistryFile(root, 'index.yaml'), fixture('expected/go-index.yaml'));
+
+      const validation = await runCli(['validate'], { root });
+      assert.equal(validation.code, 0, validation.stdout + validation.stderr);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Temporary registry checkouts and CLI runs for the offline test suite
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const CLI = path.resolve(__dirname, '..', '..', 'scripts', 'cli.js');
+const USE_UPSTREAM = path.join(__dirname, 'use-upstream.js');
+
+/**
+ * Create a registry root in a temp directory
+ * `packages` maps package names to manifest YAML, `sources` maps them to source configs and
+ * `keys` maps them to the files of their keys/<name>/ folder ({ 'release.asc': '...' })
+ */
+export function createRegistry({ packages = {}, sources = {}, keys = {} } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'nori-registry-test-'));
+  fs.mkdirSync(path.join(root, 'packages'));
+  fs.mkdirSync(path.join(root, 'sources'));
+
+  for (const [name, content] of Object.entries(packages)) {
+    fs.writeFileSync(path.join(root, 'packages', `${name}.yaml`), content);
+  }
+  for (const [name, config] of Object.entries(sources)) {
+    fs.writeFileSync(path.join(root, 'sources', `${name}.json`), JSON.stringify(config, null, 2));
+  }
+  for (const [name, files] of Object.entries(keys)) {
+    fs.mkdirSync(path.join(root, 'keys', name), { recursive: true });
+    for (const [file, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(root, 'keys', name, file), content);
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Read a file from a registry root
+ */
+export function readRegistryFile(root, relativePath) {
+  return fs.readFileSync(path.join(root, relativePath), 'utf8');
+}
+
+/**
+ * Remove a registry root
+ */
+export function removeRegistry(root) {
+  fs.rmSync(root, { recursive: true, force: true });
+}
+
+/**
+ * Run the nori-registry CLI against a registry root
+ * Its upstream requests go to the `upstream` stand-in, or fail without one.
+ * Resolves with { code, stdout, stderr }; never rejects on a non-zero exit
+ */
+export function runCli(args, { root, upstream, env = {} }) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, ['--import', USE_UPSTREAM, CLI, ...args, '--root', root], {
+      env: {
+        ...process.env,
+        GITHUB_TOKEN: '',
+        NORI_CACHE_DIR: '',
+        NORI_TEST_UPSTREAM_URL: upstream ? upstream.url : 'http://127.0.0.1:9',
+        ...env,
+      },
+      timeout: 60000,
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
@@ -0,0 +1,49 @@
+/**
+ * Throwaway signing keys for the signature tests
+ * OpenPGP fixtures are made with gpg (test/fixtures/keys); minisign and cosign keys are
+ * generated on the fly since node:crypto can sign in both formats
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Generate a minisign key pair
+ * Returns { id, publicKey, sign(data, fileName) }: the public key file contents, and a
+ * function producing a prehashed (.minisig) signature of `data` for `fileName`
+ */
+export function createMinisignKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const raw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+  const keyId = crypto.randomBytes(8);
+  const id = Buffer.from(keyId).reverse().toString('hex').toUpperCase();
+
+  return {
+    id: id,
+    publicKey: `untrusted comment: minisign public key ${id}\n${Buffer.concat([Buffer.from('Ed'), keyId, raw]).toString('base64')}\n`,
+    sign(data, fileName) {
+      const signature = crypto.sign(null, crypto.createHash('blake2b512').update(data).digest(), privateKey);
+      const trustedComment = `timestamp:1714000000\tfile:${fileName}\thashed`;
+      const globalSignature = crypto.sign(null, Buffer.concat([signature, Buffer.from(trustedComment)]), privateKey);
+      return [
+        'untrusted comment: signature from minisign secret key',
+        Buffer.concat([Buffer.from('ED'), keyId, signature]).toString('base64'),
+        `trusted comment: ${trustedComment}`,
+        globalSignature.toString('base64'),
+        '',
+      ].join('\n');
+    },
+  };
+}
+
+/**
+ * Generate a cosign (ECDSA P-256) key pair
+ * Returns { publicKey, sign(data) }: the PEM public key, and a function producing the
+ * base64 signature `cosign sign-blob` writes
+ */
+export function createCosignKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  return {
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    sign: (data) => crypto.sign('sha256', data, privateKey).toString('base64'),
+  };
+}
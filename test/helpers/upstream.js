@@ -0,0 +1,98 @@
+/**
+ * Local HTTP stand-in for upstream APIs
+ * Serves recorded fixtures so the update scripts can run offline
+ * (the tests point the HTTP client here with configureHttp({ upstream }))
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const FIXTURES_DIR = path.resolve(__dirname, '..', 'fixtures');
+
+/**
+ * Read a fixture file (path relative to test/fixtures)
+ * Text by default; pass `null` as the encoding for a Buffer (archives)
+ */
+export function fixture(relativePath, encoding = 'utf8') {
+  return fs.readFileSync(path.join(FIXTURES_DIR, relativePath), encoding);
+}
+
+/**
+ * Start the stand-in
+ * `routes` maps upstream URLs (e.g. "https://nodejs.org/dist/index.json") to a response:
+ * a string/Buffer body, or { status, headers, body, delay }. `delay` (ms) holds the
+ * response back. An array of responses is served in order, repeating the last one.
+ * Unknown URLs get a 404. Like a static file server, 200 responses carry an ETag (the
+ * body's hash unless the route sets one, or null for none) and a matching If-None-Match
+ * gets a 304.
+ * Resolves with { url, requests, requestMethods, requestHeaders, close() }; `requests` lists
+ * every upstream URL requested, `requestMethods` and `requestHeaders` the method and headers
+ * each request was sent with.
+ */
+export async function startUpstream(routes) {
+  const table = new Map();
+  for (const [url, response] of Object.entries(routes)) {
+    const urlObj = new URL(url);
+    table.set(`/${urlObj.host}${urlObj.pathname}${urlObj.search}`, Array.isArray(response) ? [...response] : response);
+  }
+
+  const requests = [];
+  const requestMethods = [];
+  const requestHeaders = [];
+  const server = http.createServer((req, res) => {
+    requests.push(`https:/${req.url}`);
+    requestMethods.push(req.method);
+    requestHeaders.push(req.headers);
+    let route = table.get(req.url);
+    if (Array.isArray(route)) {
+      route = route.length > 1 ? route.shift() : route[0];
+    }
+
+    if (route === undefined) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+      return;
+    }
+
+    const response = typeof route === 'string' || Buffer.isBuffer(route) ? { body: route } : route;
+    setTimeout(() => {
+      if (res.destroyed) {
+        return;
+      }
+      const status = response.status || 200;
+      const body = response.body || '';
+      const headers = { ...response.headers };
+      if (status === 200 && headers.ETag === undefined) {
+        headers.ETag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+      } else if (headers.ETag === null) {
+        delete headers.ETag;
+      }
+      if (status === 200 && headers.ETag && req.headers['if-none-match'] === headers.ETag) {
+        res.writeHead(304, { ETag: headers.ETag });
+        res.end();
+        return;
+      }
+      res.writeHead(status, { 'Content-Length': Buffer.byteLength(body), ...headers });
+      res.end(body);
+    }, response.delay || 0);
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests: requests,
+    requestMethods: requestMethods,
+    requestHeaders: requestHeaders,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
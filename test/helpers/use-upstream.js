@@ -0,0 +1,8 @@
+/**
+ * Preload for the CLI runs of the offline test suite (node --import, see runCli())
+ * Sends every upstream request of the CLI to the stand-in at NORI_TEST_UPSTREAM_URL
+ */
+
+import { configureHttp } from '../../scripts/lib/http.js';
+
+configureHttp({ upstream: process.env.NORI_TEST_UPSTREAM_URL });
@@ -0,0 +1,90 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startUpstream } from './helpers/upstream.js';
+import { configureHttp, fetchText, HttpError } from '../scripts/lib/http.js';
+import { calculateChecksum } from '../scripts/lib/checksum.js';
+
+// Keep retries fast; the backoff itself is not what these tests measure
+const FAST = { backoff: 10 };
+
+describe('http client', () => {
+  let upstream;
+
+  before(async () => {
+    upstream = await startUpstream({
+      'https://example.com/moved': { status: 301, headers: { Location: '/target' } },
+      'https://example.com/target': 'target body',
+      'https://api.example.com/download': { status: 302, headers: { Location: 'https://cdn.example.com/file' } },
+      'https://cdn.example.com/file': 'file body',
+      'https://example.com/loop': { status: 302, headers: { Location: '/loop' } },
+      'https://example.com/flaky': [{ status: 503, body: 'unavailable' }, { status: 502, body: 'bad gateway' }, 'recovered'],
+      'https://example.com/down': { status: 500, body: 'broken' },
+      'https://example.com/throttled': [{ status: 429, headers: { 'Retry-After': '0' } }, 'ok'],
+      'https://example.com/limited': { status: 429, headers: { 'Retry-After': '0' } },
+      'https://example.com/slow': { body: 'late', delay: 2000 },
+      'https://example.com/archive.tar.gz': [{ status: 500 }, 'archive bytes'],
+    });
+    configureHttp({ upstream: upstream.url });
+  });
+
+  after(async () => {
+    configureHttp({ upstream: null });
+    await upstream.close();
+  });
+
+  it('follows relative redirects', async () => {
+    assert.equal(await fetchText('https://example.com/moved'), 'target body');
+  });
+
+  it('does not forward credentials to another host', async () => {
+    upstream.requestHeaders.length = 0;
+    const body = await fetchText('https://api.example.com/download', { headers: { Authorization: 'token secret' } });
+    assert.equal(body, 'file body');
+    assert.equal(upstream.requestHeaders[0].authorization, 'token secret');
+    assert.equal(upstream.requestHeaders[1].authorization, undefined);
+  });
+
+  it('gives up on redirect loops', async () => {
+    await assert.rejects(fetchText('https://example.com/loop'), /Too many redirects/);
+  });
+
+  it('retries 5xx responses with backoff', async () => {
+    assert.equal(await fetchText('https://example.com/flaky', FAST), 'recovered');
+  });
+
+  it('retries 429 responses', async () => {
+    assert.equal(await fetchText('https://example.com/throttled', FAST), 'ok');
+  });
+
+  it('leaves 429 responses to a rate limiter with retryRateLimits: false', async () => {
+    upstream.requests.length = 0;
+    const error = await fetchText('https://example.com/limited', { ...FAST, retryRateLimits: false }).catch((e) => e);
+    assert.ok(error instanceof HttpError);
+    assert.equal(error.statusCode, 429);
+    assert.equal(upstream.requests.length, 1);
+  });
+
+  it('fails with the last error once retries run out', async () => {
+    upstream.requests.length = 0;
+    const error = await fetchText('https://example.com/down', { ...FAST, retries: 2 }).catch((e) => e);
+    assert.ok(error instanceof HttpError);
+    assert.equal(error.statusCode, 500);
+    assert.equal(upstream.requests.length, 3);
+  });
+
+  it('does not retry client errors', async () => {
+    upstream.requests.length = 0;
+    await assert.rejects(fetchText('https://example.com/missing', FAST), /HTTP 404/);
+    assert.equal(upstream.requests.length, 1);
+  });
+
+  it('times out stalled requests', async () => {
+    await assert.rejects(fetchText('https://example.com/slow', { timeout: 100, retries: 0 }), /Request timeout/);
+  });
+
+  it('retries checksum downloads from scratch', async () => {
+    const expected = crypto.createHash('sha256').update('archive bytes').digest('hex');
+    assert.equal(await calculateChecksum('https://example.com/archive.tar.gz', FAST), expected);
+  });
+});
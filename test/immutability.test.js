@@ -0,0 +1,128 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { mergeVersions } from '../scripts/lib/manifest.js';
+import { ArtifactDriftError, validateOverrides } from '../scripts/lib/immutability.js';
+import { startUpstream, fixture } from './helpers/upstream.js';
+import { createRegistry, readRegistryFile, removeRegistry, runCli } from './helpers/registry.js';
+
+const artifact = (name, hash) => ({ type: 'tar.gz', url: `https://example.com/${name}.tar.gz`, checksum: `sha256:${hash.repeat(64)}` });
+const entry = (version, platforms) => ({ version, bins: [{ name: 'tool', path: 'tool' }], platforms });
+
+const override = (fields = {}) => ({
+  package: 'tool',
+  version: '1.0.0',
+  platform: 'linux-amd64',
+  from: { url: 'https://example.com/linux.tar.gz', checksum: `sha256:${'a'.repeat(64)}` },
+  to: { url: 'https://example.com/linux.tar.gz', checksum: `sha256:${'b'.repeat(64)}` },
+  reason: 'Upstream rebuilt the archive with a fixed binary (see the release notes)',
+  approved_by: 'maintainer',
+  date: '2024-05-01',
+  ...fields,
+});
+
+describe('mergeVersions immutability', () => {
+  const existing = { versions: [entry('1.0.0', { 'linux-amd64': artifact('linux', 'a'), 'macos-arm64': artifact('macos', 'c') })] };
+
+  it('refuses to change a published url or checksum', () => {
+    assert.throws(() => mergeVersions(existing, [entry('1.0.0', { 'linux-amd64': artifact('linux', 'b') })]), (error) => {
+      assert.ok(error instanceof ArtifactDriftError);
+      assert.deepEqual(error.drift, [{
+        version: '1.0.0',
+        platform: 'linux-amd64',
+        recorded: { url: 'https://example.com/linux.tar.gz', checksum: `sha256:${'a'.repeat(64)}` },
+        upstream: { url: 'https://example.com/linux.tar.gz', checksum: `sha256:${'b'.repeat(64)}` },
+      }]);
+      return true;
+    });
+    assert.throws(() => mergeVersions(existing, [entry('1.0.0+rebuilt', { 'macos-arm64': artifact('macos-2', 'c') })]), ArtifactDriftError);
+  });
+
+  it('keeps published platforms a replacement does not have', () => {
+    const [merged] = mergeVersions(existing, [entry('1.0.0', { 'windows-amd64': artifact('windows', 'd') })]);
+    assert.deepEqual(Object.keys(merged.platforms), ['linux-amd64', 'macos-arm64', 'windows-amd64']);
+  });
+
+  it('applies changes an override approves', () => {
+    const [merged] = mergeVersions(existing, [entry('1.0.0', { 'linux-amd64': artifact('linux', 'b') })], { overrides: [override()] });
+    assert.equal(merged.platforms['linux-amd64'].checksum, `sha256:${'b'.repeat(64)}`);
+    assert.throws(() => mergeVersions(existing, [entry('1.0.0', { 'linux-amd64': artifact('linux', 'd') })], { overrides: [override()] }),
+      ArtifactDriftError);
+  });
+});
+
+describe('validateOverrides', () => {
+  it('requires the replaced pair, the new pair, a reason and an approver', () => {
+    assert.deepEqual(validateOverrides({ overrides: [override()] }), []);
+    assert.deepEqual(validateOverrides({ overrides: [override({ reason: '', date: 'yesterday', to: { url: 'x', checksum: 'sha256:abc' } })] }), [
+      { path: 'overrides[0].reason', message: 'is required' },
+      { path: 'overrides[0].date', message: 'must be a YYYY-MM-DD date' },
+      { path: 'overrides[0].to.url', message: 'must be an http(s) URL' },
+      { path: 'overrides[0].to.checksum', message: 'must be "sha256:<hex>" or "sha512:<hex>"' },
+    ]);
+    assert.equal(validateOverrides([]).length, 1);
+  });
+});
+
+describe('checksum overrides in the registry', () => {
+  const SOURCE_CONFIG = {
+    source: 'github',
+    owner: 'example',
+    repo: 'tool',
+    bins: [{ name: 'tool', path: 'tool' }],
+  };
+  const URL = 'https://github.com/example/tool/releases/download/v1.2.0/tool_1.2.0_darwin_arm64.tar.gz';
+  const UPSTREAM_CHECKSUM = 'sha256:b9386358d88035eecbb57115b7dc166cbb56dbba105716fdebcf4b721633da5d';
+  const RECORDED_CHECKSUM = `sha256:${'0'.repeat(64)}`;
+  const RECORDED = fixture('expected/tool.yaml').replace(UPSTREAM_CHECKSUM, RECORDED_CHECKSUM);
+  let upstream;
+
+  before(async () => {
+    upstream = await startUpstream({
+      'https://api.github.com/repos/example/tool': fixture('upstream/github/repo.json'),
+      'https://api.github.com/repos/example/tool/releases?page=1&per_page=100': fixture('upstream/github/releases.json'),
+      'https://github.com/example/tool/releases/download/v1.1.0/checksums.txt': fixture('upstream/github/checksums-v1.1.0.txt'),
+    });
+  });
+
+  after(() => upstream.close());
+
+  it('lets a refresh replace a published checksum only with an override', async () => {
+    const root = createRegistry({ packages: { tool: RECORDED }, sources: { tool: SOURCE_CONFIG } });
+    try {
+      fs.writeFileSync(path.join(root, 'checksum-overrides.json'), JSON.stringify({
+        overrides: [override({
+          version: '1.2.0',
+          platform: 'macos-arm64',
+          from: { url: URL, checksum: RECORDED_CHECKSUM },
+          to: { url: URL, checksum: UPSTREAM_CHECKSUM },
+        })],
+      }, null, 2));
+
+      const result = await runCli(['update', 'tool', '--refresh'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.match(result.stdout, /Applying checksum override for 1\.2\.0 macos-arm64: sha256:0+ -> sha256:b938\w+ \(approved by maintainer on 2024-05-01: Upstream rebuilt/);
+      assert.equal(readRegistryFile(root, 'packages/tool.yaml'), fixture('expected/tool.yaml'));
+      assert.ok(!fs.existsSync(path.join(root, 'incidents')));
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('fails validation on an incomplete override', async () => {
+    const root = createRegistry({ packages: { tool: fixture('expected/tool.yaml') }, sources: { tool: SOURCE_CONFIG } });
+    try {
+      fs.writeFileSync(path.join(root, 'checksum-overrides.json'), JSON.stringify({ overrides: [override({ approved_by: undefined })] }));
+      let result = await runCli(['validate'], { root, upstream });
+      assert.equal(result.code, 1);
+      assert.match(result.stderr, /checksum-overrides\.json: overrides\[0\]\.approved_by: is required/);
+
+      result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 1);
+      assert.match(result.stderr, /Invalid checksum-overrides\.json: overrides\[0\]\.approved_by: is required/);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+});
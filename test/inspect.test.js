@@ -0,0 +1,175 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import path from 'path';
+import { decodeXz, XzError } from '../scripts/lib/xz.js';
+import { listArchive } from '../scripts/lib/archive-contents.js';
+import { proposeBins, suggestSourceConfig, verifyBins } from '../scripts/lib/inspect.js';
+import { buildManifest, dumpYAML } from '../scripts/lib/manifest.js';
+import { computeAliases } from '../scripts/lib/aliases.js';
+import { startUpstream, fixture, FIXTURES_DIR } from './helpers/upstream.js';
+import { createRegistry, removeRegistry, runCli } from './helpers/registry.js';
+
+const ARCHIVES = {
+  'linux-amd64': { type: 'tar.gz', file: 'tool-1.2.0-linux-amd64.tar.gz' },
+  'linux-arm64': { type: 'tar', file: 'tool-1.2.0-linux-arm64.tar' },
+  'macos-arm64': { type: 'tar.xz', file: 'tool-1.2.0-macos-arm64.tar.xz' },
+  'windows-amd64': { type: 'zip', file: 'tool-1.2.0-windows-amd64.zip' },
+};
+const archive = (file) => fixture(`archives/${file}`, null);
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+describe('decodeXz', () => {
+  it('decodes multi-block streams with uncompressed chunks', () => {
+    const chunks = [];
+    decodeXz(archive('sample-blocks.xz'), (chunk) => chunks.push(Buffer.from(chunk)));
+    const data = Buffer.concat(chunks);
+    assert.equal(data.length, 200159);
+    assert.equal(sha256(data), '232ad4ba2f1b4dc002643ebed8b4d34eed2621874ffd046450c410fa7d1afeb3');
+  });
+
+  it('rejects corrupt and truncated input', () => {
+    const corrupt = Buffer.from(archive('sample-blocks.xz'));
+    corrupt[corrupt.length >> 1] ^= 0xff;
+    assert.throws(() => decodeXz(corrupt, () => {}), XzError);
+    assert.throws(() => decodeXz(archive('sample-blocks.xz').subarray(0, 1000), () => {}), XzError);
+    assert.throws(() => decodeXz(Buffer.from('not xz at all'), () => {}), /Not an xz file/);
+  });
+});
+
+describe('listArchive', () => {
+  it('lists tar, tar.gz and tar.xz archives alike', async () => {
+    const listings = await Promise.all(['linux-amd64', 'linux-arm64', 'macos-arm64']
+      .map((platform) => listArchive(archive(ARCHIVES[platform].file), ARCHIVES[platform].type)));
+    assert.deepEqual(listings[1], listings[0]);
+    assert.deepEqual(listings[2], listings[0]);
+
+    const [entries] = listings;
+    assert.deepEqual(entries.find((e) => e.path === 'tool-1.2.0/bin/tool'), { path: 'tool-1.2.0/bin/tool', type: 'file', mode: 0o755, size: 20 });
+    assert.deepEqual(entries.find((e) => e.path === 'tool-1.2.0/bin/tl'), { path: 'tool-1.2.0/bin/tl', type: 'symlink', mode: 0o777, size: 0, target: 'tool' });
+    // Longer than the 100 bytes of a plain tar header (GNU long name and pax path records)
+    assert.ok(entries.some((e) => e.path.endsWith('very-long-directory-name-/README.md')));
+  });
+
+  it('lists zip archives without permission bits', async () => {
+    const entries = await listArchive(archive(ARCHIVES['windows-amd64'].file), 'zip');
+    assert.deepEqual(entries.map((e) => e.path), ['tool-1.2.0/tool.exe', 'tool-1.2.0/tool-helper.exe', 'tool-1.2.0/tool.cmd', 'tool-1.2.0/README.txt']);
+    assert.equal(entries[0].mode, null);
+  });
+});
+
+describe('archive inspection', () => {
+  it('proposes bins below the top-level folder', async () => {
+    const proposal = proposeBins(await listArchive(archive(ARCHIVES['linux-amd64'].file), 'tar.gz'));
+    assert.equal(proposal.root, 'tool-1.2.0');
+    assert.deepEqual(proposal.executables, ['bin/tl', 'bin/tool', 'bin/tool-helper', 'lib/libtool.so.1', 'scripts/install.sh']);
+    assert.deepEqual(proposal.bins, [
+      { name: 'tool', path: 'bin/tool', aliases: ['tl'] },
+      { name: 'tool-helper', path: 'bin/tool-helper' },
+    ]);
+    assert.deepEqual(suggestSourceConfig(proposal, { assetName: 'tool-1.2.0.tar.gz' }).archive, { root: '{asset}' });
+  });
+
+  it('prefers .exe files on Windows and leaves the suffix to the source', async () => {
+    const proposal = proposeBins(await listArchive(archive(ARCHIVES['windows-amd64'].file), 'zip'));
+    assert.deepEqual(proposal.bins, [{ name: 'tool', path: 'tool.exe' }, { name: 'tool-helper', path: 'tool-helper.exe' }]);
+    assert.deepEqual(suggestSourceConfig(proposal, { assetName: ARCHIVES['windows-amd64'].file, version: '1.2.0', windows: true }), {
+      bins: [{ name: 'tool', path: 'tool' }, { name: 'tool-helper', path: 'tool-helper' }],
+      archive: { root: 'tool-{version}' },
+    });
+  });
+
+  it('reports bins that are missing or not executable', async () => {
+    const entries = await listArchive(archive(ARCHIVES['linux-amd64'].file), 'tar.gz');
+    assert.deepEqual(verifyBins(entries, { root: 'tool-1.2.0', bins: [{ name: 'tool', path: 'bin/tool' }] }), []);
+    assert.deepEqual(verifyBins(entries, { strip_components: 1, bins: [{ name: 'tool', path: 'bin/tool' }] }), []);
+    assert.deepEqual(verifyBins(entries, { bins: [{ name: 'tool', path: 'tool' }, { name: 'doc', path: 'tool-1.2.0/share' }] }), [
+      'bin "tool": tool not found (the archive has tool-1.2.0/bin/tool)',
+      'bin "doc": tool-1.2.0/share not found',
+    ]);
+    assert.deepEqual(verifyBins(entries, { root: 'tool', bins: [{ name: 'tool', path: 'bin/tool' }] }), [
+      'root "tool" is not in the archive (its top-level folder is "tool-1.2.0")',
+    ]);
+  });
+});
+
+describe('inspect command', () => {
+  let upstream;
+
+  before(async () => {
+    const routes = {};
+    for (const { file } of Object.values(ARCHIVES)) {
+      routes[`https://example.com/releases/${file}`] = archive(file);
+    }
+    upstream = await startUpstream(routes);
+  });
+
+  after(() => upstream.close());
+
+  const manifest = (platforms, bins = [{ name: 'tool', path: 'bin/tool' }]) => {
+    const versions = [{ version: '1.2.0', bins: bins, platforms: platforms }];
+    return dumpYAML(buildManifest('tool', {}, { description: 'Tool', homepage: 'https://example.com', license: 'MIT' }, versions, computeAliases(versions)));
+  };
+  const artifact = (platform, layout) => ({
+    type: ARCHIVES[platform].type,
+    url: `https://example.com/releases/${ARCHIVES[platform].file}`,
+    checksum: `sha256:${sha256(archive(ARCHIVES[platform].file))}`,
+    ...layout,
+  });
+
+  it('suggests source config settings for a local archive', async () => {
+    const root = createRegistry();
+    try {
+      const result = await runCli(['inspect', path.join(FIXTURES_DIR, 'archives', ARCHIVES['macos-arm64'].file)], { root });
+      assert.equal(result.code, 0, result.stderr);
+      assert.match(result.stdout, /^Top-level folder: tool-1\.2\.0$/m);
+      assert.match(result.stdout, /"root": "tool-1\.2\.0"/);
+      assert.match(result.stdout, /"name": "tool",\n\s+"path": "bin\/tool",\n\s+"aliases": \[\n\s+"tl"/);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('checks a package\'s bins against its archives', async () => {
+    const root = createRegistry({
+      packages: {
+        tool: manifest({
+          'linux-amd64': artifact('linux-amd64', { root: 'tool-1.2.0' }),
+          'linux-arm64': artifact('linux-arm64', { strip_components: 1 }),
+          'macos-arm64': artifact('macos-arm64', { root: 'tool-1.2.0' }),
+          'windows-amd64': artifact('windows-amd64', { root: 'tool-1.2.0', bins: [{ name: 'tool', path: 'tool.exe' }] }),
+        }),
+      },
+    });
+
+    try {
+      const result = await runCli(['inspect', 'tool'], { root, upstream });
+      assert.equal(result.code, 0, result.stdout + result.stderr);
+      assert.match(result.stdout, /^  windows-amd64  ok \(tool\.exe\)$/m);
+      assert.match(result.stdout, /All bins found in 4 archive\(s\)/);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('fails when a bin is missing or an archive does not match its checksum', async () => {
+    const root = createRegistry({
+      packages: {
+        tool: manifest({
+          'linux-amd64': artifact('linux-amd64', {}),
+          'windows-amd64': artifact('windows-amd64', { checksum: `sha256:${'0'.repeat(64)}` }),
+        }),
+      },
+    });
+
+    try {
+      const result = await runCli(['inspect', 'tool', '--version', 'latest'], { root, upstream });
+      assert.equal(result.code, 1);
+      assert.match(result.stdout, /linux-amd64 +bin "tool": bin\/tool not found \(the archive has tool-1\.2\.0\/bin\/tool\)/);
+      assert.match(result.stdout, /windows-amd64 {2}could not inspect \S+: checksum mismatch: expected sha256:0{64}, got sha256:/);
+      assert.match(result.stdout, /Bins are wrong for 2 of 2 platform\(s\) of packages\/tool\.yaml/);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startUpstream, fixture } from './helpers/upstream.js';
+import { createRegistry, readRegistryFile, removeRegistry, runCli } from './helpers/registry.js';
+
+describe('node source', () => {
+  let upstream;
+
+  before(async () => {
+    // v22.0.0 has no SHASUMS256.txt route, so the stand-in answers 404; neither has
+    // v0.8.5, which ships no binaries and must not be asked for one
+    upstream = await startUpstream({
+      'https://nodejs.org/dist/index.json': fixture('upstream/node/index.json'),
+      'https://nodejs.org/dist/v22.1.0/SHASUMS256.txt': fixture('upstream/node/SHASUMS256-v22.1.0.txt'),
+      'https://nodejs.org/dist/v22.1.0/SHASUMS256.txt.asc': fixture('upstream/node/SHASUMS256-v22.1.0.txt.asc'),
+    });
+  });
+
+  after(() => upstream.close());
+
+  it('merges new releases into the existing manifest', async () => {
+    const root = createRegistry({
+      packages: { node: fixture('registry/node.yaml') },
+      sources: { node: { source: 'node' } },
+    });
+
+    try {
+      const result = await runCli(['update', 'node'], { root, upstream });
+      // 22.0.0 has no SHASUMS256.txt yet: the rest is written, but the run is partial
+      assert.equal(result.code, 1, result.stderr);
+      assert.equal(readRegistryFile(root, 'packages/node.yaml'), fixture('expected/node.yaml'));
+      assert.match(result.stderr, /Could not resolve artifacts for 22\.0\.0: HTTP 404/);
+      assert.match(result.stderr, /Releases that could not be resolved, left for the next run: node \(22\.0\.0\)/);
+      assert.match(result.stdout, /Refreshed release details of 2 existing version\(s\)/);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('skips releases without binaries before fetching their checksums', async () => {
+    const root = createRegistry({
+      packages: { node: fixture('registry/node.yaml') },
+      sources: { node: { source: 'node' } },
+    });
+
+    try {
+      upstream.requests.length = 0;
+      const result = await runCli(['update', 'node'], { root, upstream });
+      assert.deepEqual(upstream.requests.filter((url) => url.includes('/v0.8.5/')), []);
+      assert.doesNotMatch(result.stderr, /0\.8\.5/);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('does not request checksums for versions already in the manifest', async () => {
+    const root = createRegistry({
+      packages: { node: fixture('expected/node.yaml') },
+      sources: { node: { source: 'node' } },
+    });
+
+    try {
+      upstream.requests.length = 0;
+      const result = await runCli(['update', 'node'], { root, upstream });
+      // 22.0.0 is still unresolved
+      assert.equal(result.code, 1, result.stderr);
+      assert.deepEqual(upstream.requests.filter((url) => url.includes('/v20.12.2/')), []);
+      assert.equal(readRegistryFile(root, 'packages/node.yaml'), fixture('expected/node.yaml'));
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('verifies the signed checksum list against the pinned keys', async () => {
+    const root = createRegistry({
+      packages: { node: fixture('registry/node.yaml') },
+      sources: { node: { source: 'node', signatures: { type: 'pgp' } } },
+      keys: { node: { 'release.asc': fixture('keys/release-rsa.asc') } },
+    });
+
+    try {
+      const result = await runCli(['update', 'node'], { root, upstream });
+      // 22.0.0 is still unresolved
+      assert.equal(result.code, 1, result.stderr);
+      const manifest = readRegistryFile(root, 'packages/node.yaml');
+      assert.match(manifest, /- version: 22\.1\.0\n(?: {4}.+\n)*? {4}signature:\n {6}type: pgp\n {6}key: A163D19D8C7D6860483A49607C868770FDC67D45\n/);
+      // Without the signature the manifest is the same as an unsigned update
+      assert.equal(manifest.replace(/ {4}signature:\n(?: {6}.+\n)+/g, ''), fixture('expected/node.yaml'));
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('skips releases signed by a key that is not pinned', async () => {
+    const root = createRegistry({
+      packages: { node: fixture('registry/node.yaml') },
+      sources: { node: { source: 'node', signatures: { type: 'pgp' } } },
+      keys: { node: { 'release.asc': fixture('keys/release-ed25519.asc') } },
+    });
+
+    try {
+      const result = await runCli(['update', 'node'], { root, upstream });
+      assert.equal(result.code, 1, result.stderr);
+      assert.match(result.stderr, /Could not resolve artifacts for 22\.1\.0: OpenPGP signature made by key 7C868770FDC67D45, which is not pinned/);
+      assert.doesNotMatch(readRegistryFile(root, 'packages/node.yaml'), /version: 22\.1\.0/);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('rejects signatures without pinned keys', async () => {
+    const root = createRegistry({
+      packages: { node: fixture('registry/node.yaml') },
+      sources: { node: { source: 'node', signatures: { type: 'pgp' } } },
+    });
+
+    try {
+      const result = await runCli(['validate', 'node'], { root });
+      assert.equal(result.code, 1);
+      assert.match(result.stdout + result.stderr, /signatures: No pgp public keys in /);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('rejects an lts alias that points to a missing version', async () => {
+    const root = createRegistry({
+      packages: { node: fixture('expected/node.yaml').replace('lts/hydrogen: 18.20.2', 'lts/hydrogen: 18.20.3') },
+    });
+
+    try {
+      const result = await runCli(['validate', 'node'], { root });
+      assert.equal(result.code, 1);
+      assert.match(result.stdout + result.stderr, /aliases\.lts\/hydrogen: points to 18\.20\.3, which is not in versions/);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+});
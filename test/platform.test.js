@@ -0,0 +1,235 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchPlatform, tokenizeAssetName, addMuslFallbacks } from '../scripts/lib/platform.js';
+import { detectArchiveType, archiveBaseName, windowsBins } from '../scripts/lib/archive.js';
+import { validateManifest } from '../scripts/lib/schema.js';
+
+// Real-world asset names and the platform each should map to (null = skipped)
+const PLATFORM_CORPUS = [
+  // neovim, across its naming changes
+  ['nvim-linux64.tar.gz', 'linux-amd64'],
+  ['nvim-linux-x86_64.tar.gz', 'linux-amd64'],
+  ['nvim-linux-arm64.tar.gz', 'linux-arm64'],
+  ['nvim-macos.tar.gz', 'macos-amd64'],
+  ['nvim-macos-x86_64.tar.gz', 'macos-amd64'],
+  ['nvim-macos-arm64.tar.gz', 'macos-arm64'],
+  ['nvim-win64.zip', 'windows-amd64'],
+  ['nvim-win32.zip', 'windows-x86'],
+  ['nvim-win-arm64.zip', 'windows-arm64'],
+  ['nvim.appimage', null],
+
+  // lazygit (goreleaser, capitalized OS names)
+  ['lazygit_0.40.2_Darwin_x86_64.tar.gz', 'macos-amd64'],
+  ['lazygit_0.40.2_Darwin_arm64.tar.gz', 'macos-arm64'],
+  ['lazygit_0.1.22_Darwin_i386.tar.gz', 'macos-x86'],
+  ['lazygit_0.40.2_Linux_x86_64.tar.gz', 'linux-amd64'],
+  ['lazygit_0.40.2_Linux_arm64.tar.gz', 'linux-arm64'],
+  ['lazygit_0.40.2_Linux_armv6.tar.gz', 'linux-armv6'],
+  ['lazygit_0.40.2_Linux_32-bit.tar.gz', 'linux-x86'],
+  ['lazygit_0.40.2_Windows_x86_64.zip', 'windows-amd64'],
+  ['lazygit_0.40.2_Windows_arm64.zip', 'windows-arm64'],
+  ['lazygit_0.40.2_Windows_armv6.zip', null],
+  ['lazygit_0.40.2_Windows_32-bit.zip', 'windows-x86'],
+  ['lazygit_0.40.2_freebsd_x86_64.tar.gz', 'freebsd-amd64'],
+
+  // goreleaser defaults
+  ['gh_2.49.0_linux_amd64.tar.gz', 'linux-amd64'],
+  ['gh_2.49.0_linux_386.tar.gz', 'linux-x86'],
+  ['gh_2.49.0_linux_armv6.tar.gz', 'linux-armv6'],
+  ['gh_2.49.0_macOS_amd64.zip', 'macos-amd64'],
+  ['gh_2.49.0_macOS_arm64.zip', 'macos-arm64'],
+  ['gh_2.49.0_macOS_universal.pkg', null],
+  ['gh_2.49.0_windows_386.zip', 'windows-x86'],
+  ['gh_2.49.0_windows_amd64.msi', 'windows-amd64'],
+  ['k9s_Darwin_amd64.tar.gz', 'macos-amd64'],
+  ['k9s_Linux_ppc64le.tar.gz', null],
+  ['k9s_Linux_s390x.tar.gz', null],
+  ['terraform_1.8.2_linux_arm.zip', 'linux-armv6'],
+  ['terraform_1.8.2_windows_386.zip', 'windows-x86'],
+  ['terraform_1.8.2_solaris_amd64.zip', null],
+
+  // Rust target triplets
+  ['ripgrep-14.1.0-x86_64-unknown-linux-musl.tar.gz', 'linux-amd64-musl'],
+  ['ripgrep-14.1.0-aarch64-unknown-linux-gnu.tar.gz', 'linux-arm64'],
+  ['ripgrep-14.1.0-aarch64-apple-darwin.tar.gz', 'macos-arm64'],
+  ['ripgrep-14.1.0-x86_64-apple-darwin.tar.gz', 'macos-amd64'],
+  ['ripgrep-14.1.0-x86_64-pc-windows-msvc.zip', 'windows-amd64'],
+  ['ripgrep-14.1.0-x86_64-pc-windows-gnu.zip', 'windows-amd64'],
+  ['ripgrep-14.1.0-i686-pc-windows-msvc.zip', 'windows-x86'],
+  ['ripgrep-14.1.0-i686-unknown-linux-gnu.tar.gz', 'linux-x86'],
+  ['ripgrep-14.1.0-armv7-unknown-linux-gnueabihf.tar.gz', 'linux-armv7'],
+  ['ripgrep-14.1.0-powerpc64-unknown-linux-gnu.tar.gz', null],
+  ['ripgrep-14.1.0-s390x-unknown-linux-gnu.tar.gz', null],
+  ['ripgrep_14.1.0-1_amd64.deb', null],
+  ['ripgrep-14.1.0-x86_64-unknown-freebsd.tar.gz', 'freebsd-amd64'],
+  ['ripgrep-14.1.0-riscv64gc-unknown-linux-gnu.tar.gz', 'linux-riscv64'],
+  ['ripgrep-14.1.0-arm-unknown-linux-gnueabi.tar.gz', null],
+  ['ripgrep-14.1.0-armv7-linux-androideabi.tar.gz', null],
+  ['bat-v0.24.0-arm-unknown-linux-gnueabihf.tar.gz', 'linux-armv6'],
+  ['bat-v0.24.0-aarch64-pc-windows-msvc.zip', 'windows-arm64'],
+  ['fd-v9.0.0-x86_64-unknown-linux-gnu.tar.gz', 'linux-amd64'],
+  ['hyperfine-v1.18.0-arm-unknown-linux-musleabihf.tar.gz', 'linux-armv6-musl'],
+  ['deno-aarch64-unknown-linux-gnu.zip', 'linux-arm64'],
+  ['zellij-aarch64-linux-android.tar.gz', null],
+
+  // Other conventions
+  ['helix-23.10-x86_64-linux.tar.xz', 'linux-amd64'],
+  ['helix-23.10-aarch64-macos.tar.xz', 'macos-arm64'],
+  ['helix-23.10-x86_64-windows.zip', 'windows-amd64'],
+  ['zig-linux-x86_64-0.11.0.tar.xz', 'linux-amd64'],
+  ['zig-macos-aarch64-0.11.0.tar.xz', 'macos-arm64'],
+  ['zig-windows-x86-0.11.0.zip', 'windows-x86'],
+  ['zig-linux-riscv64-0.11.0.tar.xz', 'linux-riscv64'],
+  ['node-v20.12.2-linux-x64.tar.gz', 'linux-amd64'],
+  ['node-v20.12.2-darwin-x64.tar.gz', 'macos-amd64'],
+  ['node-v20.12.2-win-x86.zip', 'windows-x86'],
+  ['node-v20.12.2-linux-armv7l.tar.xz', 'linux-armv7'],
+  ['go1.22.2.linux-386.tar.gz', 'linux-x86'],
+  ['go1.22.2.linux-armv6l.tar.gz', 'linux-armv6'],
+  ['go1.22.2.darwin-arm64.tar.gz', 'macos-arm64'],
+  ['go1.22.2.freebsd-amd64.tar.gz', 'freebsd-amd64'],
+  ['bun-linux-x64-baseline.zip', 'linux-amd64'],
+  ['bun-linux-aarch64-musl.zip', 'linux-arm64-musl'],
+  ['bun-darwin-x64.zip', 'macos-amd64'],
+  ['bun-windows-x64.zip', 'windows-amd64'],
+  ['jq-linux64', 'linux-amd64'],
+  ['jq-osx-amd64', 'macos-amd64'],
+  ['jq-win32.exe', 'windows-x86'],
+  ['jq-windows-i386.exe', 'windows-x86'],
+  ['tool-mac-os-arm64.tar.gz', 'macos-arm64'],
+  ['tool-os-x-64-bit.tar.gz', 'macos-amd64'],
+  ['tool-x86-64-linux.tar.gz', 'linux-amd64'],
+  ['tool-x86_64-win32.zip', 'windows-amd64'],
+  ['tool-mingw64.zip', 'windows-amd64'],
+  ['tool-ubuntu-22.04-x64.tar.gz', 'linux-amd64'],
+  ['tool-alpine-x64.tar.gz', 'linux-amd64-musl'],
+  ['tool_linux_armhf.tar.gz', 'linux-armv7'],
+  ['tool_linux_armel.tar.gz', null],
+  ['tool-freebsd-arm64.tar.gz', 'freebsd-arm64'],
+  ['tool-macos-arm64-musl.tar.gz', null],
+  ['tool-windows-armv7.zip', null],
+
+  // Substring hazards the old matcher got wrong
+  ['macchina-v6.1.8-linux-x86_64.tar.gz', 'linux-amd64'], // "mac" inside a name
+  ['edwin-1.0-linux-amd64.tar.gz', 'linux-amd64'], // "win" inside a name
+  ['tool-1.32.0-macos.tar.gz', 'macos-amd64'], // "32" inside a version
+  ['tool-2.386.1-linux.tar.gz', 'linux-amd64'], // "386" inside a version
+  ['tool-1.0.686-darwin-arm64.tar.gz', 'macos-arm64'], // "686" inside a version
+  ['winget-cli-linux-x64.tar.gz', 'linux-amd64'], // contradicting OS words
+  ['tool-linux-darwin.tar.gz', null], // two different OSes
+  ['tool-linux-amd64-arm64.tar.gz', null], // two different architectures
+
+  // No platform at all
+  ['checksums.txt', null],
+  ['tool-1.2.0.tar.gz', null],
+  ['tool_1.2.0_amd64.tar.gz', null],
+  ['source.zip', null],
+];
+
+const ARCHIVE_CORPUS = [
+  ['tool-linux-amd64.tar.gz', 'tar.gz'],
+  ['tool-linux-amd64.TAR.GZ', 'tar.gz'],
+  ['tool-linux-amd64.tgz', 'tar.gz'],
+  ['tool-linux-amd64.tar.xz', 'tar.xz'],
+  ['tool-linux-amd64.txz', 'tar.xz'],
+  ['tool-linux-amd64.tar', 'tar'],
+  ['tool-windows-amd64.zip', 'zip'],
+  ['https://nodejs.org/dist/v20.12.2/node-v20.12.2-linux-x64.tar.xz', 'tar.xz'],
+  ['tool-linux-amd64.tar.bz2', null],
+  ['tool-linux-amd64.tar.zst', null],
+  ['tool-linux-amd64.tar.gz.sha256', null],
+  ['tool-linux-amd64.tar.gz.sig', null],
+  ['tool-windows-amd64.msi', null],
+  ['tool-windows-amd64.exe', null],
+  ['tool_amd64.deb', null],
+  ['tool.x86_64.rpm', null],
+  ['tool-macos.dmg', null],
+  ['tool-macos.pkg', null],
+  ['tool-linux.AppImage', null],
+  ['tool-linux-amd64', null],
+];
+
+describe('matchPlatform', () => {
+  for (const [filename, expected] of PLATFORM_CORPUS) {
+    it(`${filename} → ${expected}`, () => {
+      assert.equal(matchPlatform(filename), expected);
+    });
+  }
+});
+
+describe('tokenizeAssetName', () => {
+  it('drops version numbers and joins split spellings', () => {
+    assert.deepEqual(tokenizeAssetName('lazygit_0.40.2_Darwin_x86_64.tar.gz'), ['lazygit', 'darwin', 'x86_64', 'tar', 'gz']);
+    assert.deepEqual(tokenizeAssetName('tool-v1.2.3-mac-os-64-bit.zip'), ['tool', 'v', 'macos', '64bit', 'zip']);
+  });
+});
+
+describe('addMuslFallbacks', () => {
+  const entry = (name) => ({ type: 'tar.gz', url: `https://example.com/${name}.tar.gz`, checksum: `sha256:${'0'.repeat(64)}` });
+
+  it('records a musl-only build under the glibc key too', () => {
+    const platforms = addMuslFallbacks({ 'linux-arm64-musl': entry('arm64-musl') });
+    assert.deepEqual(platforms, { 'linux-arm64-musl': entry('arm64-musl'), 'linux-arm64': entry('arm64-musl') });
+  });
+
+  it('never replaces a glibc build', () => {
+    const platforms = addMuslFallbacks({ 'linux-amd64': entry('amd64'), 'linux-amd64-musl': entry('amd64-musl') });
+    assert.deepEqual(platforms, { 'linux-amd64': entry('amd64'), 'linux-amd64-musl': entry('amd64-musl') });
+  });
+});
+
+describe('detectArchiveType', () => {
+  for (const [filename, expected] of ARCHIVE_CORPUS) {
+    it(`${filename} → ${expected}`, () => {
+      assert.equal(detectArchiveType(filename), expected);
+    });
+  }
+});
+
+describe('archive layout helpers', () => {
+  it('names the folder an archive unpacks into after the archive', () => {
+    assert.equal(archiveBaseName('https://nodejs.org/dist/v20.12.2/node-v20.12.2-linux-x64.tar.gz'), 'node-v20.12.2-linux-x64');
+    assert.equal(archiveBaseName('zig-windows-x86_64-0.13.0.zip'), 'zig-windows-x86_64-0.13.0');
+    assert.equal(archiveBaseName('nvim-macos.tgz'), 'nvim-macos');
+  });
+
+  it('adds .exe to Windows bins that lack an executable extension', () => {
+    assert.deepEqual(windowsBins([{ name: 'nvim', path: 'bin/nvim' }, { name: 'npm', path: 'npm.cmd' }]), [
+      { name: 'nvim', path: 'bin/nvim.exe' },
+      { name: 'npm', path: 'npm.cmd' },
+    ]);
+    assert.equal(windowsBins([{ name: 'tool', path: 'tool.EXE' }]), null);
+  });
+});
+
+describe('platform layout validation', () => {
+  const manifest = (layout) => ({
+    schema: 1,
+    name: 'tool',
+    description: '',
+    homepage: 'https://example.com',
+    license: 'MIT',
+    aliases: { 'latest': '1.0.0', 'stable': '1.0.0', '1.0': '1.0.0' },
+    versions: [{
+      version: '1.0.0',
+      bins: [{ name: 'tool', path: 'bin/tool' }],
+      platforms: {
+        'windows-amd64': { type: 'zip', url: 'https://example.com/tool.zip', checksum: `sha256:${'0'.repeat(64)}`, ...layout },
+      },
+    }],
+  });
+
+  it('accepts a root or strip_components with per-platform bins', () => {
+    assert.deepEqual(validateManifest(manifest({ root: 'tool-1.0.0', bins: [{ name: 'tool', path: 'tool.exe' }] })), []);
+    assert.deepEqual(validateManifest(manifest({ strip_components: 1 })), []);
+  });
+
+  it('rejects roots outside the archive and conflicting settings', () => {
+    const messages = (layout) => validateManifest(manifest(layout)).map((e) => `${e.path}: ${e.message}`);
+    assert.match(messages({ root: '../tool' })[0], /^versions\[0\]\.platforms\.windows-amd64\.root: must be a relative directory path/);
+    assert.deepEqual(messages({ strip_components: 0 }), ['versions[0].platforms.windows-amd64.strip_components: must be at least 1, got 0']);
+    assert.deepEqual(messages({ root: 'tool', strip_components: 1 }), ['versions[0].platforms.windows-amd64: set either root or strip_components, not both']);
+    assert.deepEqual(messages({ bins: [{ name: 'tool', path: 'a.exe' }, { name: 'tool', path: 'b.exe' }] }),
+      ['versions[0].platforms.windows-amd64.bins[1]: command "tool" is exposed more than once']);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLimiter, mapConcurrent } from '../scripts/lib/pool.js';
+import { sleep } from '../scripts/lib/rate-limit.js';
+
+describe('mapConcurrent', () => {
+  it('keeps input order whatever order calls finish in', async () => {
+    const results = await mapConcurrent([30, 10, 20, 0], 4, async (delay, index) => {
+      await sleep(delay);
+      return index;
+    });
+    assert.deepEqual(results, [0, 1, 2, 3]);
+  });
+
+  it('never runs more than the limit at once', async () => {
+    let active = 0;
+    let peak = 0;
+    await mapConcurrent(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await sleep(5);
+      active--;
+    });
+    assert.equal(peak, 3);
+  });
+});
+
+describe('createLimiter', () => {
+  it('keeps running queued tasks after one fails', async () => {
+    const limit = createLimiter(1);
+    const failed = limit(async () => {
+      throw new Error('boom');
+    });
+    const succeeded = limit(async () => 'ok');
+    await assert.rejects(failed, /boom/);
+    assert.equal(await succeeded, 'ok');
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRateLimitDelay, createRateLimiter } from '../scripts/lib/rate-limit.js';
+import { HttpError } from '../scripts/lib/http.js';
+
+const NOW = Date.parse('2024-05-01T12:00:00Z');
+
+const httpError = (statusCode, headers, body = '') => new HttpError('https://api.github.com/x', statusCode, headers, body);
+
+describe('getRateLimitDelay', () => {
+  it('honors Retry-After in seconds', () => {
+    assert.equal(getRateLimitDelay(httpError(429, { 'retry-after': '30' }), NOW), 30000);
+  });
+
+  it('honors Retry-After as an HTTP date', () => {
+    assert.equal(getRateLimitDelay(httpError(403, { 'retry-after': 'Wed, 01 May 2024 12:00:10 GMT' }), NOW), 10000);
+  });
+
+  it('waits for the primary limit to reset', () => {
+    const headers = { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(NOW / 1000 + 120) };
+    assert.equal(getRateLimitDelay(httpError(403, headers), NOW), 121000);
+  });
+
+  it('waits a minute for a secondary limit without headers', () => {
+    const body = '{"message":"You have exceeded a secondary rate limit."}';
+    assert.equal(getRateLimitDelay(httpError(403, {}, body), NOW), 60000);
+  });
+
+  it('does not retry other failures', () => {
+    assert.equal(getRateLimitDelay(httpError(403, { 'x-ratelimit-remaining': '42' }, 'Bad credentials'), NOW), null);
+    assert.equal(getRateLimitDelay(httpError(404, {}), NOW), null);
+    assert.equal(getRateLimitDelay(new Error('socket hang up'), NOW), null);
+  });
+});
+
+describe('createRateLimiter', () => {
+  it('sleeps and retries a rate-limited request', async () => {
+    const waits = [];
+    const limiter = createRateLimiter({ wait: async (ms) => waits.push(ms) });
+    let calls = 0;
+    const result = await limiter.run(async () => {
+      calls++;
+      if (calls === 1) {
+        throw httpError(429, { 'retry-after': '0' });
+      }
+      return 'ok';
+    });
+    assert.equal(result, 'ok');
+    assert.equal(calls, 2);
+  });
+
+  it('pauses every request once the remaining quota hits zero', async () => {
+    const waits = [];
+    const limiter = createRateLimiter({ wait: async (ms) => { waits.push(ms); await new Promise((r) => setTimeout(r, ms)); } });
+    const reset = String(Math.floor(Date.now() / 1000));
+    await limiter.run(async (observeHeaders) => observeHeaders({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset }));
+    await limiter.run(async () => 'next');
+    assert.equal(waits.length, 1);
+    assert.ok(waits[0] > 0 && waits[0] <= 1000);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startUpstream, fixture } from './helpers/upstream.js';
+import { createRegistry, readRegistryFile, removeRegistry, runCli } from './helpers/registry.js';
+
+const SOURCE_CONFIG = {
+  source: 'github',
+  owner: 'example',
+  repo: 'tool',
+  bins: [{ name: 'tool', path: 'tool' }],
+};
+const LINUX_ARM64 = `      linux-arm64:
+        type: tar.gz
+        url: https://github.com/example/tool/releases/download/v1.2.0/tool_1.2.0_linux_arm64.tar.gz
+        checksum: sha256:3ac31b399fb895d40b87f9e1651d72bdc734e89afca12154e707457f887320e5
+`;
+const MACOS_ARM64_CHECKSUM = 'sha256:b9386358d88035eecbb57115b7dc166cbb56dbba105716fdebcf4b721633da5d';
+const RECORDED_CHECKSUM = `sha256:${'0'.repeat(64)}`;
+const MACOS_ARM64_URL = 'https://github.com/example/tool/releases/download/v1.2.0/tool_1.2.0_darwin_arm64.tar.gz';
+
+// The expected manifest as an earlier run left it: 1.2.0 without its linux-arm64 build,
+// and with a macOS checksum that no longer matches what the release publishes
+const INCOMPLETE = fixture('expected/tool.yaml').replace(LINUX_ARM64, '').replace(MACOS_ARM64_CHECKSUM, RECORDED_CHECKSUM);
+
+describe('update --refresh', () => {
+  let upstream;
+
+  before(async () => {
+    upstream = await startUpstream({
+      'https://api.github.com/repos/example/tool': fixture('upstream/github/repo.json'),
+      'https://api.github.com/repos/example/tool/releases?page=1&per_page=100': fixture('upstream/github/releases.json'),
+      'https://github.com/example/tool/releases/download/v1.1.0/checksums.txt': fixture('upstream/github/checksums-v1.1.0.txt'),
+    });
+  });
+
+  after(() => upstream.close());
+
+  it('leaves existing versions alone without --refresh', async () => {
+    assert.notEqual(INCOMPLETE, fixture('expected/tool.yaml'));
+    const root = createRegistry({ packages: { tool: INCOMPLETE }, sources: { tool: SOURCE_CONFIG } });
+    try {
+      const result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.equal(readRegistryFile(root, 'packages/tool.yaml'), INCOMPLETE);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('adds missing platforms and reports checksums that differ without writing them', async () => {
+    const root = createRegistry({ packages: { tool: INCOMPLETE }, sources: { tool: SOURCE_CONFIG } });
+    try {
+      const result = await runCli(['update', 'tool', '--refresh'], { root, upstream });
+      assert.equal(result.code, 1);
+      assert.match(result.stdout, /Adding linux-arm64 to 1\.2\.0/);
+      assert.match(result.stdout, /Added 1 platform\(s\) to existing versions/);
+      assert.ok(result.stderr.includes(`Published artifact changed upstream: 1.2.0 macos-arm64: ${RECORDED_CHECKSUM} -> ${MACOS_ARM64_CHECKSUM}\n`));
+      assert.match(result.stderr, /Wrote incident report incidents\/tool-[\dTZ-]+\.json; kept the recorded artifacts/);
+      assert.match(result.stderr, /Published artifacts changed upstream, recorded ones kept: tool \(1\)/);
+      const [incident] = fs.readdirSync(path.join(root, 'incidents'));
+      assert.equal(JSON.parse(readRegistryFile(root, `incidents/${incident}`)).drift[0].upstream.checksum, MACOS_ARM64_CHECKSUM);
+
+      const manifest = readRegistryFile(root, 'packages/tool.yaml');
+      assert.ok(manifest.includes(LINUX_ARM64.trimEnd()));
+      assert.ok(manifest.includes(RECORDED_CHECKSUM));
+      assert.ok(!manifest.includes(MACOS_ARM64_CHECKSUM));
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('only refreshes versions in --refresh-range and reports drift with --dry-run --json', async () => {
+    const root = createRegistry({ packages: { tool: INCOMPLETE }, sources: { tool: SOURCE_CONFIG } });
+    try {
+      let result = await runCli(['update', 'tool', '--refresh-range', '<1.2.0'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.equal(readRegistryFile(root, 'packages/tool.yaml'), INCOMPLETE);
+
+      result = await runCli(['update', 'tool', '--refresh-range', '1.2.x', '--dry-run', '--json'], { root, upstream });
+      assert.equal(result.code, 1);
+      const [diff] = JSON.parse(result.stdout).packages;
+      assert.deepEqual(diff.updated.map((entry) => [entry.version, entry.platformsAdded]), [['1.2.0', ['linux-arm64']]]);
+      assert.deepEqual(diff.drift, [{
+        version: '1.2.0',
+        platform: 'macos-arm64',
+        recorded: { url: MACOS_ARM64_URL, checksum: RECORDED_CHECKSUM },
+        upstream: { url: MACOS_ARM64_URL, checksum: MACOS_ARM64_CHECKSUM },
+      }]);
+      assert.equal(readRegistryFile(root, 'packages/tool.yaml'), INCOMPLETE);
+      assert.ok(!fs.existsSync(path.join(root, 'incidents')));
+
+      result = await runCli(['update', 'tool', '--refresh-range', 'not a range'], { root, upstream });
+      assert.match(result.stderr, /--refresh-range: Invalid version range/);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVersion, compareVersions, compareVersionsDesc, precedenceKey, satisfies, parseRange } from '../scripts/lib/semver.js';
+import { isValidVersion, normalizeVersion, isPlainTag } from '../scripts/lib/version.js';
+import { mergeVersions } from '../scripts/lib/manifest.js';
+import { validateManifest } from '../scripts/lib/schema.js';
+
+describe('parseVersion', () => {
+  it('splits pre-release and build identifiers', () => {
+    assert.deepEqual(parseVersion('0.14.0-dev.46+3648d7df1'), {
+      major: 0, minor: 14, patch: 0, prerelease: ['dev', '46'], build: ['3648d7df1'],
+    });
+    assert.deepEqual(parseVersion('v1.2.3').prerelease, []);
+  });
+
+  it('rejects strings that are not semantic versions', () => {
+    for (const version of ['1.2', '1.2.3.4', '01.2.3', '1.2.3-01', '1.2.3-', '1.2.3+', '1.25rc3', 'nightly']) {
+      assert.equal(parseVersion(version), null, version);
+    }
+  });
+});
+
+describe('compareVersions', () => {
+  it('orders versions by SemVer 2.0 precedence', () => {
+    // The precedence example from semver.org, plus numeric identifiers that need numeric comparison
+    const ascending = [
+      '1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta', '1.0.0-beta', '1.0.0-beta.2', '1.0.0-beta.11',
+      '1.0.0-rc.1', '1.0.0', '1.0.1', '1.2.0', '1.10.0', '2.0.0',
+    ];
+    const shuffled = [...ascending].reverse();
+    assert.deepEqual(shuffled.sort(compareVersions), ascending);
+    assert.deepEqual([...ascending].sort(compareVersionsDesc), [...ascending].reverse());
+  });
+
+  it('ignores build metadata', () => {
+    assert.equal(compareVersions('1.0.0+a', '1.0.0+b'), 0);
+    assert.equal(precedenceKey('0.14.0-dev.46+3648d7df1'), '0.14.0-dev.46');
+  });
+
+  it('throws on an invalid version', () => {
+    assert.throws(() => compareVersions('1.2', '1.2.0'), /Invalid semantic version "1\.2"/);
+  });
+});
+
+describe('satisfies', () => {
+  const cases = [
+    ['1.2.3', '>=1.2.0 <2.0.0', true],
+    ['2.0.0', '>=1.2.0 <2.0.0', false],
+    ['1.2.9', '~1.2.3', true],
+    ['1.3.0', '~1.2.3', false],
+    ['1.9.0', '^1.2.3', true],
+    ['2.0.0-rc.1', '^1.2.3', false],
+    ['0.2.5', '^0.2.3', true],
+    ['0.3.0', '^0.2.3', false],
+    ['1.2.7', '1.2.x', true],
+    ['1.3.0', '1.2', false],
+    ['3.1.0', '1.x || >=3.0.0', true],
+    ['2.5.0', '1.x || >=3.0.0', false],
+    ['1.3.9', '>1.3', false],
+    ['1.4.0', '>1.3', true],
+    ['0.1.0', '*', true],
+    ['1.2.3', '>= 1.2.3', true],
+  ];
+  for (const [version, range, expected] of cases) {
+    it(`${version} ${expected ? 'satisfies' : 'does not satisfy'} ${range}`, () => {
+      assert.equal(satisfies(version, range), expected);
+    });
+  }
+
+  it('rejects malformed ranges', () => {
+    assert.throws(() => parseRange('>=1.2.3 <'), /Invalid version range term/);
+    assert.throws(() => parseRange(''), /Invalid version range/);
+  });
+});
+
+describe('isValidVersion', () => {
+  it('requires dotted pre-release identifiers and no "v" prefix', () => {
+    assert.equal(isValidVersion('1.2.3-rc.1'), true);
+    assert.equal(isValidVersion('0.14.0-dev.46+3648d7df1'), true);
+    assert.equal(isValidVersion('1.2.3-rc1'), false);
+    assert.equal(isValidVersion('v1.2.3'), false);
+    assert.equal(isValidVersion('1.9.2rc2'), false);
+  });
+});
+
+describe('normalizeVersion', () => {
+  const cases = [
+    ['v1.2.3', '1.2.3'],
+    ['go1.22.2', '1.22.2'],
+    ['go1.21', '1.21.0'],
+    ['go1.22rc1', '1.22.0-rc.1'],
+    ['go1.9.2rc2', '1.9.2-rc.2'],
+    ['v1.2.3-beta3', '1.2.3-beta.3'],
+    ['1.2.3-rc.1', '1.2.3-rc.1'],
+    ['v2.0.0-RC', '2.0.0-rc.0'],
+    ['release-1.2', '1.2.0'],
+    ['0.14.0-dev.46+3648d7df1', '0.14.0-dev.46+3648d7df1'],
+    ['1.0.0-alpha.beta', '1.0.0-alpha.beta'],
+    ['weekly.2024.05', null],
+    ['v5', null],
+    ['1.2.3-rc1-hotfix', null],
+  ];
+  for (const [tag, expected] of cases) {
+    it(`maps ${tag} to ${expected}`, () => {
+      assert.equal(normalizeVersion(tag), expected);
+    });
+  }
+
+  it('dates nightly tags by their release date', () => {
+    assert.equal(normalizeVersion('nightly', { date: '2024-05-02T04:05:06Z' }), '0.0.0-nightly.20240502');
+    assert.equal(normalizeVersion('nightly'), null);
+  });
+
+  it('only treats a prefixed version as a plain tag', () => {
+    assert.equal(isPlainTag('v1.2.3', '1.2.3'), true);
+    assert.equal(isPlainTag('go1.22.2', '1.22.2'), true);
+    assert.equal(isPlainTag('go1.21', '1.21.0'), false);
+  });
+});
+
+describe('manifest versions', () => {
+  const entry = (version, extra = {}) => ({
+    version,
+    ...extra,
+    bins: [{ name: 'tool', path: 'tool' }],
+    platforms: { 'linux-amd64': { type: 'tar.gz', url: `https://example.com/${version.split('+')[0]}.tar.gz`, checksum: `sha256:${'0'.repeat(64)}` } },
+  });
+
+  it('merges into descending precedence, replacing equal versions', () => {
+    const merged = mergeVersions(
+      { versions: [entry('1.0.0'), entry('1.0.0-rc.1', { channel: 'prerelease' }), entry('0.9.0+old')] },
+      [entry('1.0.0-rc.10', { channel: 'prerelease' }), entry('0.9.0+new')],
+    );
+    assert.deepEqual(merged.map((v) => v.version), ['1.0.0', '1.0.0-rc.10', '1.0.0-rc.1', '0.9.0+new']);
+  });
+
+  it('rejects duplicates and out-of-order versions', () => {
+    const manifest = {
+      schema: 1,
+      name: 'tool',
+      description: '',
+      homepage: 'https://example.com',
+      license: 'MIT',
+      versions: [entry('1.0.0-rc.1', { channel: 'prerelease' }), entry('1.0.0'), entry('1.0.0+build')],
+    };
+    assert.deepEqual(validateManifest(manifest).map((e) => e.message), [
+      'versions must be sorted newest first, but 1.0.0 comes after 1.0.0-rc.1 (versions[0])',
+      'duplicate version 1.0.0+build (first seen at versions[1])',
+    ]);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { parseKeys, loadKeys, verifyPgp, verifyMinisign, verifyCosign, SignatureError } from '../scripts/lib/signatures.js';
+import { PROJECT_ROOT, keysPath } from '../scripts/lib/registry.js';
+import { fixture } from './helpers/upstream.js';
+import { createMinisignKey, createCosignKey } from './helpers/signing.js';
+
+const RSA_KEY = 'A163D19D8C7D6860483A49607C868770FDC67D45';
+const ED25519_KEY = '0934E52CE18CF9476E99C5232493DDBD837D9173';
+
+describe('verifyPgp', () => {
+  const keys = [
+    ...parseKeys('pgp', fixture('keys/release-rsa.asc')),
+    ...parseKeys('pgp', fixture('keys/release-ed25519.asc')),
+  ];
+
+  it('verifies a clearsigned message and returns the signed text', () => {
+    const { key, text } = verifyPgp({ clearsigned: fixture('upstream/node/SHASUMS256-v22.1.0.txt.asc') }, keys);
+    assert.equal(key, RSA_KEY);
+    assert.equal(text, fixture('upstream/node/SHASUMS256-v22.1.0.txt'));
+  });
+
+  it('undoes dash-escaping and ignores trailing whitespace', () => {
+    const { text } = verifyPgp({ clearsigned: fixture('signatures/dash-escaped.txt.asc') }, keys);
+    assert.equal(text, '- dashed line\nfrom line  \ttrailing \n\nlast\n');
+  });
+
+  it('verifies a detached EdDSA signature', () => {
+    const { key } = verifyPgp({
+      data: fixture('upstream/github/checksums-v1.1.0.txt', null),
+      signature: fixture('upstream/github/checksums-v1.1.0.txt.sig', null),
+    }, keys);
+    assert.equal(key, ED25519_KEY);
+  });
+
+  it('rejects modified data and keys that are not pinned', () => {
+    const clearsigned = fixture('upstream/node/SHASUMS256-v22.1.0.txt.asc');
+    assert.throws(() => verifyPgp({ clearsigned: clearsigned.replace('node-v22.1.0-darwin', 'node-v22.1.1-darwin') }, keys),
+      /OpenPGP signature does not verify \(the signed data was modified\)/);
+    assert.throws(() => verifyPgp({ clearsigned }, keys.filter((key) => key.id === ED25519_KEY)),
+      /OpenPGP signature made by key 7C868770FDC67D45, which is not pinned/);
+    assert.throws(() => verifyPgp({ clearsigned: 'not signed' }, keys), SignatureError);
+  });
+});
+
+describe('verifyMinisign', () => {
+  const minisign = createMinisignKey();
+  const keys = parseKeys('minisign', minisign.publicKey);
+  const data = Buffer.from('zig tarball');
+  const signature = minisign.sign(data, 'zig-linux-x86_64-0.13.0.tar.xz');
+
+  it('verifies a prehashed signature and its trusted comment', () => {
+    const prehash = crypto.createHash('blake2b512').update(data).digest();
+    const { key, trustedComment } = verifyMinisign(signature, keys, { prehash, fileName: 'zig-linux-x86_64-0.13.0.tar.xz' });
+    assert.equal(key, minisign.id);
+    assert.match(trustedComment, /file:zig-linux-x86_64-0\.13\.0\.tar\.xz/);
+  });
+
+  it('rejects modified files, signatures for another file and other keys', () => {
+    assert.throws(() => verifyMinisign(signature, keys, { data: Buffer.from('other') }), /signed file was modified/);
+    assert.throws(() => verifyMinisign(signature, keys, { data, fileName: 'zig-macos-aarch64-0.13.0.tar.xz' }),
+      /minisign signature is for zig-linux-x86_64-0\.13\.0\.tar\.xz, not zig-macos-aarch64-0\.13\.0\.tar\.xz/);
+    assert.throws(() => verifyMinisign(signature, parseKeys('minisign', createMinisignKey().publicKey), { data }),
+      new RegExp(`made by key ${minisign.id}, which is not pinned`));
+  });
+
+  it('loads the pinned Zig key', () => {
+    const [key] = loadKeys(keysPath(PROJECT_ROOT, 'zig'), 'minisign');
+    assert.equal(key.id, 'D900E7558DAD3A86');
+  });
+});
+
+describe('verifyCosign', () => {
+  const cosign = createCosignKey();
+  const keys = parseKeys('cosign', cosign.publicKey);
+  const data = Buffer.from('abc123  tool_1.1.0_linux_x86_64.tar.gz\n');
+  const signature = cosign.sign(data);
+
+  it('verifies sign-blob signatures and bundles', () => {
+    const { key } = verifyCosign(data, signature, keys);
+    assert.equal(key, keys[0].id);
+    assert.equal(verifyCosign(data, JSON.stringify({ base64Signature: signature }), keys).key, key);
+    assert.equal(verifyCosign(data, JSON.stringify({ messageSignature: { signature: signature } }), keys).key, key);
+  });
+
+  it('rejects modified data', () => {
+    assert.throws(() => verifyCosign(Buffer.from('tampered'), signature, keys), /does not verify with any pinned key/);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createSync, NotModifiedError } from '../scripts/lib/sync.js';
+import { configureHttp } from '../scripts/lib/http.js';
+import { createSource } from '../scripts/lib/sources/index.js';
+import { startUpstream, fixture } from './helpers/upstream.js';
+import { createRegistry, readRegistryFile, removeRegistry, runCli } from './helpers/registry.js';
+
+const SOURCE_CONFIG = {
+  source: 'github',
+  owner: 'example',
+  repo: 'tool',
+  bins: [{ name: 'tool', path: 'tool' }],
+};
+const RELEASES_URL = 'https://api.github.com/repos/example/tool/releases?page=1&per_page=100';
+
+/**
+ * A page of GitHub releases without assets, newest first
+ */
+function releasePage(from, count) {
+  return JSON.stringify(Array.from({ length: count }, (_, i) => ({
+    tag_name: `v1.${from - i}.0`,
+    draft: false,
+    prerelease: false,
+    published_at: '2024-01-01T00:00:00Z',
+    assets: [],
+  })));
+}
+
+describe('incremental sync', () => {
+  let upstream;
+
+  before(async () => {
+    upstream = await startUpstream({
+      'https://api.github.com/repos/example/tool': fixture('upstream/github/repo.json'),
+      [RELEASES_URL]: fixture('upstream/github/releases.json'),
+      'https://github.com/example/tool/releases/download/v1.1.0/checksums.txt': fixture('upstream/github/checksums-v1.1.0.txt'),
+      'https://api.github.com/repos/paged/tool/releases?page=1&per_page=100': releasePage(300, 100),
+      'https://api.github.com/repos/paged/tool/releases?page=2&per_page=100': releasePage(200, 100),
+      'https://api.github.com/repos/paged/tool/releases?page=3&per_page=100': releasePage(100, 50),
+    });
+    configureHttp({ upstream: upstream.url });
+  });
+
+  after(async () => {
+    configureHttp({ upstream: null });
+    await upstream.close();
+  });
+
+  /**
+   * Requests made since the last call, with their If-None-Match header
+   */
+  function takeRequests() {
+    const made = upstream.requests.map((url, i) => ({ url, ifNoneMatch: upstream.requestHeaders[i]['if-none-match'] }));
+    upstream.requests.length = 0;
+    upstream.requestMethods.length = 0;
+    upstream.requestHeaders.length = 0;
+    return made;
+  }
+
+  it('stops at a 304 when the release listing has not changed', async () => {
+    const root = createRegistry({ packages: { tool: fixture('registry/tool.yaml') }, sources: { tool: SOURCE_CONFIG } });
+    try {
+      takeRequests();
+      let result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      const state = JSON.parse(readRegistryFile(root, '.sync-state.json'));
+      assert.equal(state.packages.tool.newest, 'v1.3.0-beta1');
+      assert.match(state.packages.tool.requests[RELEASES_URL].etag, /^"[0-9a-f]+"$/);
+      takeRequests();
+
+      result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.match(result.stdout, /Upstream releases have not changed since the last update/);
+      assert.equal(readRegistryFile(root, 'packages/tool.yaml'), fixture('expected/tool.yaml'));
+      assert.deepEqual(takeRequests(), [{ url: RELEASES_URL, ifNoneMatch: state.packages.tool.requests[RELEASES_URL].etag }]);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('lists everything again after the config or manifest changed, or with --full', async () => {
+    const root = createRegistry({ packages: { tool: fixture('registry/tool.yaml') }, sources: { tool: SOURCE_CONFIG } });
+    const listed = () => takeRequests().filter((request) => request.url === RELEASES_URL);
+    try {
+      let result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      takeRequests();
+
+      result = await runCli(['update', 'tool', '--full'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.doesNotMatch(result.stdout, /have not changed/);
+      assert.deepEqual(listed().map((request) => request.ifNoneMatch), [undefined]);
+
+      fs.writeFileSync(path.join(root, 'sources', 'tool.json'), JSON.stringify({ ...SOURCE_CONFIG, channels: ['stable'] }, null, 2));
+      result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.deepEqual(listed().map((request) => request.ifNoneMatch), [undefined]);
+
+      fs.appendFileSync(path.join(root, 'packages', 'tool.yaml'), '\n');
+      result = await runCli(['update', 'tool'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.deepEqual(listed().map((request) => request.ifNoneMatch), [undefined]);
+
+      result = await runCli(['update', 'tool'], { root, upstream });
+      assert.match(result.stdout, /have not changed/);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('lists releases that failed to resolve again on the next run', async () => {
+    const node = await startUpstream({
+      'https://nodejs.org/dist/index.json': fixture('upstream/node/index.json'),
+      'https://nodejs.org/dist/v22.1.0/SHASUMS256.txt': fixture('upstream/node/SHASUMS256-v22.1.0.txt'),
+      // Not published yet on the first run
+      'https://nodejs.org/dist/v22.0.0/SHASUMS256.txt': [
+        { status: 404, body: 'Not Found' },
+        fixture('upstream/node/SHASUMS256-v22.1.0.txt').replaceAll('22.1.0', '22.0.0'),
+      ],
+    });
+    const root = createRegistry({ packages: { node: fixture('registry/node.yaml') }, sources: { node: { source: 'node' } } });
+    try {
+      let result = await runCli(['update', 'node'], { root, upstream: node });
+      assert.equal(result.code, 1);
+      assert.match(result.stderr, /Could not resolve artifacts for 22\.0\.0: HTTP 404/);
+      assert.deepEqual(JSON.parse(readRegistryFile(root, '.sync-state.json')).packages.node.requests, {});
+
+      result = await runCli(['update', 'node'], { root, upstream: node });
+      assert.equal(result.code, 0, result.stderr);
+      assert.doesNotMatch(result.stdout, /have not changed/);
+      assert.match(readRegistryFile(root, 'packages/node.yaml'), /- version: 22\.0\.0\n/);
+
+      result = await runCli(['update', 'node'], { root, upstream: node });
+      assert.match(result.stdout, /have not changed/);
+    } finally {
+      removeRegistry(root);
+      await node.close();
+    }
+  });
+
+  it('only pages through GitHub releases up to the release processed last time', async () => {
+    const source = createSource('tool', { ...SOURCE_CONFIG, owner: 'paged' });
+    takeRequests();
+
+    let releases = await source.listReleases(createSync({ newest: 'v1.150.0', requests: {} }));
+    assert.equal(releases.length, 200);
+    assert.equal(takeRequests().length, 2);
+
+    releases = await source.listReleases(createSync());
+    assert.equal(releases.length, 250);
+    assert.equal(takeRequests().length, 3);
+
+    const sync = createSync();
+    await source.listReleases(sync);
+    takeRequests();
+    await assert.rejects(source.listReleases(createSync({ newest: 'v1.300.0', requests: sync.validators() })), NotModifiedError);
+  });
+});
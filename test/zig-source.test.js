@@ -0,0 +1,178 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { startUpstream, fixture } from './helpers/upstream.js';
+import { createRegistry, readRegistryFile, removeRegistry, runCli } from './helpers/registry.js';
+import { createMinisignKey } from './helpers/signing.js';
+
+describe('zig source', () => {
+  let upstream;
+
+  before(async () => {
+    upstream = await startUpstream({
+      'https://ziglang.org/download/index.json': fixture('upstream/zig/index.json'),
+    });
+  });
+
+  after(() => upstream.close());
+
+  it('merges new releases into the existing manifest', async () => {
+    const root = createRegistry({
+      packages: { zig: fixture('registry/zig.yaml') },
+      sources: { zig: { source: 'zig' } },
+    });
+
+    try {
+      const result = await runCli(['update', 'zig'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.equal(readRegistryFile(root, 'packages/zig.yaml'), fixture('expected/zig.yaml'));
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('writes the manifest of the package it was added as', async () => {
+    const root = createRegistry({ sources: { 'zig-stable': { source: 'zig' } } });
+
+    try {
+      const result = await runCli(['update', 'zig-stable'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.ok(!fs.existsSync(path.join(root, 'packages', 'zig.yaml')));
+      assert.match(readRegistryFile(root, 'packages/zig-stable.yaml'), /^schema: 1\nname: zig-stable\n/);
+      assert.equal((await runCli(['validate', 'zig-stable'], { root })).code, 0);
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('replaces the nightly build when the package opts into nightlies', async () => {
+    const root = createRegistry({
+      packages: { zig: fixture('registry/zig.yaml') },
+      sources: { zig: { source: 'zig', channels: ['stable', 'nightly'] } },
+    });
+
+    try {
+      const result = await runCli(['update', 'zig'], { root, upstream });
+      assert.equal(result.code, 0, result.stderr);
+      assert.match(result.stdout, /Replacing nightly 0\.12\.0-dev\.2063\+804cee3b9/);
+      assert.equal(readRegistryFile(root, 'packages/zig.yaml'), fixture('expected/zig-nightly.yaml'));
+
+      // The same nightly build is not fetched again
+      const rerun = await runCli(['update', 'zig'], { root, upstream });
+      assert.equal(rerun.code, 0, rerun.stderr);
+      assert.match(rerun.stdout, /No new versions to add/);
+      assert.equal(readRegistryFile(root, 'packages/zig.yaml'), fixture('expected/zig-nightly.yaml'));
+    } finally {
+      removeRegistry(root);
+    }
+  });
+
+  it('lists the newest stable version, not the nightly', async () => {
+    const root = createRegistry({
+      packages: { zig: fixture('expected/zig-nightly.yaml') },
+    });
+
+    try {
+      const result = await runCli(['list', '--json'], { root });
+      assert.equal(result.code, 0, result.stderr);
+      assert.equal(JSON.parse(result.stdout)[0].latest, '0.12.0');
+    } finally {
+      removeRegistry(root);
+    }
+  });
+});
+
+describe('zig source signatures', () => {
+  const key = createMinisignKey();
+  const BODIES = { 'linux-x86_64': 'zig 0.13.0 for linux', 'macos-aarch64': 'zig 0.13.0 for macos' };
+  const tarball = (platform) => `https://ziglang.org/download/0.13.0/zig-${platform}-0.13.0.tar.xz`;
+
+  /**
+   * Serve a 0.13.0 release; `signatures` maps platforms to their .minisig (none when missing)
+   */
+  function serve(signatures) {
+    const release = { date: '2024-06-07' };
+    const routes = {};
+    for (const [platform, body] of Object.entries(BODIES)) {
+      const [os, arch] = platform.split('-');
+      release[`${arch}-${os}`] = {
+        tarball: tarball(platform),
+        shasum: crypto.createHash('sha256').update(body).digest('hex'),
+        size: String(body.length),
+      };
+      routes[tarball(platform)] = body;
+      if (signatures[platform]) {
+        routes[`${tarball(platform)}.minisig`] = signatures[platform];
+      }
+    }
+    routes['https://ziglang.org/download/index.json'] = JSON.stringify({ '0.13.0': release });
+    return startUpstream(routes);
+  }
+
+  const signed = (platform, body = BODIES[platform]) => key.sign(Buffer.from(body), `zig-${platform}-0.13.0.tar.xz`);
+
+  /**
+   * Run an update against a registry that pins the test key; `config` adds to the source config
+   * Resolves with the CLI result, the manifest written (null when there is none) and the
+   * upstream URLs requested
+   */
+  async function update(upstream, signatures = { type: 'minisign' }, config = {}) {
+    const root = createRegistry({
+      sources: { zig: { source: 'zig', signatures: signatures, ...config } },
+      keys: { zig: { 'minisign.pub': key.publicKey } },
+    });
+    try {
+      const result = await runCli(['update', 'zig'], { root, upstream });
+      // A release that cannot be resolved makes the update partial
+      assert.equal(result.code, /Could not resolve artifacts/.test(result.stderr) ? 1 : 0, result.stderr);
+      const written = fs.existsSync(path.join(root, 'packages', 'zig.yaml'));
+      return { ...result, manifest: written ? readRegistryFile(root, 'packages/zig.yaml') : null, requests: upstream.requests };
+    } finally {
+      removeRegistry(root);
+      upstream.close();
+    }
+  }
+
+  it('records the key that signed every tarball', async () => {
+    const { manifest } = await update(await serve({ 'linux-x86_64': signed('linux-x86_64'), 'macos-aarch64': signed('macos-aarch64') }));
+    assert.match(manifest, new RegExp(`- version: 0\\.13\\.0\\n {4}signature:\\n {6}type: minisign\\n {6}key: ${key.id}\\n`));
+    assert.match(manifest, /linux-amd64:/);
+    assert.match(manifest, /macos-arm64:/);
+  });
+
+  it('skips a release when a signature does not match its tarball', async () => {
+    const { stderr, manifest } = await update(await serve({
+      'linux-x86_64': signed('linux-x86_64'),
+      'macos-aarch64': signed('macos-aarch64', BODIES['linux-x86_64']),
+    }));
+    assert.match(stderr, /Could not resolve artifacts for 0\.13\.0: minisign signature does not verify/);
+    assert.equal(manifest, null);
+  });
+
+  it('only downloads the tarballs of platforms and channels it checks', async () => {
+    const signatures = { 'linux-x86_64': signed('linux-x86_64'), 'macos-aarch64': signed('macos-aarch64') };
+    let result = await update(await serve(signatures), { type: 'minisign' }, { platforms: { 'macos-arm64': false } });
+    assert.match(result.manifest, /signature:/);
+    assert.doesNotMatch(result.manifest, /macos-arm64:/);
+    assert.deepEqual(result.requests.filter((url) => url.includes('macos')), []);
+
+    // A nightly-only check leaves stable releases to the shasums of index.json
+    result = await update(await serve(signatures), { type: 'minisign', channels: ['nightly'] });
+    assert.match(result.manifest, /macos-arm64:/);
+    assert.doesNotMatch(result.manifest, /signature:/);
+    assert.deepEqual(result.requests.filter((url) => url.includes('/0.13.0/')), []);
+  });
+
+  it('drops unsigned tarballs unless signatures are optional', async () => {
+    let result = await update(await serve({ 'linux-x86_64': signed('linux-x86_64') }));
+    assert.match(result.stderr, /Skipping https:\/\/ziglang\.org\/download\/0\.13\.0\/zig-macos-aarch64-0\.13\.0\.tar\.xz: no minisign signature/);
+    assert.match(result.manifest, /signature:/);
+    assert.doesNotMatch(result.manifest, /macos-arm64:/);
+
+    result = await update(await serve({ 'linux-x86_64': signed('linux-x86_64') }), { type: 'minisign', required: false });
+    assert.match(result.manifest, /macos-arm64:/);
+    assert.doesNotMatch(result.manifest, /signature:/, 'a version is only marked signed when all its platforms are');
+  });
+});